@@ -1 +0,0 @@
-function w(){}function F(t,e){for(const n in e)t[n]=e[n];return t}function T(t){return t()}function k(){return Object.create(null)}function g(t){t.forEach(T)}function q(t){return typeof t=="function"}function ut(t,e){return t!=t?e==e:t!==e||t&&typeof t=="object"||typeof t=="function"}function H(t){return Object.keys(t).length===0}function I(t,...e){if(t==null)return w;const n=t.subscribe(...e);return n.unsubscribe?()=>n.unsubscribe():n}function at(t,e,n){t.$$.on_destroy.push(I(e,n))}function st(t,e,n,i){if(t){const r=B(t,e,n,i);return t[0](r)}}function B(t,e,n,i){return t[1]&&i?F(n.ctx.slice(),t[1](i(e))):n.ctx}function ft(t,e,n,i){if(t[2]&&i){const r=t[2](i(n));if(e.dirty===void 0)return r;if(typeof r=="object"){const a=[],l=Math.max(e.dirty.length,r.length);for(let u=0;u<l;u+=1)a[u]=e.dirty[u]|r[u];return a}return e.dirty|r}return e.dirty}function dt(t,e,n,i,r,a){if(r){const l=B(e,n,i,a);t.p(l,r)}}function _t(t){if(t.ctx.length>32){const e=[],n=t.ctx.length/32;for(let i=0;i<n;i++)e[i]=-1;return e}return-1}const G=typeof window<"u"?window:typeof globalThis<"u"?globalThis:global;"WeakMap"in G;let $=!1;function L(){$=!0}function J(){$=!1}function K(t,e,n,i){for(;t<e;){const r=t+(e-t>>1);n(r)<=i?t=r+1:e=r}return t}function Q(t){if(t.hydrate_init)return;t.hydrate_init=!0;let e=t.childNodes;if(t.nodeName==="HEAD"){const o=[];for(let c=0;c<e.length;c++){const f=e[c];f.claim_order!==void 0&&o.push(f)}e=o}const n=new Int32Array(e.length+1),i=new Int32Array(e.length);n[0]=-1;let r=0;for(let o=0;o<e.length;o++){const c=e[o].claim_order,f=(r>0&&e[n[r]].claim_order<=c?r+1:K(1,r,b=>e[n[b]].claim_order,c))-1;i[o]=n[f]+1;const s=f+1;n[s]=o,r=Math.max(s,r)}const a=[],l=[];let u=e.length-1;for(let o=n[r]+1;o!=0;o=i[o-1]){for(a.push(e[o-1]);u>=o;u--)l.push(e[u]);u--}for(;u>=0;u--)l.push(e[u]);a.reverse(),l.sort((o,c)=>o.claim_order-c.claim_order);for(let o=0,c=0;o<l.length;o++){for(;c<a.length&&l[o].claim_order>=a[c].claim_order;)c++;const f=c<a.length?a[c]:null;t.insertBefore(l[o],f)}}function R(t,e){if($){for(Q(t),(t.actual_end_child===void 0||t.actual_end_child!==null&&t.actual_end_child.parentNode!==t)&&(t.actual_end_child=t.firstChild);t.actual_end_child!==null&&t.actual_end_child.claim_order===void 0;)t.actual_end_child=t.actual_end_child.nextSibling;e!==t.actual_end_child?(e.claim_order!==void 0||e.parentNode!==t)&&t.insertBefore(e,t.actual_end_child):t.actual_end_child=e.nextSibling}else(e.parentNode!==t||e.nextSibling!==null)&&t.appendChild(e)}function ht(t,e,n){$&&!n?R(t,e):(e.parentNode!==t||e.nextSibling!=n)&&t.insertBefore(e,n||null)}function U(t){t.parentNode&&t.parentNode.removeChild(t)}function V(t){return document.createElement(t)}function S(t){return document.createTextNode(t)}function mt(){return S(" ")}function pt(){return S("")}function yt(t,e,n){n==null?t.removeAttribute(e):t.getAttribute(e)!==n&&t.setAttribute(e,n)}function X(t){return Array.from(t.childNodes)}function Y(t){t.claim_info===void 0&&(t.claim_info={last_index:0,total_claimed:0})}function O(t,e,n,i,r=!1){Y(t);const a=(()=>{for(let l=t.claim_info.last_index;l<t.length;l++){const u=t[l];if(e(u)){const o=n(u);return o===void 0?t.splice(l,1):t[l]=o,r||(t.claim_info.last_index=l),u}}for(let l=t.claim_info.last_index-1;l>=0;l--){const u=t[l];if(e(u)){const o=n(u);return o===void 0?t.splice(l,1):t[l]=o,r?o===void 0&&t.claim_info.last_index--:t.claim_info.last_index=l,u}}return i()})();return a.claim_order=t.claim_info.total_claimed,t.claim_info.total_claimed+=1,a}function Z(t,e,n,i){return O(t,r=>r.nodeName===e,r=>{const a=[];for(let l=0;l<r.attributes.length;l++){const u=r.attributes[l];n[u.name]||a.push(u.name)}a.forEach(l=>r.removeAttribute(l))},()=>i(e))}function gt(t,e,n){return Z(t,e,n,V)}function tt(t,e){return O(t,n=>n.nodeType===3,n=>{const i=""+e;if(n.data.startsWith(i)){if(n.data.length!==i.length)return n.splitText(i.length)}else n.data=i},()=>S(e),!0)}function bt(t){return tt(t," ")}function xt(t,e){e=""+e,t.data!==e&&(t.data=e)}function wt(t,e,n,i){n==null?t.style.removeProperty(e):t.style.setProperty(e,n,i?"important":"")}function $t(t,e){return new t(e)}let y;function p(t){y=t}function P(){if(!y)throw new Error("Function called outside component initialization");return y}function vt(t){P().$$.on_mount.push(t)}function Et(t){P().$$.after_update.push(t)}const h=[],M=[];let m=[];const C=[],W=Promise.resolve();let E=!1;function z(){E||(E=!0,W.then(D))}function Nt(){return z(),W}function N(t){m.push(t)}const v=new Set;let _=0;function D(){if(_!==0)return;const t=y;do{try{for(;_<h.length;){const e=h[_];_++,p(e),et(e.$$)}}catch(e){throw h.length=0,_=0,e}for(p(null),h.length=0,_=0;M.length;)M.pop()();for(let e=0;e<m.length;e+=1){const n=m[e];v.has(n)||(v.add(n),n())}m.length=0}while(h.length);for(;C.length;)C.pop()();E=!1,v.clear(),p(t)}function et(t){if(t.fragment!==null){t.update(),g(t.before_update);const e=t.dirty;t.dirty=[-1],t.fragment&&t.fragment.p(t.ctx,e),t.after_update.forEach(N)}}function nt(t){const e=[],n=[];m.forEach(i=>t.indexOf(i)===-1?e.push(i):n.push(i)),n.forEach(i=>i()),m=e}const x=new Set;let d;function St(){d={r:0,c:[],p:d}}function At(){d.r||g(d.c),d=d.p}function it(t,e){t&&t.i&&(x.delete(t),t.i(e))}function jt(t,e,n,i){if(t&&t.o){if(x.has(t))return;x.add(t),d.c.push(()=>{x.delete(t),i&&(n&&t.d(1),i())}),t.o(e)}else i&&i()}const rt=["allowfullscreen","allowpaymentrequest","async","autofocus","autoplay","checked","controls","default","defer","disabled","formnovalidate","hidden","inert","ismap","loop","multiple","muted","nomodule","novalidate","open","playsinline","readonly","required","reversed","selected"];[...rt];function kt(t){t&&t.c()}function Mt(t,e){t&&t.l(e)}function lt(t,e,n,i){const{fragment:r,after_update:a}=t.$$;r&&r.m(e,n),i||N(()=>{const l=t.$$.on_mount.map(T).filter(q);t.$$.on_destroy?t.$$.on_destroy.push(...l):g(l),t.$$.on_mount=[]}),a.forEach(N)}function ot(t,e){const n=t.$$;n.fragment!==null&&(nt(n.after_update),g(n.on_destroy),n.fragment&&n.fragment.d(e),n.on_destroy=n.fragment=null,n.ctx=[])}function ct(t,e){t.$$.dirty[0]===-1&&(h.push(t),z(),t.$$.dirty.fill(0)),t.$$.dirty[e/31|0]|=1<<e%31}function Ct(t,e,n,i,r,a,l,u=[-1]){const o=y;p(t);const c=t.$$={fragment:null,ctx:[],props:a,update:w,not_equal:r,bound:k(),on_mount:[],on_destroy:[],on_disconnect:[],before_update:[],after_update:[],context:new Map(e.context||(o?o.$$.context:[])),callbacks:k(),dirty:u,skip_bound:!1,root:e.target||o.$$.root};l&&l(c.root);let f=!1;if(c.ctx=n?n(t,e.props||{},(s,b,...A)=>{const j=A.length?A[0]:b;return c.ctx&&r(c.ctx[s],c.ctx[s]=j)&&(!c.skip_bound&&c.bound[s]&&c.bound[s](j),f&&ct(t,s)),b}):[],c.update(),f=!0,g(c.before_update),c.fragment=i?i(c.ctx):!1,e.target){if(e.hydrate){L();const s=X(e.target);c.fragment&&c.fragment.l(s),s.forEach(U)}else c.fragment&&c.fragment.c();e.intro&&it(t.$$.fragment),lt(t,e.target,e.anchor,e.customElement),J(),D()}p(o)}class Tt{$destroy(){ot(this,1),this.$destroy=w}$on(e,n){if(!q(n))return w;const i=this.$$.callbacks[e]||(this.$$.callbacks[e]=[]);return i.push(n),()=>{const r=i.indexOf(n);r!==-1&&i.splice(r,1)}}$set(e){this.$$set&&!H(e)&&(this.$$.skip_bound=!0,this.$$set(e),this.$$.skip_bound=!1)}}export{lt as A,ot as B,st as C,dt as D,_t as E,ft as F,R as G,w as H,at as I,Tt as S,mt as a,ht as b,bt as c,jt as d,pt as e,At as f,it as g,U as h,Ct as i,Et as j,V as k,gt as l,X as m,yt as n,vt as o,wt as p,S as q,tt as r,ut as s,Nt as t,xt as u,St as v,M as w,$t as x,kt as y,Mt as z};
@@ -1 +0,0 @@
-import{S as l,i,s as r,C as u,D as f,E as _,F as c,g as p,d as m}from"../chunks/index.ccd4248b.js";function d(o){let s;const a=o[1].default,e=u(a,o,o[0],null);return{c(){e&&e.c()},l(t){e&&e.l(t)},m(t,n){e&&e.m(t,n),s=!0},p(t,[n]){e&&e.p&&(!s||n&1)&&f(e,a,t,t[0],s?c(a,t[0],n,null):_(t[0]),null)},i(t){s||(p(e,t),s=!0)},o(t){m(e,t),s=!1},d(t){e&&e.d(t)}}}function $(o,s,a){let{$$slots:e={},$$scope:t}=s;return o.$$set=n=>{"$$scope"in n&&a(0,t=n.$$scope)},[t,e]}class h extends l{constructor(s){super(),i(this,s,$,d,r,{})}}export{h as component};
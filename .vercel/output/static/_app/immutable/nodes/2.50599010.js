@@ -1 +0,0 @@
-import{S as b,i as A,s as C,k as u,q as f,a as K,l as k,m as E,r as m,h as i,c as V,n as G,b as p,G as r,u as j,H as W}from"../chunks/index.ccd4248b.js";function w(d){let a,c,l,e,S,n,x,P,h,o,q,v;return{c(){a=u("h1"),c=f("Welcome to SvelteKit"),l=K(),e=u("p"),S=f("Visit "),n=u("a"),x=f("kit.svelte.dev"),P=f(" to read the documentation"),h=K(),o=u("p"),q=f("date from server: "),v=f(d[0]),this.h()},l(t){a=k(t,"H1",{});var s=E(a);c=m(s,"Welcome to SvelteKit"),s.forEach(i),l=V(t),e=k(t,"P",{});var _=E(e);S=m(_,"Visit "),n=k(_,"A",{href:!0});var H=E(n);x=m(H,"kit.svelte.dev"),H.forEach(i),P=m(_," to read the documentation"),_.forEach(i),h=V(t),o=k(t,"P",{});var y=E(o);q=m(y,"date from server: "),v=m(y,d[0]),y.forEach(i),this.h()},h(){G(n,"href","https://kit.svelte.dev")},m(t,s){p(t,a,s),r(a,c),p(t,l,s),p(t,e,s),r(e,S),r(e,n),r(n,x),r(e,P),p(t,h,s),p(t,o,s),r(o,q),r(o,v)},p(t,[s]){s&1&&j(v,t[0])},i:W,o:W,d(t){t&&i(a),t&&i(l),t&&i(e),t&&i(h),t&&i(o)}}}function z(d,a,c){let{data:l}=a;return d.$$set=e=>{"data"in e&&c(0,l=e.data)},[l]}class D extends b{constructor(a){super(),A(this,a,z,w,C,{data:0})}}export{D as component};
@@ -0,0 +1,64 @@
+// Copied from @sveltejs/adapter-vercel's files/serverless.js by ./vercel.js,
+// which replaces SERVER and MANIFEST. Only the request's signal is added.
+import { installPolyfills } from '@sveltejs/kit/node/polyfills';
+import { getRequest, setResponse } from '@sveltejs/kit/node';
+import { Server } from 'SERVER';
+import { manifest } from 'MANIFEST';
+
+installPolyfills();
+
+const server = new Server(manifest);
+
+await server.init({
+	env: /** @type {Record<string, string>} */ (process.env)
+});
+
+const DATA_SUFFIX = '/__data.json';
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export default async (req, res) => {
+	if (req.url) {
+		const [path, search] = req.url.split('?');
+
+		const params = new URLSearchParams(search);
+		let pathname = params.get('__pathname');
+
+		if (pathname) {
+			params.delete('__pathname');
+			// Optional routes' pathname replacements look like `/foo/$1/bar` which means we could end up with an url like /foo//bar
+			pathname = pathname.replace(/\/+/g, '/');
+			req.url = `${pathname}${path.endsWith(DATA_SUFFIX) ? DATA_SUFFIX : ''}?${params}`;
+		}
+	}
+
+	// The connection closing before the response has been sent means the
+	// client went away.
+	const disconnected = new AbortController();
+	res.on('close', () => {
+		if (!res.writableEnded) disconnected.abort();
+	});
+
+	/** @type {Request} */
+	let request;
+
+	try {
+		request = new Request(await getRequest({ base: `https://${req.headers.host}`, request: req }), {
+			signal: disconnected.signal
+		});
+	} catch (err) {
+		res.statusCode = /** @type {any} */ (err).status || 400;
+		return res.end('Invalid request body');
+	}
+
+	setResponse(
+		res,
+		await server.respond(request, {
+			getClientAddress() {
+				return /** @type {string} */ (request.headers.get('x-forwarded-for'));
+			}
+		})
+	);
+};
@@ -0,0 +1,29 @@
+import { fileURLToPath } from 'node:url';
+import vercel from '@sveltejs/adapter-vercel';
+
+const SERVERLESS_ENTRY = fileURLToPath(new URL('./vercel-serverless.js', import.meta.url));
+
+/**
+ * adapter-vercel, except that serverless functions are built from
+ * `vercel-serverless.js`, which aborts `request.signal` when the client
+ * disconnects so that pending model calls are cancelled. The adapter has no
+ * option for its entry, so ours is swapped in when it copies its own; keep
+ * the two in sync when upgrading the adapter.
+ * @param {import('@sveltejs/adapter-vercel').Config} [options]
+ * @returns {import('@sveltejs/kit').Adapter}
+ */
+export default function adapter(options) {
+	const base = vercel(options);
+	return {
+		...base,
+		adapt(builder) {
+			return base.adapt({
+				...builder,
+				copy(from, to, opts) {
+					const source = from.endsWith('/files/serverless.js') ? SERVERLESS_ENTRY : from;
+					return builder.copy(source, to, opts);
+				}
+			});
+		}
+	};
+}
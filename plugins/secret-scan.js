@@ -0,0 +1,81 @@
+import { loadEnv } from 'vite';
+
+/**
+ * Patterns for credentials that should never appear in a bundle.
+ * @type {{ name: string, pattern: RegExp }[]}
+ */
+const DEFAULT_PATTERNS = [
+	{ name: 'OpenAI API key', pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/g },
+	{ name: 'AWS access key id', pattern: /\bAKIA[0-9A-Z]{16}\b/g },
+	{ name: 'GitHub token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+	{ name: 'Slack token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+	{ name: 'private key', pattern: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----/g }
+];
+
+/** Environment variables whose values are treated as secrets. */
+const SECRET_NAME = /KEY|SECRET|TOKEN|PASSWORD/i;
+
+/**
+ * Shows enough of a match to find it without printing the secret itself.
+ * @param {string} value
+ */
+function redact(value) {
+	return `${value.slice(0, 6)}…(${value.length} chars)`;
+}
+
+/**
+ * Fails the build when any emitted chunk or asset, server or client, contains
+ * a string that looks like a credential or equals the value of a secret-looking
+ * variable from the project's `.env` files. SvelteKit runs one Vite build per
+ * side, so both are covered by the same plugin instance.
+ * @param {{ patterns?: { name: string, pattern: RegExp }[] }} [options]
+ * @returns {import('vite').Plugin}
+ */
+export function secretScan({ patterns = DEFAULT_PATTERNS } = {}) {
+	/** @type {string[]} */
+	let envSecrets = [];
+
+	return {
+		name: 'secret-scan',
+		apply: 'build',
+
+		configResolved(config) {
+			const env = loadEnv(config.mode, config.envDir ?? config.root, '');
+			envSecrets = Object.entries(env)
+				.filter(([name, value]) => SECRET_NAME.test(name) && value.length >= 8)
+				.map(([, value]) => value);
+		},
+
+		generateBundle(_options, bundle) {
+			/** @type {string[]} */
+			const findings = [];
+
+			for (const file of Object.values(bundle)) {
+				const code =
+					file.type === 'chunk'
+						? file.code
+						: typeof file.source === 'string'
+						? file.source
+						: new TextDecoder().decode(file.source);
+
+				for (const { name, pattern } of patterns) {
+					for (const [match] of code.matchAll(pattern)) {
+						findings.push(`${file.fileName}: ${name} ${redact(match)}`);
+					}
+				}
+				for (const secret of envSecrets) {
+					if (code.includes(secret)) {
+						findings.push(`${file.fileName}: value of a secret .env variable ${redact(secret)}`);
+					}
+				}
+			}
+
+			if (findings.length > 0) {
+				this.error(
+					`Refusing to emit a bundle containing secrets:\n  ${findings.join('\n  ')}\n` +
+						'Read secrets at runtime through $env/dynamic/private instead of inlining them.'
+				);
+			}
+		}
+	};
+}
@@ -0,0 +1,178 @@
+import { spawn } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+
+const PUBLIC_ID = '$wasm';
+const VIRTUAL_ID = '\0wasm-pack:bindings';
+
+/** wasm-pack builds shared by the client and server builds of one `vite build`. */
+/** @type {Map<string, Promise<void>>} */
+const builds = new Map();
+
+/**
+ * @param {string} crate
+ * @param {string} outDir
+ * @param {'dev' | 'release'} profile
+ */
+function runWasmPack(crate, outDir, profile) {
+	const args = ['build', crate, '--target', 'web', '--out-dir', outDir, `--${profile}`];
+	return new Promise((resolve, reject) => {
+		const child = spawn('wasm-pack', args, {
+			stdio: 'inherit',
+			shell: process.platform === 'win32'
+		});
+		child.on('error', (error) =>
+			reject(new Error(`Could not run wasm-pack (${error.message}). Is it installed?`))
+		);
+		child.on('exit', (code) =>
+			code === 0 ? resolve(undefined) : reject(new Error(`wasm-pack exited with code ${code}`))
+		);
+	});
+}
+
+/**
+ * Builds the Rust crate in `crate` with wasm-pack and exposes its bindings to
+ * server code as `$wasm`, whose default export instantiates the module.
+ *
+ * `vite build` runs wasm-pack with the release profile before bundling;
+ * `vite dev` (and Vitest) use the dev profile when `$wasm` is first loaded,
+ * so code and tests that don't use it need no Rust toolchain, and rebuild
+ * whenever a file in the crate changes, then reload the page.
+ *
+ * The compiled `.wasm` is emitted next to the server bundle and loaded the
+ * way each runtime requires. Cloudflare Workers cannot compile WebAssembly
+ * from bytes at runtime, so for `runtime: 'worker'` the module is imported as
+ * a `.wasm` file, which adapter-cloudflare's bundler copies alongside the
+ * worker. For `runtime: 'node'` (the Vercel function) it is read from disk
+ * relative to the bundle, where Vercel's file tracing picks it up.
+ * @param {{ crate?: string, runtime: 'worker' | 'node', profile?: 'dev' | 'release' }} options
+ * @returns {import('vite').Plugin}
+ */
+export function wasmPack({ crate = 'wasm', runtime, profile }) {
+	/** @type {import('vite').ResolvedConfig} */
+	let config;
+	let crateDir = '';
+	let pkgDir = '';
+	let name = '';
+
+	const bindingsPath = () => path.join(pkgDir, `${name}.js`);
+	const wasmPath = () => path.join(pkgDir, `${name}_bg.wasm`);
+
+	/** @param {'dev' | 'release'} profile */
+	const build = (profile) => {
+		const key = `${crateDir}:${profile}`;
+		let pending = builds.get(key);
+		if (!pending) {
+			pending = runWasmPack(crateDir, pkgDir, profile);
+			builds.set(key, pending);
+		}
+		return pending;
+	};
+
+	return {
+		name: 'wasm-pack',
+		enforce: 'pre',
+
+		configResolved(resolved) {
+			config = resolved;
+			crateDir = path.resolve(config.root, crate);
+			pkgDir = path.join(crateDir, 'pkg');
+			const manifest = readFileSync(path.join(crateDir, 'Cargo.toml'), 'utf-8');
+			const match = /^\s*name\s*=\s*"([^"]+)"/m.exec(manifest);
+			if (!match) throw new Error(`No package name in ${crate}/Cargo.toml`);
+			name = match[1].replace(/-/g, '_');
+		},
+
+		async buildStart() {
+			if (config.command === 'build') await build(profile ?? 'release');
+		},
+
+		configureServer(server) {
+			/** @type {ReturnType<typeof setTimeout> | undefined} */
+			let timer;
+			let building = Promise.resolve();
+
+			const rebuild = () => {
+				building = building.then(async () => {
+					try {
+						await runWasmPack(crateDir, pkgDir, profile ?? 'dev');
+					} catch (error) {
+						config.logger.error(`[wasm-pack] ${/** @type {Error} */ (error).message}`);
+						return;
+					}
+					// Modules holding WASM instances (like cached tokenizers) must be
+					// re-evaluated too, not just the bindings.
+					server.moduleGraph.invalidateAll();
+					server.ws.send({ type: 'full-reload' });
+				});
+			};
+
+			const manifests = ['Cargo.toml', 'Cargo.lock'];
+			server.watcher.add([
+				path.join(crateDir, 'src'),
+				...manifests.map((name) => path.join(crateDir, name))
+			]);
+			server.watcher.on('change', (file) => {
+				const relative = path.relative(crateDir, file);
+				if (manifests.includes(relative) || relative.startsWith(`src${path.sep}`)) {
+					clearTimeout(timer);
+					timer = setTimeout(rebuild, 100);
+				}
+			});
+		},
+
+		resolveId(source) {
+			if (source === PUBLIC_ID) return VIRTUAL_ID;
+		},
+
+		async load(id, options) {
+			if (id !== VIRTUAL_ID) return;
+			if (!options?.ssr) {
+				this.error(`${PUBLIC_ID} can only be imported by server code`);
+			}
+			if (config.command === 'serve') await build(profile ?? 'dev');
+
+			const bindings = JSON.stringify(bindingsPath().split(path.sep).join('/'));
+			const init = [
+				`import { initSync } from ${bindings};`,
+				`export * from ${bindings};`,
+				'let ready;',
+				'/** Instantiates the module once; call before using the bindings. */',
+				'export default function init() {',
+				'\tif (!ready) ready = load().then((module) => initSync({ module }));',
+				'\treturn ready;',
+				'}'
+			].join('\n');
+
+			if (config.command === 'serve') {
+				return `import { readFile } from 'node:fs/promises';\n${init}\nconst load = async () => new WebAssembly.Module(await readFile(${JSON.stringify(wasmPath())}));\n`;
+			}
+
+			const reference = this.emitFile({
+				type: 'asset',
+				fileName: `wasm/${name}_bg.wasm`,
+				source: readFileSync(wasmPath())
+			});
+
+			if (runtime === 'worker') {
+				// Imported lazily: SvelteKit loads the server build in Node to analyse
+				// it, and Node can't import `.wasm` files.
+				return `${init}\nconst load = async () => (await import(import.meta.ROLLUP_FILE_URL_${reference})).default;\n`;
+			}
+
+			return `import { readFile } from 'node:fs/promises';\n${init}\nconst load = async () => new WebAssembly.Module(await readFile(import.meta.ROLLUP_FILE_URL_${reference}));\n`;
+		},
+
+		resolveFileUrl({ relativePath, moduleId }) {
+			if (moduleId !== VIRTUAL_ID) return;
+			if (runtime === 'worker') {
+				// A plain relative specifier, which adapter-cloudflare's bundler
+				// resolves and copies next to the worker.
+				return JSON.stringify(relativePath.startsWith('.') ? relativePath : `./${relativePath}`);
+			}
+			// A URL object rather than Rollup's default `.href` string, since
+			// readFile treats strings as paths.
+			return `new URL(${JSON.stringify(relativePath)}, import.meta.url)`;
+		}
+	};
+}
@@ -0,0 +1,142 @@
+/**
+ * Runs the vector store conformance checks against every backend, or the ones
+ * named on the command line, using local stand-ins where a backend needs a
+ * service: an in-memory fake of the Vectorize binding, and PGlite (Postgres
+ * compiled to WebAssembly) with pgvector.
+ *
+ *   npm run check:vectors [-- memory vectorize pgvector]
+ *
+ * Server modules are loaded through Vite, which compiles the WASM crate the
+ * memory store uses. Each backend is only loaded when it is checked, so the
+ * others don't need the Rust toolchain.
+ */
+import { createServer } from 'vite';
+
+/**
+ * Mimics a Vectorize index binding as far as the store relies on it: fixed
+ * dimensions, cosine scores, ids unique across namespaces, metadata filters
+ * with `$eq` and `$in`, and the `topK` limit when returning metadata.
+ * Writes are visible immediately, unlike on Cloudflare.
+ */
+class VectorizeStandIn {
+	/** @param {number} dimensions */
+	constructor(dimensions) {
+		this.dimensions = dimensions;
+		/** @type {Map<string, { values: number[], namespace?: string, metadata: Record<string, any> }>} */
+		this.vectors = new Map();
+	}
+
+	async describe() {
+		return { dimensions: this.dimensions, vectorCount: this.vectors.size };
+	}
+
+	/** @param {{ id: string, values: number[], namespace?: string, metadata?: Record<string, any> }[]} vectors */
+	async upsert(vectors) {
+		for (const { id, values, namespace, metadata = {} } of vectors) {
+			if (values.length !== this.dimensions) {
+				throw new Error(`Expected ${this.dimensions} dimensions, got ${values.length}`);
+			}
+			for (const value of Object.values(metadata)) {
+				if (value === null) throw new Error('Metadata values cannot be null');
+			}
+			this.vectors.set(id, { values: [...values], namespace, metadata: { ...metadata } });
+		}
+		return { mutationId: crypto.randomUUID() };
+	}
+
+	/** @param {string[]} ids */
+	async deleteByIds(ids) {
+		for (const id of ids) this.vectors.delete(id);
+		return { mutationId: crypto.randomUUID() };
+	}
+
+	/**
+	 * @param {number[]} query
+	 * @param {{ topK?: number, namespace?: string, returnMetadata?: string, filter?: Record<string, any> }} options
+	 */
+	async query(query, { topK = 5, namespace, returnMetadata, filter = {} }) {
+		if (returnMetadata === 'all' && topK > 20) {
+			throw new Error('topK must be at most 20 when returning all metadata');
+		}
+		/** @param {number[]} v */
+		const norm = (v) => Math.hypot(...v) || 1;
+		/** @param {any} value @param {any} condition */
+		const matches = (value, condition) =>
+			condition !== null && typeof condition === 'object'
+				? '$in' in condition
+					? condition.$in.includes(value)
+					: value === condition.$eq
+				: value === condition;
+
+		const results = [];
+		for (const [id, { values, namespace: ns, metadata }] of this.vectors) {
+			if (ns !== namespace) continue;
+			if (!Object.entries(filter).every(([field, c]) => matches(metadata[field], c))) continue;
+			const dot = values.reduce((sum, value, i) => sum + value * query[i], 0);
+			const score = dot / (norm(values) * norm(query));
+			results.push({ id, score, metadata: returnMetadata ? metadata : undefined });
+		}
+		results.sort((a, b) => b.score - a.score);
+		return { matches: results.slice(0, topK), count: Math.min(results.length, topK) };
+	}
+}
+
+async function main() {
+	const server = await createServer({
+		server: { middlewareMode: true, hmr: false },
+		appType: 'custom',
+		logLevel: 'warn'
+	});
+
+	try {
+		const { DIMENSIONS, checkVectorStore } = await server.ssrLoadModule(
+			'/src/lib/server/vectors/conformance.js'
+		);
+
+		/** @type {Record<string, () => Promise<import('../src/lib/server/vectors/index.js').VectorStore>>} */
+		const backends = {
+			memory: async () => {
+				const { createMemoryVectorStore } = await server.ssrLoadModule(
+					'/src/lib/server/vectors/memory.js'
+				);
+				return createMemoryVectorStore();
+			},
+			vectorize: async () => {
+				const { createVectorizeStore } = await server.ssrLoadModule(
+					'/src/lib/server/vectors/vectorize.js'
+				);
+				return createVectorizeStore(new VectorizeStandIn(DIMENSIONS));
+			},
+			pgvector: async () => {
+				const [{ createPgvectorStore }, { PGlite }, { vector }] = await Promise.all([
+					server.ssrLoadModule('/src/lib/server/vectors/pgvector.js'),
+					import('@electric-sql/pglite'),
+					import('@electric-sql/pglite/vector')
+				]);
+				const db = await PGlite.create({ extensions: { vector } });
+				return createPgvectorStore({
+					query: async (text, params) => (await db.query(text, params)).rows
+				});
+			}
+		};
+
+		const names = process.argv.slice(2);
+		for (const name of names.length > 0 ? names : Object.keys(backends)) {
+			const create = backends[name];
+			if (!create) throw new Error(`Unknown backend "${name}"`);
+
+			console.log(name);
+			for (const { name: check, error } of await checkVectorStore(await create())) {
+				console.log(`  ${error ? '✗' : '✓'} ${check}${error ? `: ${error.message}` : ''}`);
+				if (error) process.exitCode = 1;
+			}
+		}
+	} finally {
+		await server.close();
+	}
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exitCode = 1;
+});
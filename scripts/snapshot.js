@@ -0,0 +1,55 @@
+/**
+ * Moves a knowledge base between deployments through their `/api/snapshot`
+ * endpoints:
+ *
+ *   npm run snapshot -- export <url> [file]
+ *   npm run snapshot -- import <url> <file>
+ *
+ * `<url>` is the deployment's base URL, e.g. http://localhost:5173, and
+ * `API_TOKEN` must hold one of its `API_TOKENS`. Exports are written to
+ * `snapshot-<date>.json.gz` unless a file is given.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+
+const USAGE = 'Usage: snapshot export <url> [file] | snapshot import <url> <file>';
+
+/**
+ * @param {string} command
+ * @param {string | undefined} base
+ * @param {string | undefined} file
+ */
+async function main(command, base, file) {
+	if (!base || !['export', 'import'].includes(command) || (command === 'import' && !file)) {
+		throw new Error(USAGE);
+	}
+	if (!process.env.API_TOKEN) {
+		throw new Error('Set API_TOKEN to an API token of the deployment');
+	}
+
+	const url = new URL('/api/snapshot', base);
+	const headers = { authorization: `Bearer ${process.env.API_TOKEN}` };
+
+	if (command === 'export') {
+		const response = await fetch(url, { headers });
+		if (!response.ok) throw new Error(`Export failed: ${response.status} ${await response.text()}`);
+
+		const name = /filename="([^"]+)"/.exec(response.headers.get('content-disposition') ?? '')?.[1];
+		const path = file ?? name ?? 'snapshot.json.gz';
+		await writeFile(path, new Uint8Array(await response.arrayBuffer()));
+		console.log(`Exported ${response.headers.get('x-snapshot-documents')} documents to ${path}`);
+	} else {
+		const response = await fetch(url, {
+			method: 'POST',
+			headers: { ...headers, 'content-type': 'application/gzip' },
+			body: await readFile(/** @type {string} */ (file))
+		});
+		const result = await response.json().catch(() => ({ error: response.statusText }));
+		if (!response.ok) throw new Error(`Import failed: ${result.error ?? result.message}`);
+		console.log(`Imported ${result.documents} documents (${result.chunks} chunks)`);
+	}
+}
+
+main(process.argv[2], process.argv[3], process.argv[4]).catch((error) => {
+	console.error(error.message);
+	process.exitCode = 1;
+});
@@ -1,11 +1,33 @@
 // See https://kit.svelte.dev/docs/types#app
 // for information about these interfaces
+import type { D1Database, KVNamespace, R2Bucket, Vectorize } from '@cloudflare/workers-types/index';
+
 declare global {
 	namespace App {
-		// interface Error {}
-		// interface Locals {}
+		interface Error {
+			message: string;
+			/** Set for unexpected errors, which are classified by `handleError`. */
+			reason?: import('$lib/server/errors.js').FailureReason;
+			/** Identifies the error in the server logs. */
+			id?: string;
+		}
+		interface Locals {
+			/** Set when the request carries a valid API token. */
+			user: { id: string; admin: boolean } | null;
+			/** Identifies the request in the logs and the `x-request-id` response header. */
+			requestId: string;
+			/** Added to the request's log line once it is complete. */
+			log: import('$lib/server/log.js').RequestLog;
+		}
 		// interface PageData {}
-		// interface Platform {}
+		interface Platform {
+			env?: {
+				KV?: KVNamespace;
+				DB?: D1Database;
+				BUCKET?: R2Bucket;
+				VECTORIZE?: Vectorize;
+			};
+		}
 	}
 }
 
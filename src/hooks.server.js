@@ -0,0 +1,46 @@
+import { building } from '$app/environment';
+import { authenticate } from '$lib/server/auth.js';
+import { assertEnv } from '$lib/server/env.js';
+import { logError } from '$lib/server/errors.js';
+import { logRequest, requestId } from '$lib/server/log.js';
+import { rateLimit } from '$lib/server/ratelimit/index.js';
+
+// Runs once when the server starts (on Cloudflare, on the Worker's first
+// request) so a misconfigured deployment fails loudly instead of on the first
+// model call. The environment is not available while building.
+if (!building) {
+	assertEnv();
+}
+
+/**
+ * Assigns every request an id, returned in the `x-request-id` header and
+ * passed to the model's callbacks, and logs it as a JSON line with its
+ * status, duration and model usage once the response is complete.
+ * @type {import('@sveltejs/kit').Handle}
+ */
+export async function handle({ event, resolve }) {
+	const started = Date.now();
+	event.locals.requestId = requestId(event.request);
+	event.locals.log = { usage: [] };
+	event.locals.user = await authenticate(event.request);
+
+	const response = (await rateLimit(event)) ?? (await resolve(event));
+	response.headers.set('x-request-id', event.locals.requestId);
+	return logRequest(event, response, started);
+}
+
+/**
+ * Replaces unexpected errors with a message saying what kind of failure it
+ * was and what to do about it, plus an id to quote when reporting it, which
+ * is also logged with the error. The id is the request's, so the error can
+ * be matched to its log line too. Nothing from the error itself reaches the
+ * client. Requests for pages that don't exist come through here as well, and
+ * are just not found.
+ * @type {import('@sveltejs/kit').HandleServerError}
+ */
+export function handleError({ error, event }) {
+	if (event.route.id === null) return { message: 'Not found' };
+	const id = event.locals.requestId ?? crypto.randomUUID();
+	const { reason, message } = logError(id, error);
+	return { message, reason, id };
+}
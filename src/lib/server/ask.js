@@ -0,0 +1,88 @@
+import { PromptTemplate } from 'langchain/prompts';
+import { DEFAULT_WEIGHTS, searchChunks } from './documents/search.js';
+import { createModel } from './llm/index.js';
+import { embeddingUsage, trackUsage } from './usage.js';
+
+/** Number of chunks retrieved when the caller doesn't say. */
+export const DEFAULT_TOP_K = 4;
+
+const prompt = PromptTemplate.fromTemplate(
+	[
+		'Answer the question using only the numbered sources below. Cite every source you use by its number in square brackets, like [1] or [2][3]. If the sources do not contain the answer, say that you do not know.',
+		'',
+		'Sources:',
+		'{sources}',
+		'',
+		'Question: {question}',
+		'Answer:'
+	].join('\n')
+);
+
+/**
+ * A retrieved chunk, numbered as the model was shown it.
+ * @typedef {import('./documents/search.js').SearchResult & { number: number, cited: boolean }} Source
+ */
+
+/**
+ * @param {import('./documents/search.js').SearchResult} result
+ * @param {number} index
+ */
+function formatSource({ headings, text }, index) {
+	const context = headings.length > 0 ? ` (${headings.join(' > ')})` : '';
+	return `[${index + 1}]${context}\n${text}`;
+}
+
+/**
+ * Numbers of the sources an answer cites, ignoring any that don't exist.
+ * @param {string} answer
+ * @param {number} count
+ */
+function citedNumbers(answer, count) {
+	const numbers = [...answer.matchAll(/\[(\d+)\]/g)].map(([, number]) => Number(number));
+	return new Set(numbers.filter((number) => number >= 1 && number <= count));
+}
+
+/**
+ * Answers a question from the ingested documents: retrieves the `k` best
+ * matching chunks, optionally from some documents only and with the given
+ * keyword and vector weights, asks the model to answer from them alone, and
+ * returns the answer along with the numbered sources it could cite.
+ * Retrieval usage is null when the question wasn't embedded. `signal` cancels
+ * the model call, which is logged under `requestId`.
+ * @param {import('./storage/index.js').Storage} storage
+ * @param {string} question
+ * @param {{ k?: number, documentIds?: string[], weights?: import('./documents/search.js').SearchWeights, signal?: AbortSignal, requestId?: string }} [options]
+ */
+export async function askQuestion(
+	storage,
+	question,
+	{ k = DEFAULT_TOP_K, documentIds, weights = DEFAULT_WEIGHTS, signal, requestId } = {}
+) {
+	let embedded = false;
+	const results = await searchChunks(storage, question, k, {
+		documentIds,
+		weights,
+		onEmbed: () => (embedded = true)
+	});
+	const retrieval = embedded ? await embeddingUsage([question]) : null;
+	if (results.length === 0) {
+		return { answer: null, sources: [], usage: { retrieval, completion: null } };
+	}
+
+	const tracker = trackUsage(requestId);
+	const answer = await createModel({ temperature: 0, callbacks: [tracker.handler], signal }).call(
+		await prompt.format({ sources: results.map(formatSource).join('\n\n'), question })
+	);
+	const cited = citedNumbers(answer, results.length);
+
+	return {
+		answer: answer.trim(),
+		/** @type {Source[]} */
+		sources: results.map((result, index) => ({
+			...result,
+			number: index + 1,
+			cited: cited.has(index + 1)
+		})),
+		usage: { retrieval, completion: await tracker.total() }
+	};
+}
@@ -0,0 +1,68 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import { env } from '$env/dynamic/private';
+import { askQuestion } from './ask.js';
+import { importDocument } from './documents/index.js';
+import { createLocalStorage } from './storage/local.js';
+
+// Token counts don't matter here, and the real ones need the WASM tokenizer.
+vi.mock('./tokens.js', () => ({
+	countTokens: async (/** @type {string} */ text) => text.split(/\s+/).length
+}));
+
+/**
+ * Local storage with a vector store holding `vectors` for the chunk `doc:0`.
+ * @param {boolean} vectors
+ */
+function storage(vectors) {
+	return {
+		...createLocalStorage(':memory:'),
+		vectors: {
+			has: async () => vectors,
+			upsert: async () => {},
+			delete: async () => {},
+			query: async () =>
+				vectors ? [{ id: 'doc:0', score: 1, metadata: { documentId: 'doc', seq: 0 } }] : []
+		}
+	};
+}
+
+beforeEach(() => {
+	vi.spyOn(console, 'log').mockImplementation(() => {});
+	env.LLM_PROVIDER = 'mock';
+	env.LLM_FALLBACKS = '';
+	env.LLM_MODEL = '';
+	env.EMBEDDING_MODEL = '';
+	env.MOCK_LLM_SCRIPT = JSON.stringify([{ response: 'Empty it [1].' }]);
+});
+
+describe('askQuestion', () => {
+	test('counts embedding the question as retrieval usage', async () => {
+		const target = storage(true);
+		await importDocument(
+			target,
+			{
+				id: 'doc',
+				name: 'doc.md',
+				type: 'markdown',
+				content: 'The tray is empty.',
+				chunkSize: 1000,
+				chunkOverlap: 0,
+				createdAt: '2026-01-01T00:00:00.000Z',
+				chunks: [{ text: 'The tray is empty.', start: 0, end: 18, headings: [], embedding: [1] }]
+			},
+			'mock/default'
+		);
+
+		const { answer, usage } = await askQuestion(target, 'What about the tray?');
+
+		expect(answer).toBe('Empty it [1].');
+		expect(usage.retrieval).toMatchObject({ promptTokens: 4, completionTokens: 0 });
+	});
+
+	test('records no retrieval usage when there was nothing to embed the question for', async () => {
+		const { answer, usage } = await askQuestion(storage(false), 'What about the tray?');
+
+		expect(answer).toBeNull();
+		expect(usage).toEqual({ retrieval: null, completion: null });
+	});
+});
@@ -0,0 +1,83 @@
+import { error } from '@sveltejs/kit';
+import { env } from '$env/dynamic/private';
+
+/** @param {string} text */
+async function sha256(text) {
+	return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+/**
+ * Whether two digests are equal, compared in constant time so that the time
+ * taken says nothing about where they differ. Workers have no
+ * `crypto.timingSafeEqual`; hashing both sides first makes them the same
+ * length whatever the tokens' lengths.
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ */
+function digestsEqual(a, b) {
+	let difference = a.length ^ b.length;
+	for (let i = 0; i < a.length; i++) difference |= a[i] ^ b[i];
+	return difference === 0;
+}
+
+/**
+ * Resolves the user behind an `Authorization: Bearer <token>` header.
+ * Tokens are configured in `API_TOKENS` as comma-separated `user:token`
+ * pairs, and users listed in the comma-separated `ADMIN_USERS` are admins.
+ * Requests without a known token are anonymous. Every configured token is
+ * compared, in constant time.
+ * @param {Request} request
+ * @returns {Promise<App.Locals['user']>}
+ */
+export async function authenticate(request) {
+	const header = request.headers.get('authorization');
+	if (!header?.startsWith('Bearer ') || !env.API_TOKENS) return null;
+
+	const bearer = header.slice('Bearer '.length).trim();
+	if (!bearer) return null;
+	const token = await sha256(bearer);
+	/** @type {string | null} */
+	let id = null;
+	for (const pair of env.API_TOKENS.split(',')) {
+		const separator = pair.indexOf(':');
+		if (separator <= 0) continue;
+		const matches = digestsEqual(token, await sha256(pair.slice(separator + 1).trim()));
+		if (matches && id === null) id = pair.slice(0, separator).trim();
+	}
+	if (id === null) return null;
+	const admins = (env.ADMIN_USERS ?? '').split(',').map((user) => user.trim());
+	return { id, admin: admins.includes(id) };
+}
+
+/**
+ * Why a request may not do what only users, or with `admin` only admins, may
+ * do: a 401 for anonymous requests and a 403 for users who aren't admins, or
+ * null if it may. Form actions return it with `fail`; endpoints use
+ * `requireUser` and `requireAdmin`, which throw it.
+ * @param {App.Locals} locals
+ * @param {{ admin?: boolean }} [options]
+ * @returns {{ status: 401 | 403, message: string } | null}
+ */
+export function denial(locals, { admin = false } = {}) {
+	if (!locals.user) return { status: 401, message: 'An API token is required' };
+	if (admin && !locals.user.admin) return { status: 403, message: 'Only admins can do this' };
+	return null;
+}
+
+/**
+ * Throws a 401 for anonymous requests.
+ * @param {App.Locals} locals
+ */
+export function requireUser(locals) {
+	const denied = denial(locals);
+	if (denied) throw error(denied.status, denied.message);
+}
+
+/**
+ * Throws a 401 for anonymous requests and a 403 for users who aren't admins.
+ * @param {App.Locals} locals
+ */
+export function requireAdmin(locals) {
+	const denied = denial(locals, { admin: true });
+	if (denied) throw error(denied.status, denied.message);
+}
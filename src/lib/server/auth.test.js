@@ -0,0 +1,37 @@
+import { beforeEach, describe, expect, test } from 'vitest';
+import { env } from '$env/dynamic/private';
+import { authenticate } from './auth.js';
+
+/** @param {string} [authorization] */
+const request = (authorization) =>
+	new Request('http://localhost/', {
+		headers: authorization ? { authorization } : {}
+	});
+
+beforeEach(() => {
+	env.API_TOKENS = 'ada:secret-one, grace:secret-two, nobody:';
+	env.ADMIN_USERS = 'grace';
+});
+
+describe('authenticate', () => {
+	test('resolves the user and whether they are an admin from their token', async () => {
+		expect(await authenticate(request('Bearer secret-one'))).toEqual({ id: 'ada', admin: false });
+		expect(await authenticate(request('Bearer  secret-two '))).toEqual({
+			id: 'grace',
+			admin: true
+		});
+	});
+
+	test('treats unknown, empty or missing tokens as anonymous', async () => {
+		expect(await authenticate(request('Bearer secret-on'))).toBeNull();
+		expect(await authenticate(request('Bearer secret-one-and-more'))).toBeNull();
+		expect(await authenticate(request('Bearer '))).toBeNull();
+		expect(await authenticate(request('Basic secret-one'))).toBeNull();
+		expect(await authenticate(request())).toBeNull();
+	});
+
+	test('accepts no tokens when none are configured', async () => {
+		env.API_TOKENS = '';
+		expect(await authenticate(request('Bearer secret-one'))).toBeNull();
+	});
+});
@@ -0,0 +1,212 @@
+import { ConversationChain } from 'langchain/chains';
+import {
+	BufferMemory,
+	BufferWindowMemory,
+	ChatMessageHistory,
+	ConversationSummaryMemory
+} from 'langchain/memory';
+import { AIChatMessage, HumanChatMessage } from 'langchain/schema';
+import { createModel } from './llm/index.js';
+import { trackUsage } from './usage.js';
+
+/** Number of exchanges the sliding window memory keeps. */
+const WINDOW_SIZE = 4;
+
+export const MEMORY_TYPES = /** @type {const} */ (['buffer', 'window', 'summary']);
+
+/** @typedef {typeof MEMORY_TYPES[number]} MemoryType */
+
+/**
+ * @typedef {object} ChatMessage
+ * @property {'human' | 'ai'} role
+ * @property {string} content
+ * @property {import('./usage.js').Usage} [usage] Tokens spent producing an
+ *   answer, including any memory summarisation.
+ */
+
+/**
+ * @typedef {object} Conversation
+ * @property {string} id
+ * @property {string} owner See `conversationOwner`.
+ * @property {MemoryType} memory
+ * @property {ChatMessage[]} messages The full transcript, whatever the memory type.
+ * @property {string} summary Running summary, only used by summary memory.
+ * @property {string} previousSummary Summary before the last exchange, kept so
+ *   the last answer can be regenerated.
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/** Cookie identifying a visitor without an API token, who owns their conversations. */
+const SESSION_COOKIE = 'chat_session';
+
+const SESSION_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Conversations are stored under their owner, so that listing them only
+ * reads the owner's.
+ * @param {string} owner
+ * @param {string} id
+ */
+const key = (owner, id) => `chat:${owner}:${id}`;
+
+/**
+ * Who owns the conversations a request creates and may see: the user behind
+ * its API token, or else the visitor its session cookie identifies. Visitors
+ * without one are given a new session.
+ * @param {Pick<import('@sveltejs/kit').RequestEvent, 'cookies' | 'locals'>} event
+ */
+export function conversationOwner({ cookies, locals }) {
+	if (locals.user) return `user:${locals.user.id}`;
+
+	let session = cookies.get(SESSION_COOKIE);
+	if (!session || !SESSION_ID.test(session)) {
+		session = crypto.randomUUID();
+		cookies.set(SESSION_COOKIE, session, {
+			path: '/',
+			httpOnly: true,
+			sameSite: 'lax',
+			maxAge: 60 * 60 * 24 * 365
+		});
+	}
+	return `session:${session}`;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is MemoryType}
+ */
+export function isMemoryType(value) {
+	return MEMORY_TYPES.includes(/** @type {MemoryType} */ (value));
+}
+
+/**
+ * @param {import('./storage/index.js').KeyValueStore} kv
+ * @param {string} owner
+ * @param {MemoryType} memory
+ */
+export async function createConversation(kv, owner, memory) {
+	const now = new Date().toISOString();
+	/** @type {Conversation} */
+	const conversation = {
+		id: crypto.randomUUID(),
+		owner,
+		memory,
+		messages: [],
+		summary: '',
+		previousSummary: '',
+		createdAt: now,
+		updatedAt: now
+	};
+	await saveConversation(kv, conversation);
+	return conversation;
+}
+
+/**
+ * Returns a conversation if `owner` owns it, and `null` otherwise, so that
+ * others can't tell whether it exists.
+ * @param {import('./storage/index.js').KeyValueStore} kv
+ * @param {string} owner
+ * @param {string} id
+ * @returns {Promise<Conversation | null>}
+ */
+export async function getConversation(kv, owner, id) {
+	const value = await kv.get(key(owner, id));
+	/** @type {Conversation | null} */
+	const conversation = value ? JSON.parse(value) : null;
+	return conversation?.owner === owner ? conversation : null;
+}
+
+/**
+ * The conversations of `owner`, most recently updated first.
+ * @param {import('./storage/index.js').KeyValueStore} kv
+ * @param {string} owner
+ */
+export async function listConversations(kv, owner) {
+	const keys = await kv.list(key(owner, ''));
+	const conversations = await Promise.all(keys.map((k) => kv.get(k)));
+	return conversations
+		.filter(/** @returns {value is string} */ (value) => value !== null)
+		.map((value) => /** @type {Conversation} */ (JSON.parse(value)))
+		.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * @param {import('./storage/index.js').KeyValueStore} kv
+ * @param {Conversation} conversation
+ */
+async function saveConversation(kv, conversation) {
+	await kv.put(key(conversation.owner, conversation.id), JSON.stringify(conversation));
+}
+
+/**
+ * Rebuilds the LangChain memory for a conversation from its stored state.
+ * @param {Conversation} conversation
+ * @param {import('langchain/llms/base').BaseLLM} llm
+ */
+function createMemory(conversation, llm) {
+	const chatHistory = new ChatMessageHistory(
+		conversation.messages.map(({ role, content }) =>
+			role === 'human' ? new HumanChatMessage(content) : new AIChatMessage(content)
+		)
+	);
+
+	switch (conversation.memory) {
+		case 'window':
+			return new BufferWindowMemory({ chatHistory, k: WINDOW_SIZE });
+		case 'summary': {
+			const memory = new ConversationSummaryMemory({ chatHistory, llm });
+			memory.buffer = conversation.summary;
+			return memory;
+		}
+		default:
+			return new BufferMemory({ chatHistory });
+	}
+}
+
+/**
+ * Runs one exchange and persists the updated transcript and summary. Nothing
+ * is saved when `signal` cancels the exchange. The model calls are logged
+ * under `requestId`.
+ * @param {import('./storage/index.js').KeyValueStore} kv
+ * @param {Conversation} conversation
+ * @param {string} input
+ * @param {{ signal?: AbortSignal, requestId?: string }} [options]
+ * @returns {Promise<{ response: string, usage: import('./usage.js').Usage }>}
+ */
+export async function sendMessage(kv, conversation, input, { signal, requestId } = {}) {
+	const tracker = trackUsage(requestId);
+	const llm = createModel({ callbacks: [tracker.handler], signal });
+	const memory = createMemory(conversation, llm);
+	const chain = new ConversationChain({ llm, memory });
+	const { response } = await chain.call({ input });
+	const usage = await tracker.total();
+
+	conversation.messages.push(
+		{ role: 'human', content: input },
+		{ role: 'ai', content: response, usage }
+	);
+	if (memory instanceof ConversationSummaryMemory) {
+		conversation.previousSummary = conversation.summary;
+		conversation.summary = memory.buffer;
+	}
+	conversation.updatedAt = new Date().toISOString();
+	await saveConversation(kv, conversation);
+
+	return { response, usage };
+}
+
+/**
+ * Drops the last answer and asks the model again with the same input.
+ * @param {import('./storage/index.js').KeyValueStore} kv
+ * @param {Conversation} conversation
+ * @param {{ signal?: AbortSignal, requestId?: string }} [options] As for `sendMessage`.
+ */
+export async function regenerate(kv, conversation, options) {
+	const last = conversation.messages.at(-2);
+	if (!last || last.role !== 'human') return null;
+
+	conversation.messages = conversation.messages.slice(0, -2);
+	conversation.summary = conversation.previousSummary;
+	return sendMessage(kv, conversation, last.content, options);
+}
@@ -0,0 +1,57 @@
+import { describe, expect, test, vi } from 'vitest';
+import {
+	conversationOwner,
+	createConversation,
+	getConversation,
+	listConversations
+} from './chat.js';
+import { createLocalStorage } from './storage/local.js';
+
+/**
+ * The parts of a request `conversationOwner` looks at.
+ * @param {{ session?: string, user?: string }} from
+ */
+function event({ session, user }) {
+	const cookies = { get: vi.fn(() => session), set: vi.fn() };
+	const locals = { user: user ? { id: user, admin: false } : null };
+	return /** @type {any} */ ({ cookies, locals });
+}
+
+const SESSION = '0b5e3c52-2a4f-4c1e-9a57-6f0d2b8e4a10';
+
+describe('conversationOwner', () => {
+	test('is the user behind an API token', () => {
+		expect(conversationOwner(event({ user: 'alice', session: SESSION }))).toBe('user:alice');
+	});
+
+	test("is the visitor's session, which is started if there is none", () => {
+		expect(conversationOwner(event({ session: SESSION }))).toBe(`session:${SESSION}`);
+
+		const anonymous = event({ session: 'forged:value' });
+		const owner = conversationOwner(anonymous);
+
+		expect(owner).toMatch(/^session:[0-9a-f-]{36}$/);
+		expect(anonymous.cookies.set).toHaveBeenCalledWith(
+			'chat_session',
+			owner.slice('session:'.length),
+			expect.objectContaining({ path: '/', httpOnly: true })
+		);
+	});
+});
+
+describe('conversations', () => {
+	test('are only listed and loaded for their owner', async () => {
+		const { kv } = createLocalStorage(':memory:');
+		const mine = await createConversation(kv, 'session:mine', 'buffer');
+		await createConversation(kv, 'session:mine', 'window');
+		const theirs = await createConversation(kv, 'user:other', 'summary');
+
+		expect(
+			(await listConversations(kv, 'session:mine')).map(({ memory }) => memory).sort()
+		).toEqual(['buffer', 'window']);
+		expect(await listConversations(kv, 'user:other')).toEqual([theirs]);
+		expect(await getConversation(kv, 'session:mine', mine.id)).toEqual(mine);
+		expect(await getConversation(kv, 'session:mine', theirs.id)).toBeNull();
+		expect(await getConversation(kv, 'user:other', mine.id)).toBeNull();
+	});
+});
@@ -0,0 +1,539 @@
+import { createEmbeddings, embeddingModelId } from '../llm/index.js';
+import { ensureSchema, insertRows } from '../storage/index.js';
+import { embeddingUsage } from '../usage.js';
+import { deleteKeywords, indexKeywords, indexedDocuments } from './keywords.js';
+import { htmlToText, splitDocument } from './split.js';
+
+export { documentType, parseSplitOptions } from './split.js';
+
+const SCHEMA = `
+	CREATE TABLE IF NOT EXISTS documents (
+		id TEXT PRIMARY KEY,
+		name TEXT NOT NULL,
+		type TEXT NOT NULL,
+		content TEXT NOT NULL,
+		embedding_model TEXT NOT NULL,
+		chunk_size INTEGER NOT NULL,
+		chunk_overlap INTEGER NOT NULL,
+		created_at TEXT NOT NULL
+	);
+	CREATE TABLE IF NOT EXISTS chunks (
+		document_id TEXT NOT NULL,
+		seq INTEGER NOT NULL,
+		content TEXT NOT NULL,
+		start_offset INTEGER NOT NULL,
+		end_offset INTEGER NOT NULL,
+		headings TEXT NOT NULL,
+		embedding TEXT NOT NULL,
+		PRIMARY KEY (document_id, seq)
+	)
+`;
+
+/**
+ * @typedef {object} DocumentSummary
+ * @property {string} id
+ * @property {string} name
+ * @property {import('./split.js').DocumentType} type
+ * @property {string} embeddingModel
+ * @property {number} chunks
+ * @property {string} createdAt
+ */
+
+/**
+ * A chunk as stored, with its vector.
+ * @typedef {import('./split.js').Chunk & { documentId: string, documentName: string, seq: number, embedding: number[] }} StoredChunk
+ */
+
+/**
+ * Text that represents a chunk in the vector and keyword indexes: its
+ * headings give context that the chunk itself often lacks.
+ * @param {Pick<import('./split.js').Chunk, 'text' | 'headings'>} chunk
+ */
+function searchText({ text, headings }) {
+	return headings.length > 0 ? `${headings.join(' > ')}\n\n${text}` : text;
+}
+
+/**
+ * Id of a chunk in the vector store.
+ * @param {string} documentId
+ * @param {number} seq
+ */
+export const chunkId = (documentId, seq) => `${documentId}:${seq}`;
+
+/**
+ * Stores a document's chunks with their embeddings, by `seq`, and adds them
+ * to the keyword index.
+ * @param {import('../storage/index.js').Database} db
+ * @param {string} documentId
+ * @param {import('./split.js').Chunk[]} chunks
+ * @param {number[][]} embeddings
+ */
+async function insertChunks(db, documentId, chunks, embeddings) {
+	await insertRows(
+		db,
+		'chunks',
+		['document_id', 'seq', 'content', 'start_offset', 'end_offset', 'headings', 'embedding'],
+		chunks.map((chunk, seq) => [
+			documentId,
+			seq,
+			chunk.text,
+			chunk.start,
+			chunk.end,
+			JSON.stringify(chunk.headings),
+			JSON.stringify(embeddings[seq])
+		])
+	);
+	await indexKeywords(db, documentId, chunks.map(searchText));
+}
+
+/**
+ * What ingesting a document changed. A document counts as the same as a
+ * stored one when they share a name.
+ * @typedef {object} IngestChanges
+ * @property {'added' | 'updated' | 'unchanged'} status
+ * @property {number} added Chunks embedded because their text is new.
+ * @property {number} removed Stored chunks whose text is gone, along with
+ *   their vectors.
+ * @property {number} unchanged Chunks whose stored embedding was reused.
+ */
+
+/**
+ * Hex SHA-256 of a string.
+ * @param {string} text
+ */
+async function sha256(text) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+	return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash of everything that decides a document's chunks and their vectors.
+ * @param {{ type: string, text: string, chunkSize: number, chunkOverlap: number, embeddingModel: string }} document
+ */
+function documentHash({ type, text, chunkSize, chunkOverlap, embeddingModel }) {
+	return sha256(JSON.stringify([type, chunkSize, chunkOverlap, embeddingModel, text]));
+}
+
+/**
+ * Splits an uploaded document into chunks, embeds them with the configured
+ * provider, and stores the document with its chunks and vectors. HTML is
+ * stored as the text extracted from it, which chunk offsets refer to.
+ * Vectors are kept in the database, the source of truth, and added to the
+ * vector store used for search; the text is added to the keyword index.
+ *
+ * Uploading a document with the name of a stored one updates that one
+ * instead, only embedding chunks whose text (and headings) it didn't already
+ * have: chunks are matched by content hash, and vectors of chunks that are
+ * gone are deleted. Hashes are computed from what is stored, so this works
+ * for documents ingested before it existed too.
+ * @param {import('../storage/index.js').Storage} storage
+ * @param {{ name: string, type: import('./split.js').DocumentType, content: string }} file
+ * @param {import('./split.js').SplitOptions} options
+ * @returns {Promise<{ document: DocumentSummary, changes: IngestChanges, usage: import('../usage.js').Usage }>}
+ */
+export async function ingestDocument({ db, vectors }, { name, type, content }, options) {
+	const text = type === 'html' ? htmlToText(content) : content;
+	const embeddingModel = embeddingModelId();
+
+	await ensureSchema(db, SCHEMA);
+	/** @type {{ id: string, type: string, content: string, embedding_model: string, chunk_size: number, chunk_overlap: number, created_at: string } | null} */
+	const existing = await db.first(
+		`SELECT id, type, content, embedding_model, chunk_size, chunk_overlap, created_at
+		FROM documents WHERE name = ? ORDER BY created_at DESC LIMIT 1`,
+		[name]
+	);
+
+	/** @type {{ seq: number, content: string, headings: string, embedding: string }[]} */
+	const previous = existing
+		? await db.all(
+				'SELECT seq, content, headings, embedding FROM chunks WHERE document_id = ? ORDER BY seq',
+				[existing.id]
+			)
+		: [];
+
+	/** @type {DocumentSummary} */
+	const document = {
+		id: existing?.id ?? crypto.randomUUID(),
+		name,
+		type,
+		embeddingModel,
+		chunks: previous.length,
+		createdAt: existing?.created_at ?? new Date().toISOString()
+	};
+
+	if (existing) {
+		const [before, after] = await Promise.all([
+			documentHash({
+				type: existing.type,
+				text: existing.content,
+				chunkSize: existing.chunk_size,
+				chunkOverlap: existing.chunk_overlap,
+				embeddingModel: existing.embedding_model
+			}),
+			documentHash({ type, text, ...options, embeddingModel })
+		]);
+		if (before === after) {
+			return {
+				document,
+				changes: { status: 'unchanged', added: 0, removed: 0, unchanged: previous.length },
+				usage: await embeddingUsage([])
+			};
+		}
+	}
+
+	const chunks = await splitDocument(text, type, options);
+	const inputs = chunks.map(searchText);
+	const hashes = await Promise.all(inputs.map(sha256));
+	const previousHashes = await Promise.all(
+		previous.map((row) =>
+			sha256(searchText({ text: row.content, headings: JSON.parse(row.headings) }))
+		)
+	);
+	// Vectors of another embedding model can't be reused.
+	const sameModel = existing?.embedding_model === embeddingModel;
+
+	/**
+	 * Stored embeddings by chunk hash, a queue per hash in case chunks repeat.
+	 * @type {Map<string, string[]>}
+	 */
+	const reusable = new Map();
+	if (sameModel) {
+		for (const [seq, row] of previous.entries()) {
+			reusable.set(previousHashes[seq], [
+				...(reusable.get(previousHashes[seq]) ?? []),
+				row.embedding
+			]);
+		}
+	}
+
+	/** @type {number[][]} */
+	const embeddings = [];
+	/** @type {number[]} */
+	const missing = [];
+	for (const [seq, hash] of hashes.entries()) {
+		const stored = reusable.get(hash)?.shift();
+		if (stored) embeddings[seq] = JSON.parse(stored);
+		else missing.push(seq);
+	}
+	if (missing.length > 0) {
+		const fresh = await createEmbeddings().embedDocuments(missing.map((seq) => inputs[seq]));
+		for (const [i, seq] of missing.entries()) embeddings[seq] = fresh[i];
+	}
+	document.chunks = chunks.length;
+
+	if (existing) {
+		await db.run(
+			'UPDATE documents SET type = ?, content = ?, embedding_model = ?, chunk_size = ?, chunk_overlap = ? WHERE id = ?',
+			[type, text, embeddingModel, options.chunkSize, options.chunkOverlap, document.id]
+		);
+		await db.run('DELETE FROM chunks WHERE document_id = ?', [document.id]);
+		await deleteKeywords(db, document.id);
+	} else {
+		await db.run(
+			'INSERT INTO documents (id, name, type, content, embedding_model, chunk_size, chunk_overlap, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+			[
+				document.id,
+				name,
+				type,
+				text,
+				embeddingModel,
+				options.chunkSize,
+				options.chunkOverlap,
+				document.createdAt
+			]
+		);
+	}
+	await insertChunks(db, document.id, chunks, embeddings);
+
+	// Vector ids are positions, so only positions whose chunk changed need writing.
+	if (existing && !sameModel) {
+		await vectors.delete(
+			existing.embedding_model,
+			previous.map(({ seq }) => chunkId(document.id, seq))
+		);
+	}
+	await vectors.upsert(
+		embeddingModel,
+		embeddings
+			.map((vector, seq) => ({
+				id: chunkId(document.id, seq),
+				vector,
+				metadata: { documentId: document.id, seq }
+			}))
+			.filter((_, seq) => !sameModel || previousHashes[seq] !== hashes[seq])
+	);
+	if (sameModel && previous.length > chunks.length) {
+		await vectors.delete(
+			embeddingModel,
+			previous.slice(chunks.length).map(({ seq }) => chunkId(document.id, seq))
+		);
+	}
+
+	const unchanged = chunks.length - missing.length;
+	return {
+		document,
+		changes: {
+			status: existing ? 'updated' : 'added',
+			added: missing.length,
+			removed: previous.length - unchanged,
+			unchanged
+		},
+		usage: await embeddingUsage(missing.map((seq) => inputs[seq]))
+	};
+}
+
+/**
+ * Lists stored documents, newest first.
+ * @param {import('../storage/index.js').Database} db
+ * @returns {Promise<DocumentSummary[]>}
+ */
+export async function listDocuments(db) {
+	await ensureSchema(db, SCHEMA);
+	/** @type {{ id: string, name: string, type: import('./split.js').DocumentType, embedding_model: string, created_at: string, chunks: number }[]} */
+	const rows = await db.all(
+		`SELECT d.id, d.name, d.type, d.embedding_model, d.created_at,
+			(SELECT COUNT(*) FROM chunks c WHERE c.document_id = d.id) AS chunks
+		FROM documents d ORDER BY d.created_at DESC`
+	);
+	return rows.map((row) => ({
+		id: row.id,
+		name: row.name,
+		type: row.type,
+		embeddingModel: row.embedding_model,
+		chunks: row.chunks,
+		createdAt: row.created_at
+	}));
+}
+
+/**
+ * Returns a stored document with its text, or null if it doesn't exist.
+ * @param {import('../storage/index.js').Database} db
+ * @param {string} id
+ */
+export async function getDocument(db, id) {
+	await ensureSchema(db, SCHEMA);
+	/** @type {{ id: string, name: string, type: import('./split.js').DocumentType, content: string, created_at: string } | null} */
+	const row = await db.first(
+		'SELECT id, name, type, content, created_at FROM documents WHERE id = ?',
+		[id]
+	);
+	if (!row) return null;
+	return {
+		id: row.id,
+		name: row.name,
+		type: row.type,
+		content: row.content,
+		createdAt: row.created_at
+	};
+}
+
+/**
+ * Returns every stored chunk embedded with `embeddingModel`, the ones that
+ * can be compared with a query embedded by the same model.
+ * @param {import('../storage/index.js').Database} db
+ * @param {string} [embeddingModel]
+ * @returns {Promise<StoredChunk[]>}
+ */
+export async function listChunks(db, embeddingModel = embeddingModelId()) {
+	await ensureSchema(db, SCHEMA);
+	/** @type {{ document_id: string, document_name: string, seq: number, content: string, start_offset: number, end_offset: number, headings: string, embedding: string }[]} */
+	const rows = await db.all(
+		`SELECT c.*, d.name AS document_name FROM chunks c JOIN documents d ON d.id = c.document_id
+		WHERE d.embedding_model = ? ORDER BY c.document_id, c.seq`,
+		[embeddingModel]
+	);
+	return rows.map((row) => ({
+		documentId: row.document_id,
+		documentName: row.document_name,
+		seq: row.seq,
+		text: row.content,
+		start: row.start_offset,
+		end: row.end_offset,
+		headings: JSON.parse(row.headings),
+		embedding: JSON.parse(row.embedding)
+	}));
+}
+
+/**
+ * Returns the given chunks, in the order asked for, skipping any that no
+ * longer exist.
+ * @param {import('../storage/index.js').Database} db
+ * @param {{ documentId: string, seq: number }[]} keys
+ * @returns {Promise<Omit<StoredChunk, 'embedding'>[]>}
+ */
+export async function getChunks(db, keys) {
+	await ensureSchema(db, SCHEMA);
+	const chunks = [];
+	for (const { documentId, seq } of keys) {
+		/** @type {{ document_name: string, content: string, start_offset: number, end_offset: number, headings: string } | null} */
+		const row = await db.first(
+			`SELECT c.content, c.start_offset, c.end_offset, c.headings, d.name AS document_name
+			FROM chunks c JOIN documents d ON d.id = c.document_id
+			WHERE c.document_id = ? AND c.seq = ?`,
+			[documentId, seq]
+		);
+		if (row) {
+			chunks.push({
+				documentId,
+				documentName: row.document_name,
+				seq,
+				text: row.content,
+				start: row.start_offset,
+				end: row.end_offset,
+				headings: JSON.parse(row.headings)
+			});
+		}
+	}
+	return chunks;
+}
+
+/**
+ * Deletes a document, its chunks, and their vectors and keywords. Returns
+ * false if it didn't exist.
+ * @param {import('../storage/index.js').Storage} storage
+ * @param {string} id
+ */
+export async function deleteDocument({ db, vectors }, id) {
+	await ensureSchema(db, SCHEMA);
+	/** @type {{ embedding_model: string, chunks: number } | null} */
+	const document = await db.first(
+		`SELECT embedding_model, (SELECT COUNT(*) FROM chunks WHERE document_id = ?) AS chunks
+		FROM documents WHERE id = ?`,
+		[id, id]
+	);
+	if (!document) return false;
+
+	await db.run('DELETE FROM chunks WHERE document_id = ?', [id]);
+	await db.run('DELETE FROM documents WHERE id = ?', [id]);
+	await deleteKeywords(db, id);
+	await vectors.delete(
+		document.embedding_model,
+		Array.from({ length: document.chunks }, (_, seq) => chunkId(id, seq))
+	);
+	return true;
+}
+
+/** Databases whose keyword index has been checked for missing documents in this process. */
+const backfilled = new WeakSet();
+
+/**
+ * Adds documents ingested before there was a keyword index to it. Checked
+ * once per database and process.
+ * @param {import('../storage/index.js').Database} db
+ */
+export async function backfillKeywords(db) {
+	if (backfilled.has(db)) return;
+	await ensureSchema(db, SCHEMA);
+
+	const indexed = await indexedDocuments(db);
+	/** @type {{ id: string }[]} */
+	const documents = await db.all('SELECT id FROM documents');
+	for (const { id } of documents.filter(({ id }) => !indexed.has(id))) {
+		/** @type {{ content: string, headings: string }[]} */
+		const rows = await db.all(
+			'SELECT content, headings FROM chunks WHERE document_id = ? ORDER BY seq',
+			[id]
+		);
+		const texts = rows.map((row) =>
+			searchText({ text: row.content, headings: JSON.parse(row.headings) })
+		);
+		await indexKeywords(db, id, texts);
+	}
+	backfilled.add(db);
+}
+
+/**
+ * A document with everything needed to recreate it elsewhere without
+ * embedding it again.
+ * @typedef {object} DocumentExport
+ * @property {string} id
+ * @property {string} name
+ * @property {import('./split.js').DocumentType} type
+ * @property {string} content
+ * @property {number} chunkSize
+ * @property {number} chunkOverlap
+ * @property {string} createdAt
+ * @property {(import('./split.js').Chunk & { embedding: number[] })[]} chunks By `seq`.
+ */
+
+/**
+ * Returns every stored document embedded with `embeddingModel`, oldest
+ * first, with its chunks and their vectors.
+ * @param {import('../storage/index.js').Database} db
+ * @param {string} embeddingModel
+ * @returns {Promise<DocumentExport[]>}
+ */
+export async function exportDocuments(db, embeddingModel) {
+	await ensureSchema(db, SCHEMA);
+	/** @type {{ id: string, name: string, type: import('./split.js').DocumentType, content: string, chunk_size: number, chunk_overlap: number, created_at: string }[]} */
+	const documents = await db.all(
+		`SELECT id, name, type, content, chunk_size, chunk_overlap, created_at
+		FROM documents WHERE embedding_model = ? ORDER BY created_at`,
+		[embeddingModel]
+	);
+	const chunks = await listChunks(db, embeddingModel);
+	return documents.map((row) => ({
+		id: row.id,
+		name: row.name,
+		type: row.type,
+		content: row.content,
+		chunkSize: row.chunk_size,
+		chunkOverlap: row.chunk_overlap,
+		createdAt: row.created_at,
+		chunks: chunks
+			.filter(({ documentId }) => documentId === row.id)
+			.map(({ text, start, end, headings, embedding }) => ({
+				text,
+				start,
+				end,
+				headings,
+				embedding
+			}))
+	}));
+}
+
+/**
+ * Stores an exported document as embedded with `embeddingModel`, replacing
+ * any stored document with the same id or name.
+ * @param {import('../storage/index.js').Storage} storage
+ * @param {DocumentExport} document
+ * @param {string} embeddingModel
+ */
+export async function importDocument(storage, document, embeddingModel) {
+	const { db, vectors } = storage;
+	await ensureSchema(db, SCHEMA);
+	/** @type {{ id: string }[]} */
+	const replaced = await db.all('SELECT id FROM documents WHERE id = ? OR name = ?', [
+		document.id,
+		document.name
+	]);
+	for (const { id } of replaced) await deleteDocument(storage, id);
+
+	await db.run(
+		'INSERT INTO documents (id, name, type, content, embedding_model, chunk_size, chunk_overlap, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+		[
+			document.id,
+			document.name,
+			document.type,
+			document.content,
+			embeddingModel,
+			document.chunkSize,
+			document.chunkOverlap,
+			document.createdAt
+		]
+	);
+	await insertChunks(
+		db,
+		document.id,
+		document.chunks,
+		document.chunks.map(({ embedding }) => embedding)
+	);
+	await vectors.upsert(
+		embeddingModel,
+		document.chunks.map(({ embedding }, seq) => ({
+			id: chunkId(document.id, seq),
+			vector: embedding,
+			metadata: { documentId: document.id, seq }
+		}))
+	);
+}
@@ -0,0 +1,155 @@
+import { ensureSchema, insertRows, parameterBatches } from '../storage/index.js';
+
+/** BM25 term frequency saturation. */
+const K1 = 1.2;
+/** BM25 document length normalisation. */
+const B = 0.75;
+/** Query terms beyond this are ignored, keeping queries within D1's parameter limit. */
+const MAX_QUERY_TERMS = 32;
+
+const SCHEMA = `
+	CREATE TABLE IF NOT EXISTS chunk_terms (
+		term TEXT NOT NULL,
+		document_id TEXT NOT NULL,
+		seq INTEGER NOT NULL,
+		tf INTEGER NOT NULL,
+		PRIMARY KEY (term, document_id, seq)
+	);
+	CREATE INDEX IF NOT EXISTS chunk_terms_document ON chunk_terms (document_id);
+	CREATE TABLE IF NOT EXISTS chunk_lengths (
+		document_id TEXT NOT NULL,
+		seq INTEGER NOT NULL,
+		length INTEGER NOT NULL,
+		PRIMARY KEY (document_id, seq)
+	)
+`;
+
+/**
+ * @typedef {object} KeywordMatch
+ * @property {string} documentId
+ * @property {number} seq
+ * @property {number} score BM25 score.
+ */
+
+/**
+ * Splits text into lowercase search terms. Identifiers joined by `-`, `_`,
+ * `.` or `/` (error codes, SKUs, versions) are kept whole so they can be
+ * matched exactly, and their parts are added too so that a search for one
+ * part still finds them.
+ * @param {string} text
+ */
+export function tokenize(text) {
+	/** @type {string[]} */
+	const terms = [];
+	for (const [word] of text.toLowerCase().matchAll(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu)) {
+		terms.push(word);
+		if (/[-_./]/.test(word)) terms.push(...word.split(/[-_./]/));
+	}
+	return terms;
+}
+
+/**
+ * Adds a document's chunks to the keyword index.
+ * @param {import('../storage/index.js').Database} db
+ * @param {string} documentId
+ * @param {string[]} chunks Chunk texts, by `seq`.
+ */
+export async function indexKeywords(db, documentId, chunks) {
+	await ensureSchema(db, SCHEMA);
+	/** @type {import('../storage/index.js').SqlValue[][]} */
+	const lengths = [];
+	/** @type {import('../storage/index.js').SqlValue[][]} */
+	const terms = [];
+	for (const [seq, text] of chunks.entries()) {
+		const tokens = tokenize(text);
+		/** @type {Map<string, number>} */
+		const frequencies = new Map();
+		for (const token of tokens) frequencies.set(token, (frequencies.get(token) ?? 0) + 1);
+
+		lengths.push([documentId, seq, tokens.length]);
+		for (const [term, tf] of frequencies) terms.push([term, documentId, seq, tf]);
+	}
+	await insertRows(db, 'chunk_lengths', ['document_id', 'seq', 'length'], lengths);
+	await insertRows(db, 'chunk_terms', ['term', 'document_id', 'seq', 'tf'], terms);
+}
+
+/**
+ * Removes a document from the keyword index.
+ * @param {import('../storage/index.js').Database} db
+ * @param {string} documentId
+ */
+export async function deleteKeywords(db, documentId) {
+	await ensureSchema(db, SCHEMA);
+	await db.run('DELETE FROM chunk_terms WHERE document_id = ?', [documentId]);
+	await db.run('DELETE FROM chunk_lengths WHERE document_id = ?', [documentId]);
+}
+
+/**
+ * Ids of the documents in the keyword index.
+ * @param {import('../storage/index.js').Database} db
+ */
+export async function indexedDocuments(db) {
+	await ensureSchema(db, SCHEMA);
+	/** @type {{ document_id: string }[]} */
+	const rows = await db.all('SELECT DISTINCT document_id FROM chunk_lengths');
+	return new Set(rows.map((row) => row.document_id));
+}
+
+/**
+ * Ranks chunks containing any of the query's terms by BM25, best first.
+ * @param {import('../storage/index.js').Database} db
+ * @param {string} query
+ * @param {number} k
+ * @param {{ documentIds?: string[] }} [options] Only search these documents.
+ * @returns {Promise<KeywordMatch[]>}
+ */
+export async function searchKeywords(db, query, k, { documentIds } = {}) {
+	const terms = [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+	if (terms.length === 0) return [];
+	await ensureSchema(db, SCHEMA);
+
+	/** @type {{ count: number, average: number | null } | null} */
+	const stats = await db.first(
+		'SELECT COUNT(*) AS count, AVG(length) AS average FROM chunk_lengths'
+	);
+	if (!stats?.count || !stats.average) return [];
+	const termList = terms.map(() => '?').join(', ');
+
+	/** @type {{ term: string, df: number }[]} */
+	const frequencies = await db.all(
+		`SELECT term, COUNT(*) AS df FROM chunk_terms WHERE term IN (${termList}) GROUP BY term`,
+		terms
+	);
+	const idf = new Map(
+		frequencies.map(({ term, df }) => [term, Math.log(1 + (stats.count - df + 0.5) / (df + 0.5))])
+	);
+
+	const select = `SELECT t.document_id, t.seq, t.term, t.tf, l.length
+		FROM chunk_terms t JOIN chunk_lengths l ON l.document_id = t.document_id AND l.seq = t.seq
+		WHERE t.term IN (${termList})`;
+	// A long filter takes several queries, each within D1's parameter limit.
+	const queries = documentIds
+		? parameterBatches(documentIds, { bound: terms.length }).map((batch) => ({
+				sql: `${select} AND t.document_id IN (${batch.map(() => '?').join(', ')})`,
+				params: [...terms, ...batch]
+			}))
+		: [{ sql: select, params: terms }];
+	/** @type {{ document_id: string, seq: number, term: string, tf: number, length: number }[]} */
+	const postings = [];
+	for (const { sql, params } of queries) {
+		/** @type {typeof postings} */
+		const rows = await db.all(sql, params);
+		postings.push(...rows);
+	}
+
+	/** @type {Map<string, KeywordMatch>} */
+	const matches = new Map();
+	for (const { document_id: documentId, seq, term, tf, length } of postings) {
+		const key = `${documentId}:${seq}`;
+		const match = matches.get(key) ?? { documentId, seq, score: 0 };
+		const norm = K1 * (1 - B + (B * length) / stats.average);
+		match.score += ((idf.get(term) ?? 0) * tf * (K1 + 1)) / (tf + norm);
+		matches.set(key, match);
+	}
+	return [...matches.values()].sort((a, b) => b.score - a.score).slice(0, k);
+}
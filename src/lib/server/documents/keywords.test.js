@@ -0,0 +1,139 @@
+import { describe, expect, test, vi } from 'vitest';
+import { createLocalStorage } from '../storage/local.js';
+import {
+	deleteKeywords,
+	indexKeywords,
+	indexedDocuments,
+	searchKeywords,
+	tokenize
+} from './keywords.js';
+
+describe('tokenize', () => {
+	test('lowercases words and keeps identifiers whole, with their parts', () => {
+		expect(tokenize('Error E-1042 in v2.3.1 of api_client')).toEqual([
+			'error',
+			'e-1042',
+			'e',
+			'1042',
+			'in',
+			'v2.3.1',
+			'v2',
+			'3',
+			'1',
+			'of',
+			'api_client',
+			'api',
+			'client'
+		]);
+	});
+
+	test('handles letters outside ASCII', () => {
+		expect(tokenize('Größe: Ünïcödé')).toEqual(['größe', 'ünïcödé']);
+	});
+});
+
+describe('indexKeywords', () => {
+	test("inserts rows in batches that stay under D1's parameter limit", async () => {
+		const { db } = createLocalStorage(':memory:');
+		const run = vi.spyOn(db, 'run');
+		const words = Array.from({ length: 60 }, (_, i) => `word${i}`);
+
+		await indexKeywords(db, 'doc', [words.join(' '), 'one more']);
+
+		// 2 chunk lengths in one statement, 62 terms of 4 values in three.
+		expect(run).toHaveBeenCalledTimes(4);
+		for (const [, params = []] of run.mock.calls) expect(params.length).toBeLessThanOrEqual(100);
+		expect(await searchKeywords(db, 'word59', 10)).toEqual([
+			{ documentId: 'doc', seq: 0, score: expect.any(Number) }
+		]);
+	});
+});
+
+describe('searchKeywords', () => {
+	async function indexed() {
+		const { db } = createLocalStorage(':memory:');
+		await indexKeywords(db, 'manual', [
+			'The printer prints pages.',
+			'Error E-1042 means the paper tray is empty.',
+			'Paper paper paper, all about paper and the tray.'
+		]);
+		await indexKeywords(db, 'faq', ['How do I clear error E-1042 on the printer?']);
+		return db;
+	}
+
+	test('ranks chunks by BM25, rarer terms counting for more', async () => {
+		const db = await indexed();
+
+		const matches = await searchKeywords(db, 'E-1042 paper', 10);
+
+		expect(matches.map(({ documentId, seq }) => `${documentId}:${seq}`)).toEqual([
+			'manual:1',
+			'faq:0',
+			'manual:2'
+		]);
+		expect(matches[0].score).toBeGreaterThan(matches[1].score);
+	});
+
+	test('saturates repeated terms', async () => {
+		const { db } = createLocalStorage(':memory:');
+		await indexKeywords(db, 'doc', ['tray and paper', 'tray tray tray tray tray tray tray tray']);
+		await indexKeywords(db, 'other', ['unrelated text']);
+
+		const [once, repeated] = (await searchKeywords(db, 'tray', 10))
+			.sort((a, b) => a.seq - b.seq)
+			.map(({ score }) => score);
+
+		expect(repeated).toBeGreaterThan(once);
+		expect(repeated / once).toBeLessThan(2);
+	});
+
+	test('favours shorter chunks with the same term frequency', async () => {
+		const { db } = createLocalStorage(':memory:');
+		await indexKeywords(db, 'doc', [
+			'a long chunk that mentions the tray once among many other words',
+			'the tray'
+		]);
+		await indexKeywords(db, 'other', ['unrelated text']);
+
+		const [best] = await searchKeywords(db, 'tray', 10);
+
+		expect(best.seq).toBe(1);
+	});
+
+	test('returns at most k matches, from the given documents only', async () => {
+		const db = await indexed();
+
+		expect(await searchKeywords(db, 'printer', 1)).toHaveLength(1);
+		expect(
+			(await searchKeywords(db, 'e-1042', 10, { documentIds: ['faq'] })).map(
+				({ documentId }) => documentId
+			)
+		).toEqual(['faq']);
+	});
+
+	test('filters by more documents than fit in one statement', async () => {
+		const db = await indexed();
+		const all = vi.spyOn(db, 'all');
+		const documentIds = [...Array.from({ length: 150 }, (_, i) => `other${i}`), 'faq'];
+
+		const matches = await searchKeywords(db, 'printer error', 10, { documentIds });
+
+		expect(matches.map(({ documentId }) => documentId)).toEqual(['faq']);
+		for (const [, params = []] of all.mock.calls) expect(params.length).toBeLessThanOrEqual(100);
+	});
+
+	test('finds nothing for queries without terms or an empty index', async () => {
+		const db = await indexed();
+		expect(await searchKeywords(db, '?!', 10)).toEqual([]);
+		expect(await searchKeywords(createLocalStorage(':memory:').db, 'printer', 10)).toEqual([]);
+	});
+
+	test('forgets deleted documents', async () => {
+		const db = await indexed();
+
+		await deleteKeywords(db, 'manual');
+
+		expect(await indexedDocuments(db)).toEqual(new Set(['faq']));
+		expect((await searchKeywords(db, 'paper', 10)).length).toBe(0);
+	});
+});
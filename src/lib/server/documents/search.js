@@ -0,0 +1,148 @@
+import { createEmbeddings, embeddingModelId } from '../llm/index.js';
+import { backfillKeywords, chunkId, getChunks, listChunks } from './index.js';
+import { searchKeywords } from './keywords.js';
+
+/** Rank constant of reciprocal-rank fusion; larger values flatten the advantage of top ranks. */
+const RRF_K = 60;
+
+/**
+ * How much each retriever counts towards the fused ranking. A weight of 0
+ * turns that retriever off.
+ * @typedef {{ keyword: number, vector: number }} SearchWeights
+ */
+
+/** @type {SearchWeights} */
+export const DEFAULT_WEIGHTS = { keyword: 1, vector: 1 };
+
+/**
+ * Where a retriever ranked a chunk, 1 being best, and the score it gave it:
+ * BM25 for keywords, cosine similarity for vectors.
+ * @typedef {{ rank: number, score: number }} RetrieverScore
+ */
+
+/**
+ * A chunk matching a query, without its vector. `score` is the fused score
+ * results are ordered by, and `scores` what each retriever made of the
+ * chunk, null if it didn't find it.
+ * @typedef {Omit<import('./index.js').StoredChunk, 'embedding'> & {
+ *   score: number,
+ *   scores: { keyword: RetrieverScore | null, vector: RetrieverScore | null }
+ * }} SearchResult
+ */
+
+/**
+ * Rebuilds the vector store's namespace for an embedding model from the
+ * vectors kept in the database, for documents ingested before there was a
+ * vector store or when its contents have been lost.
+ * @param {import('../storage/index.js').Storage} storage
+ * @param {string} model
+ */
+async function reindex({ db, vectors }, model) {
+	const chunks = await listChunks(db, model);
+	await vectors.upsert(
+		model,
+		chunks.map(({ documentId, seq, embedding }) => ({
+			id: chunkId(documentId, seq),
+			vector: embedding,
+			metadata: { documentId, seq }
+		}))
+	);
+}
+
+/**
+ * Finds the `k` chunks of the current embedding model in the vector store most
+ * similar to `query` by cosine similarity, best first.
+ * @param {import('../storage/index.js').Storage} storage
+ * @param {string} query
+ * @param {number} k
+ * @param {string[] | undefined} documentIds
+ * @param {(() => void) | undefined} onEmbed Called once `query` has been embedded.
+ * @returns {Promise<import('../vectors/index.js').VectorMatch[]>}
+ */
+async function searchVectors(storage, query, k, documentIds, onEmbed) {
+	const model = embeddingModelId();
+	const { vectors } = storage;
+	if (!(await vectors.has(model))) {
+		await reindex(storage, model);
+		if (!(await vectors.has(model))) return [];
+	}
+
+	const vector = await createEmbeddings().embedQuery(query);
+	onEmbed?.();
+	return vectors.query(model, vector, k, documentIds ? { documentId: documentIds } : undefined);
+}
+
+/**
+ * Finds the `k` stored chunks that best match `query`, best first. Chunks are
+ * ranked by BM25 over their words, which catches exact identifiers such as
+ * error codes, and by the similarity of their embeddings, which catches
+ * paraphrases; the two rankings are combined by weighted reciprocal-rank
+ * fusion, each contributing `weight / (60 + rank)` for the chunks it found.
+ * @param {import('../storage/index.js').Storage} storage
+ * @param {string} query
+ * @param {number} k
+ * @param {{ documentIds?: string[], weights?: SearchWeights, onEmbed?: () => void }} [options]
+ *   `documentIds` only searches these documents. `onEmbed` is called when
+ *   `query` is embedded, which doesn't happen without stored vectors to
+ *   compare it with.
+ * @returns {Promise<SearchResult[]>}
+ */
+export async function searchChunks(
+	storage,
+	query,
+	k,
+	{ documentIds, weights = DEFAULT_WEIGHTS, onEmbed } = {}
+) {
+	// Each retriever looks further than `k` so that chunks ranked moderately
+	// by both can overtake ones ranked well by just one.
+	const depth = Math.max(k * 4, 20);
+
+	/** @type {Map<string, { documentId: string, seq: number, score: number, scores: SearchResult['scores'] }>} */
+	const fused = new Map();
+	/**
+	 * @param {'keyword' | 'vector'} retriever
+	 * @param {{ documentId: string, seq: number, score: number }[]} matches
+	 */
+	const fuse = (retriever, matches) => {
+		for (const [index, { documentId, seq, score }] of matches.entries()) {
+			const id = chunkId(documentId, seq);
+			const entry = fused.get(id) ?? {
+				documentId,
+				seq,
+				score: 0,
+				scores: { keyword: null, vector: null }
+			};
+			entry.score += weights[retriever] / (RRF_K + index + 1);
+			entry.scores[retriever] = { rank: index + 1, score };
+			fused.set(id, entry);
+		}
+	};
+
+	if (weights.keyword > 0) {
+		await backfillKeywords(storage.db);
+		fuse('keyword', await searchKeywords(storage.db, query, depth, { documentIds }));
+	}
+	if (weights.vector > 0) {
+		const matches = await searchVectors(storage, query, depth, documentIds, onEmbed);
+		fuse(
+			'vector',
+			matches.map(({ metadata, score }) => ({
+				documentId: String(metadata.documentId),
+				seq: Number(metadata.seq),
+				score
+			}))
+		);
+	}
+
+	const top = [...fused.values()].sort((a, b) => b.score - a.score).slice(0, k);
+	const chunks = await getChunks(storage.db, top);
+	const ranked = new Map(top.map((entry) => [chunkId(entry.documentId, entry.seq), entry]));
+	return chunks.map((chunk) => {
+		const entry = ranked.get(chunkId(chunk.documentId, chunk.seq));
+		return {
+			...chunk,
+			score: entry?.score ?? 0,
+			scores: entry?.scores ?? { keyword: null, vector: null }
+		};
+	});
+}
@@ -0,0 +1,142 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import { env } from '$env/dynamic/private';
+import { createLocalStorage } from '../storage/local.js';
+import { chunkId, importDocument } from './index.js';
+import { searchChunks } from './search.js';
+
+/**
+ * Local storage whose vector store ranks chunks in the given order for any
+ * query, so that the fused ranking is known.
+ * @param {string[]} ranking Chunk ids, best first.
+ * @returns {import('../storage/index.js').Storage & { query: import('vitest').Mock }}
+ */
+function storageRanking(ranking) {
+	const query = vi.fn(async () =>
+		ranking.map((id, index) => {
+			const [documentId, seq] = id.split(':');
+			return { id, score: 1 - index / 10, metadata: { documentId, seq: Number(seq) } };
+		})
+	);
+	return {
+		...createLocalStorage(':memory:'),
+		vectors: {
+			has: async () => true,
+			upsert: async () => {},
+			delete: async () => {},
+			query
+		},
+		query
+	};
+}
+
+/**
+ * @param {import('../storage/index.js').Storage} storage
+ * @param {string} id
+ * @param {string[]} texts
+ */
+function addDocument(storage, id, texts) {
+	let offset = 0;
+	return importDocument(
+		storage,
+		{
+			id,
+			name: `${id}.md`,
+			type: 'markdown',
+			content: texts.join('\n\n'),
+			chunkSize: 1000,
+			chunkOverlap: 0,
+			createdAt: new Date().toISOString(),
+			chunks: texts.map((text) => {
+				const chunk = {
+					text,
+					start: offset,
+					end: offset + text.length,
+					headings: [],
+					embedding: [1]
+				};
+				offset += text.length + 2;
+				return chunk;
+			})
+		},
+		'mock/default'
+	);
+}
+
+beforeEach(() => {
+	env.LLM_PROVIDER = 'mock';
+	env.EMBEDDING_MODEL = '';
+});
+
+describe('searchChunks', () => {
+	test('fuses the keyword and vector rankings by reciprocal rank', async () => {
+		const storage = storageRanking(['doc:2', 'doc:1']);
+		await addDocument(storage, 'doc', ['paper paper paper', 'paper tray', 'something else']);
+
+		const results = await searchChunks(storage, 'paper', 3);
+
+		// doc:1 is second for both retrievers, which beats being first for one.
+		expect(results.map(({ documentId, seq }) => chunkId(documentId, seq))).toEqual([
+			'doc:1',
+			'doc:0',
+			'doc:2'
+		]);
+		expect(results[0].score).toBeCloseTo(1 / 62 + 1 / 62);
+		expect(results[0].scores).toEqual({
+			keyword: { rank: 2, score: expect.any(Number) },
+			vector: { rank: 2, score: 0.9 }
+		});
+		expect(results[1].scores.vector).toBeNull();
+		expect(results[2].scores.keyword).toBeNull();
+		expect(results[0].text).toBe('paper tray');
+	});
+
+	test('weights each retriever', async () => {
+		const storage = storageRanking(['doc:2']);
+		await addDocument(storage, 'doc', ['paper', 'tray', 'something else']);
+
+		const results = await searchChunks(storage, 'paper', 2, { weights: { keyword: 1, vector: 3 } });
+
+		expect(results.map(({ seq }) => seq)).toEqual([2, 0]);
+		expect(results[0].score).toBeCloseTo(3 / 61);
+	});
+
+	test('skips a retriever weighted 0', async () => {
+		const storage = storageRanking(['doc:2']);
+		await addDocument(storage, 'doc', ['paper', 'something else', 'more']);
+
+		const results = await searchChunks(storage, 'paper', 3, { weights: { keyword: 1, vector: 0 } });
+
+		expect(storage.query).not.toHaveBeenCalled();
+		expect(results.map(({ seq }) => seq)).toEqual([0]);
+	});
+
+	test('only embeds the query when there are vectors to compare it with', async () => {
+		const storage = storageRanking(['doc:0']);
+		await addDocument(storage, 'doc', ['paper']);
+		const onEmbed = vi.fn();
+
+		await searchChunks(storage, 'paper', 3, { onEmbed });
+		expect(onEmbed).toHaveBeenCalledTimes(1);
+
+		const empty = {
+			...storageRanking([]),
+			vectors: { ...storage.vectors, has: async () => false }
+		};
+		await searchChunks(empty, 'paper', 3, { onEmbed });
+		await searchChunks(storage, 'paper', 3, { onEmbed, weights: { keyword: 1, vector: 0 } });
+		expect(onEmbed).toHaveBeenCalledTimes(1);
+	});
+
+	test('only searches the given documents', async () => {
+		const storage = storageRanking([]);
+		await addDocument(storage, 'a', ['paper']);
+		await addDocument(storage, 'b', ['paper']);
+
+		const results = await searchChunks(storage, 'paper', 5, { documentIds: ['b'] });
+
+		expect(results.map(({ documentId }) => documentId)).toEqual(['b']);
+		expect(storage.query).toHaveBeenCalledWith('mock/default', expect.any(Array), 20, {
+			documentId: ['b']
+		});
+	});
+});
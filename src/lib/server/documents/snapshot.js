@@ -0,0 +1,200 @@
+import { createEmbeddings, embeddingModelId } from '../llm/index.js';
+import { exportDocuments, importDocument, listChunks } from './index.js';
+
+/** Identifies a snapshot file. */
+const FORMAT = 'knowledge-base-snapshot';
+
+/** Snapshot format written by `exportSnapshot()`; imports only accept this version. */
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * The knowledge base for one embedding model. Vectors are base64 encoded
+ * little-endian float32s, about a quarter of the size of JSON numbers.
+ * @typedef {object} Snapshot
+ * @property {typeof FORMAT} format
+ * @property {number} version
+ * @property {string} exportedAt
+ * @property {{ model: string, dimensions: number }} embedding
+ * @property {(Omit<import('./index.js').DocumentExport, 'chunks'> & { chunks: (import('./split.js').Chunk & { embedding: string })[] })[]} documents
+ */
+
+/** @param {number[]} vector */
+function encodeVector(vector) {
+	const view = new DataView(new ArrayBuffer(vector.length * 4));
+	for (const [i, value] of vector.entries()) view.setFloat32(i * 4, value, true);
+	let binary = '';
+	for (const byte of new Uint8Array(view.buffer)) binary += String.fromCharCode(byte);
+	return btoa(binary);
+}
+
+/** @param {string} base64 */
+function decodeVector(base64) {
+	const binary = atob(base64);
+	const view = new DataView(new ArrayBuffer(binary.length));
+	for (let i = 0; i < binary.length; i++) view.setUint8(i, binary.charCodeAt(i));
+	return Array.from({ length: binary.length / 4 }, (_, i) => view.getFloat32(i * 4, true));
+}
+
+/**
+ * @param {BlobPart} data
+ * @param {CompressionStream | DecompressionStream} transform
+ */
+function pipe(data, transform) {
+	const stream = new Blob([data]).stream().pipeThrough(transform);
+	return new Response(stream).arrayBuffer();
+}
+
+/**
+ * Exports the documents of the configured embedding model, with their chunks
+ * and vectors, as a gzipped JSON snapshot.
+ * @param {import('../storage/index.js').Database} db
+ * @returns {Promise<{ data: ArrayBuffer, documents: number }>}
+ */
+export async function exportSnapshot(db) {
+	const model = embeddingModelId();
+	const documents = await exportDocuments(db, model);
+
+	/** @type {Snapshot} */
+	const snapshot = {
+		format: FORMAT,
+		version: SNAPSHOT_VERSION,
+		exportedAt: new Date().toISOString(),
+		embedding: {
+			model,
+			dimensions: documents.flatMap(({ chunks }) => chunks)[0]?.embedding.length ?? 0
+		},
+		documents: documents.map((document) => ({
+			...document,
+			chunks: document.chunks.map((chunk) => ({
+				...chunk,
+				embedding: encodeVector(chunk.embedding)
+			}))
+		}))
+	};
+	const data = await pipe(JSON.stringify(snapshot), new CompressionStream('gzip'));
+	return { data, documents: documents.length };
+}
+
+/** @param {unknown} value */
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Reads a snapshot, gzipped or not, and checks its structure: the format and
+ * version, and that every vector has the snapshot's dimensions.
+ * @param {ArrayBuffer} data
+ * @returns {Promise<{ snapshot: Snapshot, error?: undefined } | { snapshot?: undefined, error: string }>}
+ */
+export async function parseSnapshot(data) {
+	/** @type {any} */
+	let snapshot;
+	try {
+		const [first, second] = new Uint8Array(data, 0, Math.min(data.byteLength, 2));
+		const gzipped = first === 0x1f && second === 0x8b;
+		const json = gzipped ? await pipe(data, new DecompressionStream('gzip')) : data;
+		snapshot = JSON.parse(new TextDecoder().decode(json));
+	} catch {
+		return { error: 'This is not a snapshot: it is not (gzipped) JSON.' };
+	}
+
+	if (!isObject(snapshot) || snapshot.format !== FORMAT) {
+		return { error: 'This is not a snapshot.' };
+	}
+	if (snapshot.version !== SNAPSHOT_VERSION) {
+		return {
+			error: `Snapshot version ${snapshot.version} is not supported; this server reads version ${SNAPSHOT_VERSION}.`
+		};
+	}
+	const { model, dimensions } = isObject(snapshot.embedding) ? snapshot.embedding : {};
+	if (
+		typeof model !== 'string' ||
+		!Number.isInteger(dimensions) ||
+		!Array.isArray(snapshot.documents)
+	) {
+		return { error: 'The snapshot is missing its embedding model, dimensions or documents.' };
+	}
+
+	for (const document of snapshot.documents) {
+		const valid =
+			isObject(document) &&
+			['id', 'name', 'type', 'content', 'createdAt'].every(
+				(key) => typeof document[key] === 'string'
+			) &&
+			['html', 'markdown', 'text'].includes(document.type) &&
+			Number.isInteger(document.chunkSize) &&
+			Number.isInteger(document.chunkOverlap) &&
+			Array.isArray(document.chunks);
+		if (!valid) return { error: 'The snapshot contains a malformed document.' };
+
+		for (const chunk of document.chunks) {
+			const valid =
+				isObject(chunk) &&
+				typeof chunk.text === 'string' &&
+				Number.isInteger(chunk.start) &&
+				Number.isInteger(chunk.end) &&
+				Array.isArray(chunk.headings) &&
+				typeof chunk.embedding === 'string';
+			if (!valid) return { error: `${document.name} contains a malformed chunk.` };
+			// Base64 of float32s: 4 bytes per dimension, 3 bytes per 4 characters.
+			if (Math.floor((chunk.embedding.replace(/=+$/, '').length * 3) / 4) !== dimensions * 4) {
+				return {
+					error: `${document.name} contains a vector whose dimensions don't match the snapshot's ${dimensions}.`
+				};
+			}
+		}
+	}
+	return { snapshot };
+}
+
+/**
+ * Dimensions of the configured embedding model's vectors: those of a stored
+ * vector, or of a one-word embedding when nothing has been stored yet.
+ * @param {import('../storage/index.js').Database} db
+ */
+async function embeddingDimensions(db) {
+	const [chunk] = await listChunks(db);
+	if (chunk) return chunk.embedding.length;
+	return (await createEmbeddings().embedQuery('dimensions')).length;
+}
+
+/**
+ * Loads a parsed snapshot, replacing stored documents with the same ids or
+ * names. Vectors only compare with those of the same model, so the snapshot
+ * must have been exported with the configured embedding model and its
+ * dimensions; nothing is loaded otherwise.
+ * @param {import('../storage/index.js').Storage} storage
+ * @param {Snapshot} snapshot
+ * @returns {Promise<{ documents: number, chunks: number } | { error: string }>}
+ */
+export async function importSnapshot(storage, snapshot) {
+	const model = embeddingModelId();
+	if (snapshot.embedding.model !== model) {
+		return {
+			error: `The snapshot was embedded with ${snapshot.embedding.model}, but this server embeds with ${model}.`
+		};
+	}
+	if (snapshot.documents.length > 0) {
+		const dimensions = await embeddingDimensions(storage.db);
+		if (snapshot.embedding.dimensions !== dimensions) {
+			return {
+				error: `The snapshot's vectors have ${snapshot.embedding.dimensions} dimensions, but ${model} produces ${dimensions} here.`
+			};
+		}
+	}
+
+	let chunks = 0;
+	for (const document of snapshot.documents) {
+		await importDocument(
+			storage,
+			{
+				...document,
+				chunks: document.chunks.map((chunk) => ({
+					...chunk,
+					embedding: decodeVector(chunk.embedding)
+				}))
+			},
+			model
+		);
+		chunks += document.chunks.length;
+	}
+	return { documents: snapshot.documents.length, chunks };
+}
@@ -0,0 +1,166 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import { env } from '$env/dynamic/private';
+import { createLocalStorage } from '../storage/local.js';
+import { exportDocuments, importDocument } from './index.js';
+import { SNAPSHOT_VERSION, exportSnapshot, importSnapshot, parseSnapshot } from './snapshot.js';
+
+const MODEL = 'mock/default';
+
+/** Local storage with a vector store that only records what it is given. */
+function storage() {
+	return {
+		...createLocalStorage(':memory:'),
+		vectors: {
+			has: async () => true,
+			upsert: vi.fn(async () => {}),
+			delete: async () => {},
+			query: async () => []
+		}
+	};
+}
+
+/** @param {unknown} value */
+const encode = (value) =>
+	/** @type {ArrayBuffer} */ (new TextEncoder().encode(JSON.stringify(value)).buffer);
+
+/** @param {number[]} vector */
+function base64(vector) {
+	const bytes = new Uint8Array(Float32Array.from(vector).buffer);
+	return btoa(String.fromCharCode(...bytes));
+}
+
+/** A valid uncompressed snapshot with one document of two 3-dimensional chunks. */
+const snapshot = () => ({
+	format: 'knowledge-base-snapshot',
+	version: SNAPSHOT_VERSION,
+	exportedAt: '2026-01-01T00:00:00.000Z',
+	embedding: { model: MODEL, dimensions: 3 },
+	documents: [
+		{
+			id: 'doc',
+			name: 'doc.md',
+			type: 'markdown',
+			content: 'One.\n\nTwo.',
+			chunkSize: 1000,
+			chunkOverlap: 0,
+			createdAt: '2026-01-01T00:00:00.000Z',
+			chunks: [
+				{ text: 'One.', start: 0, end: 4, headings: [], embedding: base64([0.5, 0.25, -1]) },
+				{ text: 'Two.', start: 6, end: 10, headings: ['A'], embedding: base64([1, 0, 0]) }
+			]
+		}
+	]
+});
+
+beforeEach(() => {
+	env.LLM_PROVIDER = 'mock';
+	env.EMBEDDING_MODEL = '';
+});
+
+describe('parseSnapshot', () => {
+	test('accepts a valid snapshot, gzipped or not', async () => {
+		const plain = encode(snapshot());
+		const gzipped = await new Response(
+			new Blob([plain]).stream().pipeThrough(new CompressionStream('gzip'))
+		).arrayBuffer();
+
+		expect(await parseSnapshot(plain)).toEqual({ snapshot: snapshot() });
+		expect(await parseSnapshot(gzipped)).toEqual({ snapshot: snapshot() });
+	});
+
+	test.each([
+		['not JSON', new TextEncoder().encode('PK\x03\x04').buffer, /not \(gzipped\) JSON/],
+		['another format', encode({ format: 'other' }), /not a snapshot/],
+		['another version', encode({ ...snapshot(), version: 99 }), /version 99 is not supported/],
+		['no documents', encode({ ...snapshot(), documents: null }), /missing its embedding model/]
+	])('rejects %s', async (_, data, error) => {
+		expect((await parseSnapshot(/** @type {ArrayBuffer} */ (data))).error).toMatch(error);
+	});
+
+	test('rejects malformed documents and chunks', async () => {
+		const badDocument = snapshot();
+		Object.assign(badDocument.documents[0], { type: 'pdf' });
+		const badChunk = snapshot();
+		Object.assign(badChunk.documents[0].chunks[1], { start: 'six' });
+
+		expect((await parseSnapshot(encode(badDocument))).error).toMatch(/malformed document/);
+		expect((await parseSnapshot(encode(badChunk))).error).toBe(
+			'doc.md contains a malformed chunk.'
+		);
+	});
+
+	test("rejects vectors that don't have the snapshot's dimensions", async () => {
+		const data = snapshot();
+		data.documents[0].chunks[0].embedding = base64([1, 2]);
+
+		expect((await parseSnapshot(encode(data))).error).toMatch(/dimensions don't match/);
+	});
+});
+
+describe('exportSnapshot and importSnapshot', () => {
+	test('round-trip documents with their chunks and vectors', async () => {
+		const source = storage();
+		const [document] = snapshot().documents;
+		await importDocument(
+			source,
+			{
+				...document,
+				type: 'markdown',
+				chunks: [
+					{ ...document.chunks[0], embedding: [0.5, 0.25, -1] },
+					{ ...document.chunks[1], embedding: [1, 0, 0] }
+				]
+			},
+			MODEL
+		);
+
+		const { data, documents } = await exportSnapshot(source.db);
+		const exported = await parseSnapshot(data);
+		expect(documents).toBe(1);
+		expect(exported.snapshot?.embedding).toEqual({ model: MODEL, dimensions: 3 });
+
+		const target = storage();
+		await importDocument(
+			target,
+			{
+				id: 'other',
+				name: 'doc.md',
+				type: 'text',
+				content: 'Replaced.',
+				chunkSize: 1000,
+				chunkOverlap: 0,
+				createdAt: '2025-01-01T00:00:00.000Z',
+				chunks: [{ text: 'Replaced.', start: 0, end: 9, headings: [], embedding: [0, 0, 1] }]
+			},
+			MODEL
+		);
+		expect(await importSnapshot(target, /** @type {any} */ (exported.snapshot))).toEqual({
+			documents: 1,
+			chunks: 2
+		});
+
+		const [imported] = await exportDocuments(target.db, MODEL);
+		expect(imported.id).toBe('doc');
+		expect(imported.chunks).toEqual([
+			{ text: 'One.', start: 0, end: 4, headings: [], embedding: [0.5, 0.25, -1] },
+			{ text: 'Two.', start: 6, end: 10, headings: ['A'], embedding: [1, 0, 0] }
+		]);
+		expect(target.vectors.upsert).toHaveBeenLastCalledWith(MODEL, [
+			{ id: 'doc:0', vector: [0.5, 0.25, -1], metadata: { documentId: 'doc', seq: 0 } },
+			{ id: 'doc:1', vector: [1, 0, 0], metadata: { documentId: 'doc', seq: 1 } }
+		]);
+	});
+
+	test('refuses snapshots of another embedding model or dimensions', async () => {
+		const target = storage();
+		const other = { ...snapshot(), embedding: { model: 'openai/default', dimensions: 3 } };
+		expect(await importSnapshot(target, /** @type {any} */ (other))).toEqual({
+			error: expect.stringMatching(/embedded with openai\/default/)
+		});
+
+		// Mock embeddings have 256 dimensions.
+		expect(await importSnapshot(target, /** @type {any} */ (snapshot()))).toEqual({
+			error: expect.stringMatching(/3 dimensions, but mock\/default produces 256/)
+		});
+	});
+});
@@ -0,0 +1,212 @@
+import { env } from '$env/dynamic/private';
+import { MarkdownTextSplitter, RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+
+const MIN_CHUNK_SIZE = 100;
+const MAX_CHUNK_SIZE = 8000;
+
+/** @typedef {'markdown' | 'text' | 'html'} DocumentType */
+
+/**
+ * @typedef {object} SplitOptions
+ * @property {number} chunkSize Maximum characters per chunk.
+ * @property {number} chunkOverlap Characters repeated between neighbouring chunks.
+ */
+
+/**
+ * @typedef {object} Chunk
+ * @property {string} text
+ * @property {number} start Offset of the chunk in the document's text.
+ * @property {number} end
+ * @property {string[]} headings Markdown headings the chunk is under, outermost first.
+ */
+
+/** @type {Record<string, DocumentType>} */
+const EXTENSIONS = {
+	md: 'markdown',
+	markdown: 'markdown',
+	txt: 'text',
+	text: 'text',
+	html: 'html',
+	htm: 'html'
+};
+
+/** @type {Record<string, DocumentType>} */
+const MIME_TYPES = {
+	'text/markdown': 'markdown',
+	'text/plain': 'text',
+	'text/html': 'html'
+};
+
+/**
+ * Works out how to read an uploaded file from its extension, falling back
+ * to its MIME type. Returns null for unsupported files.
+ * @param {string} name
+ * @param {string} mimeType
+ * @returns {DocumentType | null}
+ */
+export function documentType(name, mimeType) {
+	const extension = name.includes('.') ? name.split('.').pop()?.toLowerCase() : undefined;
+	return (extension && EXTENSIONS[extension]) || MIME_TYPES[mimeType.split(';')[0].trim()] || null;
+}
+
+/**
+ * Reads an optional integer field, falling back to `fallback` when empty.
+ * @param {unknown} value
+ * @param {number} fallback
+ */
+function integer(value, fallback) {
+	if (value === undefined || value === null) return fallback;
+	if (typeof value === 'string' && value.trim() === '') return fallback;
+	return Number(value);
+}
+
+/**
+ * Validates user-supplied chunking options. Missing values default to
+ * `CHUNK_SIZE` and `CHUNK_OVERLAP` (1000 and 200 characters).
+ * @param {Record<string, unknown>} input
+ * @returns {{ options: SplitOptions, errors: Record<string, string> | null }}
+ */
+export function parseSplitOptions(input) {
+	const chunkSize = integer(input.chunkSize, Number(env.CHUNK_SIZE || 1000));
+	const chunkOverlap = integer(input.chunkOverlap, Number(env.CHUNK_OVERLAP || 200));
+
+	/** @type {Record<string, string>} */
+	const errors = {};
+	if (!(
+		Number.isInteger(chunkSize) &&
+		chunkSize >= MIN_CHUNK_SIZE &&
+		chunkSize <= MAX_CHUNK_SIZE
+	)) {
+		errors.chunkSize = `Chunk size must be a whole number between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE}.`;
+	} else if (!(Number.isInteger(chunkOverlap) && chunkOverlap >= 0 && chunkOverlap < chunkSize)) {
+		errors.chunkOverlap = 'Chunk overlap must be a whole number smaller than the chunk size.';
+	}
+
+	return {
+		options: { chunkSize, chunkOverlap },
+		errors: Object.keys(errors).length > 0 ? errors : null
+	};
+}
+
+/** @type {Record<string, string>} */
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Converts HTML to Markdown-flavoured text: headings become `#` headings so
+ * the document can be split like Markdown, block elements become paragraph
+ * breaks, and everything else is reduced to its text. This runs on Workers,
+ * which have no DOM, so it is deliberately simple.
+ * @param {string} html
+ */
+export function htmlToText(html) {
+	return html
+		.replace(/<!--[\s\S]*?-->/g, '')
+		.replace(/<(script|style|head|template|noscript)\b[\s\S]*?<\/\1\s*>/gi, '')
+		.replace(
+			/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi,
+			(_, level, inner) =>
+				`\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]*>/g, '').trim()}\n\n`
+		)
+		.replace(/<li\b[^>]*>/gi, '\n- ')
+		.replace(/<br\s*\/?>/gi, '\n')
+		.replace(
+			/<\/?(p|div|section|article|main|header|footer|aside|nav|ul|ol|table|tr|blockquote|pre|figure)\b[^>]*>/gi,
+			'\n\n'
+		)
+		.replace(/<[^>]*>/g, '')
+		.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+			if (name[0] !== '#') return ENTITIES[name.toLowerCase()] ?? entity;
+			const code =
+				name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+			// Like browsers, replace references to NUL, surrogates and code points
+			// beyond Unicode, which String.fromCodePoint would throw on.
+			const valid = code > 0 && code <= 0x10ffff && (code < 0xd800 || code > 0xdfff);
+			return valid ? String.fromCodePoint(code) : '\ufffd';
+		})
+		.replace(/[ \t]+/g, ' ')
+		.replace(/ *\n */g, '\n')
+		.replace(/\n{3,}/g, '\n\n')
+		.trim();
+}
+
+/**
+ * Cuts Markdown into sections at its headings, skipping `#` lines inside
+ * fenced code blocks. Each section starts with its heading line.
+ * @param {string} text
+ */
+function markdownSections(text) {
+	/** @type {{ headings: string[], start: number, end: number }[]} */
+	const sections = [];
+	/** @type {{ level: number, title: string }[]} */
+	let path = [];
+	let start = 0;
+	let offset = 0;
+	/** @type {string | null} */
+	let fence = null;
+
+	for (const line of text.split('\n')) {
+		const fenceMatch = /^\s*(```|~~~)/.exec(line);
+		const heading = fence === null && /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+		if (fenceMatch) {
+			if (fence === null) fence = fenceMatch[1];
+			else if (fence === fenceMatch[1]) fence = null;
+		} else if (heading) {
+			if (offset > start) {
+				sections.push({ headings: path.map(({ title }) => title), start, end: offset });
+			}
+			const level = heading[1].length;
+			path = [...path.filter((entry) => entry.level < level), { level, title: heading[2] }];
+			start = offset;
+		}
+		offset += line.length + 1;
+	}
+	sections.push({ headings: path.map(({ title }) => title), start, end: text.length });
+
+	return sections.filter(({ start, end }) => text.slice(start, end).trim() !== '');
+}
+
+/**
+ * Splits a document into overlapping chunks with LangChain's text splitters.
+ * Markdown (and HTML, once converted with `htmlToText`) is first cut at its
+ * headings so that no chunk spans two sections, and every chunk records the
+ * headings it sits under.
+ * @param {string} text
+ * @param {DocumentType} type
+ * @param {SplitOptions} options
+ * @returns {Promise<Chunk[]>}
+ */
+export async function splitDocument(text, type, options) {
+	const markdown = type !== 'text';
+	const splitter = markdown
+		? new MarkdownTextSplitter(options)
+		: new RecursiveCharacterTextSplitter(options);
+	const sections = markdown
+		? markdownSections(text)
+		: [{ headings: [], start: 0, end: text.length }];
+
+	/** @type {Chunk[]} */
+	const chunks = [];
+	for (const section of sections) {
+		const body = text.slice(section.start, section.end);
+		let previous = { start: -1, end: 0 };
+		for (const chunk of await splitter.splitText(body)) {
+			// Splitters return trimmed substrings in order, each overlapping the
+			// previous one by about `chunkOverlap` characters (more, since
+			// separators aren't counted). Searching from there rather than from
+			// the previous start keeps repetitive text from matching too early.
+			// Should a chunk not be found verbatim, its offset is approximated.
+			const from = Math.max(previous.start + 1, previous.end - 2 * options.chunkOverlap);
+			let start = body.indexOf(chunk, from);
+			if (start === -1) start = body.indexOf(chunk, previous.start + 1);
+			if (start === -1) start = from;
+			previous = { start, end: start + chunk.length };
+			chunks.push({
+				text: chunk,
+				start: section.start + start,
+				end: section.start + Math.min(previous.end, body.length),
+				headings: section.headings
+			});
+		}
+	}
+	return chunks;
+}
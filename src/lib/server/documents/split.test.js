@@ -0,0 +1,105 @@
+import { describe, expect, test } from 'vitest';
+import { documentType, htmlToText, parseSplitOptions, splitDocument } from './split.js';
+
+describe('documentType', () => {
+	test('goes by extension, then MIME type', () => {
+		expect(documentType('notes.MD', '')).toBe('markdown');
+		expect(documentType('page.htm', 'text/plain')).toBe('html');
+		expect(documentType('README', 'text/plain; charset=utf-8')).toBe('text');
+		expect(documentType('photo.png', 'image/png')).toBeNull();
+	});
+});
+
+describe('parseSplitOptions', () => {
+	test('falls back to the defaults for empty fields', () => {
+		expect(parseSplitOptions({ chunkSize: '', chunkOverlap: undefined })).toEqual({
+			options: { chunkSize: 1000, chunkOverlap: 200 },
+			errors: null
+		});
+	});
+
+	test('rejects sizes out of range and overlaps as large as the chunks', () => {
+		expect(parseSplitOptions({ chunkSize: '50' }).errors).toHaveProperty('chunkSize');
+		expect(parseSplitOptions({ chunkSize: '1.5' }).errors).toHaveProperty('chunkSize');
+		expect(parseSplitOptions({ chunkSize: '500', chunkOverlap: '500' }).errors).toHaveProperty(
+			'chunkOverlap'
+		);
+	});
+});
+
+describe('htmlToText', () => {
+	test('turns headings into Markdown headings and blocks into paragraphs', () => {
+		const html = `<html><head><title>Ignored</title></head><body>
+			<h1>Title <em>here</em></h1><p>First   paragraph.</p>
+			<script>alert(1)</script><!-- comment -->
+			<ul><li>one</li><li>two</li></ul><p>line<br>break</p></body></html>`;
+
+		expect(htmlToText(html)).toBe(
+			'# Title here\n\nFirst paragraph.\n\n- one\n- two\n\nline\nbreak'
+		);
+	});
+
+	test('decodes named and numeric entities, keeping unknown ones', () => {
+		expect(htmlToText('&lt;a&gt; &amp; &#233;&#x1F600; &copy;')).toBe('<a> & é😀 &copy;');
+	});
+
+	test('replaces references to invalid code points instead of throwing', () => {
+		expect(htmlToText('a&#x110000;b&#99999999;c&#xD800;d&#0;e')).toBe(
+			'a\ufffdb\ufffdc\ufffdd\ufffde'
+		);
+	});
+});
+
+describe('splitDocument', () => {
+	const options = { chunkSize: 100, chunkOverlap: 20 };
+
+	test("records each chunk's offsets in the text", async () => {
+		const text = Array.from({ length: 30 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+
+		const chunks = await splitDocument(text, 'text', options);
+
+		expect(chunks.length).toBeGreaterThan(3);
+		for (const chunk of chunks) {
+			expect(text.slice(chunk.start, chunk.end)).toBe(chunk.text);
+			expect(chunk.headings).toEqual([]);
+		}
+	});
+
+	test('splits Markdown at headings and records the headings of each chunk', async () => {
+		const text = [
+			'# Guide',
+			'Intro text.',
+			'## Install',
+			'Run the installer.',
+			'```sh',
+			'# not a heading',
+			'```',
+			'## Use',
+			'Open the app.',
+			'# Appendix',
+			'More.'
+		].join('\n');
+
+		const chunks = await splitDocument(text, 'markdown', options);
+
+		expect(chunks.map(({ headings }) => headings)).toEqual([
+			['Guide'],
+			['Guide', 'Install'],
+			['Guide', 'Use'],
+			['Appendix']
+		]);
+		expect(chunks[1].text).toContain('# not a heading');
+		for (const chunk of chunks) expect(text.slice(chunk.start, chunk.end)).toBe(chunk.text);
+	});
+
+	test('finds the right offsets in repetitive text', async () => {
+		const text = Array.from({ length: 20 }, () => 'the same words again').join('\n\n');
+
+		const chunks = await splitDocument(text, 'text', options);
+
+		for (const [i, chunk] of chunks.entries()) {
+			expect(text.slice(chunk.start, chunk.end)).toBe(chunk.text);
+			if (i > 0) expect(chunk.start).toBeGreaterThan(chunks[i - 1].start);
+		}
+	});
+});
@@ -0,0 +1,35 @@
+import { env } from '$env/dynamic/private';
+import { modelTargets } from './llm/index.js';
+
+/**
+ * Environment variables each provider needs at runtime. They are always read
+ * through `$env/dynamic/private`, which SvelteKit fills from `process.env` on
+ * Node and from the Worker's `env` bindings on Cloudflare, so secrets never
+ * end up inlined in the bundle the way `$env/static/private` values would.
+ * @type {Record<string, string[]>}
+ */
+const REQUIRED = {
+	openai: ['OPENAI_API_KEY'],
+	'openai-compatible': ['LLM_BASE_URL'],
+	mock: []
+};
+
+/**
+ * Throws if the configured provider or any fallback in `LLM_FALLBACKS` is
+ * missing variables it needs, naming every missing variable at once.
+ */
+export function assertEnv() {
+	for (const { provider } of modelTargets()) {
+		const required = REQUIRED[provider];
+		if (!required) {
+			throw new Error(`Unknown provider "${provider}" in LLM_PROVIDER or LLM_FALLBACKS`);
+		}
+
+		const missing = required.filter((name) => !env[name]);
+		if (missing.length > 0) {
+			throw new Error(
+				`Missing required environment variable(s) for provider "${provider}": ${missing.join(', ')}`
+			);
+		}
+	}
+}
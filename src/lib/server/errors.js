@@ -0,0 +1,144 @@
+import { ModelUnavailableError } from './llm/resilience.js';
+
+/**
+ * Why a request failed, as far as the model provider is concerned.
+ * @typedef {'auth' | 'quota' | 'rate_limit' | 'context_length' | 'content_filter' | 'timeout' | 'network' | 'unavailable' | 'aborted' | 'unknown'} FailureReason
+ */
+
+/**
+ * What the user is told for each reason. None of them include anything from
+ * the provider's response, which can echo the prompt or account details.
+ * @type {Record<FailureReason, string>}
+ */
+const MESSAGES = {
+	auth: 'The AI provider rejected our credentials, so no answers can be generated right now. Please let the site administrator know.',
+	quota: 'The AI provider account has run out of credit. Please let the site administrator know.',
+	rate_limit:
+		'The AI provider is receiving too many requests right now. Please wait a minute and try again.',
+	context_length:
+		'The prompt is too long for the model. Shorten it, or use fewer sources or a shorter document, and try again.',
+	content_filter:
+		"The AI provider's content filter blocked the prompt or the answer. Please rephrase it and try again.",
+	timeout: 'The model took too long to answer. Please try again, perhaps with a shorter prompt.',
+	network: "We couldn't reach the AI provider. Please try again in a moment.",
+	unavailable: 'The AI provider is having problems right now. Please try again in a few minutes.',
+	aborted: 'The request was cancelled.',
+	unknown: 'Something went wrong on our side. Please try again.'
+};
+
+/**
+ * @typedef {object} ClassifiedError
+ * @property {FailureReason} reason
+ * @property {string} message For the user.
+ * @property {string} detail For the logs: what failed, with secrets redacted.
+ */
+
+/** Values that look like credentials, for redacting them from logs. */
+const SECRET = /\b(sk-[A-Za-z0-9_-]{8,}|Bearer\s+\S+)/g;
+
+/** @param {string} text */
+const redact = (text) => text.replace(SECRET, '[redacted]');
+
+/**
+ * The `error` object of an OpenAI-style response body, if there is one.
+ * @param {any} data
+ * @returns {{ code?: string, type?: string, message?: string }}
+ */
+function upstreamError(data) {
+	if (typeof data === 'string') {
+		try {
+			data = JSON.parse(data);
+		} catch {
+			return {};
+		}
+	}
+	const error = data?.error;
+	return typeof error === 'object' && error !== null ? error : {};
+}
+
+/**
+ * @param {any} error
+ * @returns {FailureReason}
+ */
+function reasonOf(error) {
+	if (error?.name === 'AbortError') return 'aborted';
+	if (error?.name === 'TimeoutError' || error?.code === 'ECONNABORTED') return 'timeout';
+
+	const status = error?.response?.status ?? error?.status;
+	if (typeof status !== 'number') {
+		const cause = error?.cause?.code ?? error?.code;
+		const network = ['ERR_NETWORK', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN'];
+		if (network.includes(cause) || (error instanceof TypeError && /fetch/i.test(error.message))) {
+			return 'network';
+		}
+		return 'unknown';
+	}
+
+	const { code = '', type = '', message = '' } = upstreamError(error?.response?.data);
+	if (code === 'content_filter' || /content (management )?(policy|filter)/i.test(message)) {
+		return 'content_filter';
+	}
+	if (code === 'context_length_exceeded' || /maximum context length/i.test(message)) {
+		return 'context_length';
+	}
+	if (status === 401 || status === 403) return 'auth';
+	if (status === 429) {
+		return code === 'insufficient_quota' || type === 'insufficient_quota' ? 'quota' : 'rate_limit';
+	}
+	if (status === 408 || status === 504) return 'timeout';
+	if (status >= 500) return 'unavailable';
+	return 'unknown';
+}
+
+/**
+ * Classifies a failed request by its error, looking through the
+ * `ModelUnavailableError` of a model that gave up to the last failure behind
+ * it. Errors from the OpenAI client carry the request's headers, including
+ * the API key, and the provider's response, so only the returned fields
+ * should be shown or logged, never the error itself.
+ * @param {unknown} error
+ * @returns {ClassifiedError}
+ */
+export function classifyError(error) {
+	/** @type {any} */
+	let failure = error;
+	if (error instanceof ModelUnavailableError) {
+		failure = error.cause;
+		// Every model had its circuit open, so none was even called.
+		if (failure === undefined) {
+			return { reason: 'unavailable', message: MESSAGES.unavailable, detail: error.message };
+		}
+	}
+
+	const reason = reasonOf(failure);
+	const status = failure?.response?.status;
+	const { code, message: upstream } = upstreamError(failure?.response?.data);
+	// The OpenAI client appends the response body, which is summarised below.
+	const summary = String(failure?.message ?? failure).replace(/ and body [\s\S]*/, '');
+	const detail = [
+		`${failure?.name ?? 'Error'}: ${summary}`,
+		status && `status ${status}`,
+		code && `code ${code}`,
+		upstream && `provider said: ${upstream}`
+	]
+		.filter(Boolean)
+		.join(', ');
+	return { reason, message: MESSAGES[reason], detail: redact(detail) };
+}
+
+/**
+ * Logs a failed request without the secrets and payloads its error may
+ * carry, under `id` so that a user quoting it can be matched to the log.
+ * @param {string} id
+ * @param {unknown} error
+ * @returns {ClassifiedError}
+ */
+export function logError(id, error) {
+	const classified = classifyError(error);
+	const log = classified.reason === 'aborted' ? console.warn : console.error;
+	log(`[${id}] ${classified.reason}: ${classified.detail}`);
+	if (classified.reason === 'unknown' && error instanceof Error && error.stack) {
+		log(redact(error.stack));
+	}
+	return classified;
+}
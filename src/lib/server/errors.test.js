@@ -0,0 +1,91 @@
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import { classifyError, logError } from './errors.js';
+import { ModelUnavailableError } from './llm/resilience.js';
+
+const KEY = 'sk-proj-abcdefghijklmnop1234';
+
+/**
+ * An error like the OpenAI client's, which carries the request with its
+ * headers and the provider's response.
+ * @param {number} status
+ * @param {object} [body]
+ */
+function apiError(status, body = {}) {
+	return Object.assign(
+		new Error(`Request failed with status code ${status} and body ${JSON.stringify(body)}`),
+		{
+			config: { headers: { Authorization: `Bearer ${KEY}` } },
+			response: { status, data: body }
+		}
+	);
+}
+
+afterEach(() => {
+	vi.restoreAllMocks();
+});
+
+describe('classifyError', () => {
+	test.each([
+		['auth', apiError(401)],
+		['quota', apiError(429, { error: { code: 'insufficient_quota' } })],
+		['rate_limit', apiError(429)],
+		['context_length', apiError(400, { error: { code: 'context_length_exceeded' } })],
+		['content_filter', apiError(400, { error: { message: 'Blocked by the content filter.' } })],
+		['timeout', apiError(504)],
+		['unavailable', apiError(503)],
+		['timeout', Object.assign(new Error('Timed out'), { name: 'TimeoutError' })],
+		['aborted', new DOMException('The operation was aborted.', 'AbortError')],
+		['network', new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } })],
+		['unknown', new Error('Something else')]
+	])('classifies %s', (reason, error) => {
+		expect(classifyError(error).reason).toBe(reason);
+	});
+
+	test('looks through ModelUnavailableError to the last failure', () => {
+		const error = new ModelUnavailableError('No model answered.', [], 502, apiError(401));
+		expect(classifyError(error).reason).toBe('auth');
+		expect(classifyError(new ModelUnavailableError('All circuits are open.', [], 503)).reason).toBe(
+			'unavailable'
+		);
+	});
+
+	test('summarises the response body and redacts credentials', () => {
+		const error = apiError(401, {
+			error: { code: 'invalid_api_key', message: `Incorrect API key provided: ${KEY}.` }
+		});
+
+		const { message, detail } = classifyError(error);
+
+		expect(detail).toBe(
+			'Error: Request failed with status code 401, status 401, code invalid_api_key, provider said: Incorrect API key provided: [redacted].'
+		);
+		expect(message).not.toContain('sk-');
+		expect(classifyError(new Error(`Authorization: Bearer ${KEY}`)).detail).toBe(
+			'Error: Authorization: [redacted]'
+		);
+	});
+});
+
+describe('logError', () => {
+	test('logs under the request id without secrets', () => {
+		const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+		const thrown = new Error(`Unexpected ${KEY}`);
+
+		expect(logError('req-1', thrown).reason).toBe('unknown');
+
+		const logged = error.mock.calls.flat().join('\n');
+		expect(logged).toMatch(/^\[req-1\] unknown: Error: Unexpected \[redacted\]/);
+		expect(logged).toContain('errors.test.js');
+		expect(logged).not.toContain(KEY);
+	});
+
+	test('logs cancelled requests as warnings', () => {
+		const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+		logError('req-2', new DOMException('The operation was aborted.', 'AbortError'));
+
+		expect(warn).toHaveBeenCalledOnce();
+		expect(error).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,222 @@
+import { Validator } from '@cfworker/json-schema';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { createModel } from './llm/index.js';
+import { trackUsage } from './usage.js';
+
+/** Repair attempts after the first answer when the caller doesn't say. */
+export const DEFAULT_MAX_RETRIES = 2;
+
+/** @typedef {import('@cfworker/json-schema').Schema} JsonSchema */
+
+/**
+ * An answer the model gave and why it was rejected.
+ * @typedef {{ output: string, errors: string[] }} ExtractionAttempt
+ */
+
+/**
+ * Returned when no answer passed validation within the allowed attempts.
+ * @typedef {object} ExtractionError
+ * @property {'invalid_output'} code
+ * @property {string} message
+ * @property {ExtractionAttempt[]} attempts Every answer, in order.
+ */
+
+/**
+ * @template T
+ * @typedef {{ data: T, attempts: number, usage: import('./usage.js').Usage, error?: undefined }
+ *   | { data?: undefined, error: ExtractionError, usage: import('./usage.js').Usage }} ExtractionResult
+ */
+
+/**
+ * Validation of a parsed answer, with errors as `path: problem` lines.
+ * @template T
+ * @typedef {(value: unknown) => { valid: true, value: T } | { valid: false, errors: string[] }} Check
+ */
+
+/**
+ * @param {unknown} schema
+ * @returns {schema is import('zod').ZodType}
+ */
+const isZod = (schema) =>
+	typeof schema === 'object' &&
+	schema !== null &&
+	typeof (/** @type {any} */ (schema).safeParse) === 'function';
+
+/**
+ * Compiles a JSON Schema, returning an error message if it can't be used,
+ * such as when its `$ref`s don't resolve. References in subschemas are only
+ * followed when a value reaches them, so those fail as validation errors.
+ * @param {unknown} schema
+ * @returns {{ check: Check<unknown>, error?: undefined } | { check?: undefined, error: string }}
+ */
+export function compileJsonSchema(schema) {
+	if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+		return { error: 'The schema must be a JSON Schema object.' };
+	}
+	let validator;
+	try {
+		validator = new Validator(/** @type {JsonSchema} */ (schema), '2020-12', false);
+		validator.validate(null);
+	} catch (error) {
+		// Messages about unresolved references go on to list every known schema.
+		const [message] = String(error instanceof Error ? error.message : error).split('\n');
+		return { error: `The schema can't be used: ${message}` };
+	}
+	return {
+		check(value) {
+			let result;
+			try {
+				result = validator.validate(value);
+			} catch (error) {
+				const [message] = String(error instanceof Error ? error.message : error).split('\n');
+				return { valid: false, errors: [`The schema can't be applied: ${message}`] };
+			}
+			const { valid, errors } = result;
+			if (valid) return { valid, value };
+			// Keywords that apply subschemas report a summary of their failures
+			// next to the failures themselves; only the latter say what to fix.
+			const summaries = new Set(['properties', 'items', 'prefixItems', 'allOf', '$ref']);
+			const leaves = errors.filter(({ keyword }) => !summaries.has(keyword));
+			return {
+				valid,
+				errors: (leaves.length > 0 ? leaves : errors).map(
+					({ instanceLocation, error }) => `${instanceLocation.replace(/^#/, '') || '/'}: ${error}`
+				)
+			};
+		}
+	};
+}
+
+/**
+ * @template T
+ * @param {import('zod').ZodType<T, import('zod').ZodTypeDef, unknown>} schema
+ * @returns {Check<T>}
+ */
+function zodCheck(schema) {
+	return (value) => {
+		const result = schema.safeParse(value);
+		if (result.success) return { valid: true, value: result.data };
+		return {
+			valid: false,
+			errors: result.error.issues.map(({ path, message }) => `/${path.join('/')}: ${message}`)
+		};
+	};
+}
+
+/**
+ * The JSON in a model's answer: the contents of a fenced code block if there
+ * is one, otherwise everything from the first `{` or `[` to the last `}` or
+ * `]`.
+ * @param {string} output
+ * @returns {{ value: unknown, error?: undefined } | { value?: undefined, error: string }}
+ */
+function parseOutput(output) {
+	const fenced = /```(?:json)?\s*\n([\s\S]*?)```/i.exec(output);
+	let text = fenced ? fenced[1] : output;
+	if (!fenced) {
+		const start = text.search(/[[{]/);
+		const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+		if (start !== -1 && end > start) text = text.slice(start, end + 1);
+	}
+	try {
+		return { value: JSON.parse(text) };
+	} catch (error) {
+		return {
+			error: `The answer is not valid JSON: ${error instanceof Error ? error.message : error}`
+		};
+	}
+}
+
+/**
+ * Instructions appended to the caller's prompt.
+ * @param {object} schema A JSON Schema.
+ */
+const formatInstructions = (schema) =>
+	[
+		'Answer with a JSON value that conforms to the following JSON Schema:',
+		'```json',
+		JSON.stringify(schema),
+		'```',
+		'Give only the JSON value, in a ```json code block, without comments or other text.'
+	].join('\n');
+
+/**
+ * Asks the model for structured data instead of free text: `prompt` is sent
+ * with instructions to answer with JSON matching `schema`, and the answer is
+ * parsed and validated. A rejected answer is sent back with what was wrong
+ * with it, up to `maxRetries` times, before giving up with an
+ * `invalid_output` error listing every attempt.
+ *
+ * `schema` is either a JSON Schema (draft 2020-12) or a zod schema, whose
+ * output type the data then has. `signal` cancels the model calls, which
+ * are logged under `requestId`.
+ * @template [T=unknown]
+ * @param {string} prompt
+ * @param {import('zod').ZodType<T, import('zod').ZodTypeDef, unknown> | JsonSchema} schema
+ * @param {{ maxRetries?: number, temperature?: number, signal?: AbortSignal, requestId?: string }} [options]
+ * @returns {Promise<ExtractionResult<T>>}
+ */
+export async function extract(
+	prompt,
+	schema,
+	{ maxRetries = DEFAULT_MAX_RETRIES, temperature = 0, signal, requestId } = {}
+) {
+	/** @type {Check<any>} */
+	let check;
+	/** @type {object} */
+	let jsonSchema;
+	if (isZod(schema)) {
+		check = zodCheck(schema);
+		// Its signature is too deep for TypeScript to check against a generic schema.
+		jsonSchema = zodToJsonSchema(/** @type {any} */ (schema), { $refStrategy: 'none' });
+	} else {
+		const compiled = compileJsonSchema(schema);
+		if (!compiled.check) throw new Error(compiled.error);
+		check = compiled.check;
+		jsonSchema = schema;
+	}
+
+	const tracker = trackUsage(requestId);
+	const model = createModel({ temperature, callbacks: [tracker.handler], signal });
+	const instructions = formatInstructions(jsonSchema);
+
+	/** @type {ExtractionAttempt[]} */
+	const attempts = [];
+	while (attempts.length <= maxRetries) {
+		const previous = attempts.at(-1);
+		const repair = previous
+			? [
+					'',
+					'Your previous answer was:',
+					previous.output,
+					'',
+					'It was rejected because:',
+					...previous.errors.map((error) => `- ${error}`),
+					'',
+					'Answer again, fixing these problems.'
+				]
+			: [];
+		const output = await model.call([prompt, '', instructions, ...repair].join('\n'));
+
+		const parsed = parseOutput(output);
+		const result = parsed.error === undefined ? check(parsed.value) : null;
+		if (result?.valid) {
+			return { data: result.value, attempts: attempts.length + 1, usage: await tracker.total() };
+		}
+		attempts.push({
+			output,
+			errors: result ? result.errors : [/** @type {string} */ (parsed.error)]
+		});
+	}
+
+	return {
+		error: {
+			code: 'invalid_output',
+			message: `The model's answer didn't match the schema after ${attempts.length} ${
+				attempts.length === 1 ? 'attempt' : 'attempts'
+			}.`,
+			attempts
+		},
+		usage: await tracker.total()
+	};
+}
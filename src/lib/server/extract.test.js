@@ -0,0 +1,116 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import { z } from 'zod';
+import { env } from '$env/dynamic/private';
+import { compileJsonSchema, extract } from './extract.js';
+
+// Token counts don't matter here, and the real ones need the WASM tokenizer.
+vi.mock('./tokens.js', () => ({
+	countTokens: async (/** @type {string} */ text) => text.split(/\s+/).length
+}));
+
+/** @type {import('@cfworker/json-schema').Schema} */
+const schema = {
+	type: 'object',
+	properties: { name: { type: 'string' }, age: { type: 'integer', minimum: 0 } },
+	required: ['name', 'age']
+};
+
+/**
+ * Scripts the mock model: `first` answers the initial prompt, and each of
+ * `repairs` one more repair request, identified by the previous answer it
+ * quotes.
+ * @param {string} first
+ * @param {string[]} [repairs]
+ */
+function script(first, repairs = []) {
+	const answers = [first, ...repairs];
+	env.MOCK_LLM_SCRIPT = JSON.stringify([
+		...repairs.map((response, i) => ({
+			match: `Your previous answer was:\n${answers[i]}\n`,
+			response
+		})),
+		{ response: first }
+	]);
+}
+
+beforeEach(() => {
+	// Model calls are logged as JSON lines.
+	vi.spyOn(console, 'log').mockImplementation(() => {});
+	env.LLM_PROVIDER = 'mock';
+	env.LLM_FALLBACKS = '';
+	env.LLM_MODEL = '';
+});
+
+describe('compileJsonSchema', () => {
+	test('rejects schemas that are not objects or have unresolved references', () => {
+		expect(compileJsonSchema([]).error).toBe('The schema must be a JSON Schema object.');
+		expect(compileJsonSchema({ $ref: '#/$defs/missing' }).error).toMatch(/can't be used/);
+	});
+
+	test('reports where a value fails, without the summaries', () => {
+		const { check } = compileJsonSchema(schema);
+		expect(check?.({ name: 'Ada', age: -1 })).toEqual({
+			valid: false,
+			errors: ['/age: -1 is less than 0.']
+		});
+	});
+});
+
+describe('extract', () => {
+	test('returns data from a valid first answer', async () => {
+		script('Here you go:\n```json\n{"name": "Ada", "age": 36}\n```');
+
+		const result = await extract('Who wrote the first program?', schema);
+
+		expect(result).toMatchObject({ data: { name: 'Ada', age: 36 }, attempts: 1 });
+		expect(result.usage.completionTokens).toBeGreaterThan(0);
+	});
+
+	test('finds JSON outside a code block', async () => {
+		script('Sure! {"name": "Ada", "age": 36} Hope that helps.');
+
+		expect((await extract('Who?', schema)).data).toEqual({ name: 'Ada', age: 36 });
+	});
+
+	test('sends invalid JSON back with the parse error and accepts the repair', async () => {
+		script('{"name": "Ada", age: 36}', ['{"name": "Ada", "age": 36}']);
+
+		const result = await extract('Who?', schema);
+
+		expect(result).toMatchObject({ data: { name: 'Ada', age: 36 }, attempts: 2 });
+	});
+
+	test('sends schema violations back and accepts the repair', async () => {
+		script('{"name": "Ada"}', ['{"name": "Ada", "age": "36"}', '{"name": "Ada", "age": 36}']);
+
+		const result = await extract('Who?', schema, { maxRetries: 2 });
+
+		expect(result).toMatchObject({ data: { name: 'Ada', age: 36 }, attempts: 3 });
+	});
+
+	test('gives up after maxRetries with every rejected answer', async () => {
+		script('nope', ['still nope']);
+
+		const result = await extract('Who?', schema, { maxRetries: 1 });
+
+		expect(result.error).toEqual({
+			code: 'invalid_output',
+			message: "The model's answer didn't match the schema after 2 attempts.",
+			attempts: [
+				{ output: 'nope', errors: [expect.stringMatching(/^The answer is not valid JSON/)] },
+				{ output: 'still nope', errors: [expect.stringMatching(/^The answer is not valid JSON/)] }
+			]
+		});
+	});
+
+	test('validates against zod schemas and returns their output', async () => {
+		script('{"name": "Ada", "born": "1815"}', ['{"name": "Ada", "born": 1815}']);
+
+		const result = await extract(
+			'Who?',
+			z.object({ name: z.string(), born: z.number().transform((year) => `in ${year}`) })
+		);
+
+		expect(result).toMatchObject({ data: { name: 'Ada', born: 'in 1815' }, attempts: 2 });
+	});
+});
@@ -0,0 +1,125 @@
+import { env } from '$env/dynamic/private';
+import { coalesce } from './coalesce.js';
+import { modelId } from './index.js';
+import { findSimilar, semanticCacheThreshold, storeSimilar } from './semantic-cache.js';
+
+/** Default lifetime of a cached completion, in seconds. */
+const DEFAULT_TTL = 60 * 60 * 24;
+
+/**
+ * @typedef {object} CacheOptions
+ * @property {boolean} [bypass] Ignore any stored answer. The fresh answer is
+ *   still stored.
+ * @property {boolean} [optIn] Cache even though a temperature above 0 (or the
+ *   provider default) means the same prompt can produce different answers.
+ */
+
+/**
+ * Whether the client asked for a fresh answer, through an `x-cache-bypass`
+ * header or `Cache-Control: no-cache`.
+ * @param {Request} request
+ */
+export function wantsCacheBypass(request) {
+	return (
+		request.headers.has('x-cache-bypass') ||
+		/\bno-cache\b/.test(request.headers.get('cache-control') ?? '')
+	);
+}
+
+/**
+ * @param {string} prompt
+ * @param {import('./index.js').ModelOptions} options
+ */
+async function cacheKey(prompt, options) {
+	const input = JSON.stringify([
+		modelId(),
+		prompt,
+		options.temperature ?? null,
+		options.maxTokens ?? null
+	]);
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+	const hex = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+	return `completion:${hex}`;
+}
+
+/**
+ * @typedef {object} CachedCompletion
+ * @property {string} completion
+ * @property {boolean} cached
+ * @property {boolean} coalesced Whether the answer came from the model call
+ *   of a concurrent identical request.
+ * @property {number | null} similarity For an answer cached for a different
+ *   prompt, the cosine similarity of that prompt's embedding.
+ * @property {import('../usage.js').Usage | null} embedding Usage of
+ *   embedding the prompt for the semantic cache, if it was.
+ */
+
+/**
+ * Returns the cached completion for this prompt and these model options, or
+ * calls `generate` and caches what it returns for `LLM_CACHE_TTL` seconds.
+ * Setting `LLM_CACHE_TTL` to 0 disables the cache.
+ *
+ * When `SEMANTIC_CACHE_THRESHOLD` is set, a prompt without an exact match is
+ * embedded and answered with the completion of a cached prompt at least that
+ * similar, and fresh completions are cached under their prompt's embedding
+ * as well (see `./semantic-cache.js`).
+ *
+ * Whether cacheable or not, a request arriving while `generate` is already
+ * running for the same prompt and options shares that call instead of making
+ * its own (see `./coalesce.js`); `subscriber` receives its tokens and stops
+ * waiting on its `signal`.
+ * @param {import('../storage/index.js').Storage} storage
+ * @param {string} prompt
+ * @param {import('./index.js').ModelOptions} options
+ * @param {CacheOptions} cache
+ * @param {import('./coalesce.js').FlightCall} generate
+ * @param {import('./coalesce.js').Subscriber} [subscriber]
+ * @returns {Promise<CachedCompletion>}
+ */
+export async function cachedCompletion(storage, prompt, options, cache, generate, subscriber) {
+	const { kv, db } = storage;
+	const key = await cacheKey(prompt, options);
+	const ttl = env.LLM_CACHE_TTL ? Number(env.LLM_CACHE_TTL) : DEFAULT_TTL;
+	const cacheable = ttl > 0 && (options.temperature === 0 || cache.optIn);
+	if (!cacheable) {
+		const { completion, coalesced } = await coalesce(db, key, generate, subscriber);
+		return { completion, cached: false, coalesced, similarity: null, embedding: null };
+	}
+
+	if (!cache.bypass) {
+		const hit = await kv.get(key);
+		if (hit !== null) {
+			return { completion: hit, cached: true, coalesced: false, similarity: null, embedding: null };
+		}
+	}
+
+	const threshold = semanticCacheThreshold();
+	const similar = threshold
+		? await findSimilar(storage, prompt, options, { threshold, bypass: cache.bypass })
+		: null;
+	if (similar?.match) {
+		return {
+			completion: similar.match.entry.completion,
+			cached: true,
+			coalesced: false,
+			similarity: similar.match.similarity,
+			embedding: similar.usage
+		};
+	}
+
+	const { completion, coalesced } = await coalesce(db, key, generate, subscriber);
+	// The request whose call it was stores the answer.
+	if (!coalesced) {
+		await kv.put(key, completion, { ttl });
+		if (similar) {
+			await storeSimilar(storage, { prompt, vector: similar.vector, options, completion, ttl });
+		}
+	}
+	return {
+		completion,
+		cached: false,
+		coalesced,
+		similarity: null,
+		embedding: similar?.usage ?? null
+	};
+}
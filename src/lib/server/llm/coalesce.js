@@ -0,0 +1,171 @@
+import { ensureSchema } from '../storage/index.js';
+
+const SCHEMA = `
+	CREATE TABLE IF NOT EXISTS coalescing_stats (
+		day TEXT PRIMARY KEY,
+		calls INTEGER NOT NULL DEFAULT 0,
+		coalesced INTEGER NOT NULL DEFAULT 0
+	)
+`;
+
+/**
+ * A model call in progress that callers with the same key can share.
+ * @typedef {object} Flight
+ * @property {Promise<string>} result
+ * @property {string[]} tokens Tokens streamed so far, replayed to callers
+ *   that join late.
+ * @property {Set<(token: string) => void>} listeners
+ * @property {number} waiting Callers still waiting for the result.
+ * @property {AbortController} controller Cancels the call.
+ */
+
+/**
+ * @typedef {object} Subscriber
+ * @property {AbortSignal} [signal] Stops waiting for the result. The call
+ *   itself is only cancelled once every caller sharing it has stopped.
+ * @property {(token: string) => void} [onToken] Receives the streamed
+ *   tokens, starting with those streamed before joining.
+ */
+
+/**
+ * Starts the model call for a flight, which must cancel it on `signal` and
+ * pass every streamed token to `onToken`.
+ * @callback FlightCall
+ * @param {{ signal: AbortSignal, onToken: (token: string) => void }} flight
+ * @returns {Promise<string>}
+ */
+
+/**
+ * @typedef {object} CoalescingStats
+ * @property {number} calls Model calls made.
+ * @property {number} coalesced Requests answered by another request's call,
+ *   i.e. calls saved.
+ * @property {{ day: string, calls: number, coalesced: number }[]} days The
+ *   same counts per UTC day, newest first.
+ */
+
+/**
+ * Calls in progress by key, per process (per isolate on Cloudflare), so
+ * only requests handled by the same one are coalesced.
+ * @type {Map<string, Flight>}
+ */
+const flights = new Map();
+
+/**
+ * Counts a request towards today's statistics.
+ * @param {import('../storage/index.js').Database} db
+ * @param {'calls' | 'coalesced'} outcome
+ */
+async function count(db, outcome) {
+	await ensureSchema(db, SCHEMA);
+	const day = new Date().toISOString().slice(0, 10);
+	await db.run(
+		`INSERT INTO coalescing_stats (day, ${outcome}) VALUES (?, 1)
+		ON CONFLICT (day) DO UPDATE SET ${outcome} = ${outcome} + 1`,
+		[day]
+	);
+}
+
+/**
+ * @param {string} key
+ * @param {FlightCall} call
+ * @returns {Flight}
+ */
+function start(key, call) {
+	const controller = new AbortController();
+	/** @type {Flight} */
+	const flight = {
+		result: Promise.resolve(''),
+		tokens: [],
+		listeners: new Set(),
+		waiting: 0,
+		controller
+	};
+	flight.result = call({
+		signal: controller.signal,
+		onToken(token) {
+			flight.tokens.push(token);
+			for (const listener of flight.listeners) listener(token);
+		}
+	}).finally(() => {
+		if (flights.get(key) === flight) flights.delete(key);
+	});
+	// Callers handle failures; this keeps one that nobody waits for anymore
+	// from being reported as unhandled.
+	flight.result.catch(() => {});
+	flights.set(key, flight);
+	return flight;
+}
+
+/**
+ * Single-flight deduplication: returns the result of the call in progress
+ * under `key`, or starts one with `call`, so that concurrent identical
+ * requests share one model call and one stream of tokens. Whether the result
+ * came from another request's call is returned as `coalesced`, and counted
+ * in the daily statistics either way, unless writing them fails.
+ * @param {import('../storage/index.js').Database} db
+ * @param {string} key
+ * @param {FlightCall} call
+ * @param {Subscriber} [subscriber]
+ * @returns {Promise<{ completion: string, coalesced: boolean }>}
+ */
+export async function coalesce(db, key, call, { signal, onToken } = {}) {
+	signal?.throwIfAborted();
+	const joined = flights.get(key);
+	const flight = joined ?? start(key, call);
+	const coalesced = joined !== undefined;
+
+	flight.waiting += 1;
+	if (onToken) {
+		flight.tokens.forEach((token) => onToken(token));
+		flight.listeners.add(onToken);
+	}
+	/** @type {() => void} */
+	let stop = () => {};
+	try {
+		/** @type {Promise<string>} */
+		const result = new Promise((resolve, reject) => {
+			stop = () => reject(signal?.reason);
+			signal?.addEventListener('abort', stop);
+			flight.result.then(resolve, reject);
+		});
+		// The statistics are best-effort: failing to count must not fail an
+		// answer that exists.
+		const counted = count(db, coalesced ? 'coalesced' : 'calls').catch((error) => {
+			const message = error instanceof Error ? error.message : String(error);
+			console.warn(`[coalesce] not counted, ${message}`);
+		});
+		const completion = await result;
+		await counted;
+		return { completion, coalesced };
+	} finally {
+		signal?.removeEventListener('abort', stop);
+		if (onToken) flight.listeners.delete(onToken);
+		flight.waiting -= 1;
+		if (flight.waiting === 0 && signal?.aborted) {
+			if (flights.get(key) === flight) flights.delete(key);
+			flight.controller.abort();
+		}
+	}
+}
+
+/**
+ * Model calls made and saved over the last `days` days.
+ * @param {import('../storage/index.js').Database} db
+ * @param {number} days
+ * @returns {Promise<CoalescingStats>}
+ */
+export async function coalescingStats(db, days) {
+	await ensureSchema(db, SCHEMA);
+	const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+	/** @type {{ day: string, calls: number, coalesced: number }[]} */
+	const rows = await db.all(
+		'SELECT day, calls, coalesced FROM coalescing_stats WHERE day >= ? ORDER BY day DESC',
+		[since]
+	);
+	return {
+		calls: rows.reduce((sum, { calls }) => sum + calls, 0),
+		coalesced: rows.reduce((sum, { coalesced }) => sum + coalesced, 0),
+		days: rows
+	};
+}
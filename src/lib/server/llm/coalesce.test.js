@@ -0,0 +1,170 @@
+import { describe, expect, test, vi } from 'vitest';
+import { createLocalStorage } from '../storage/local.js';
+import { coalesce, coalescingStats } from './coalesce.js';
+
+/**
+ * A model call that streams `tokens`, then waits for `finish` before
+ * answering with their concatenation.
+ * @param {string[]} tokens
+ */
+function controlledCall(tokens) {
+	/** @type {() => void} */
+	let finish = () => {};
+	const finished = new Promise((resolve) => (finish = () => resolve(undefined)));
+	/** @type {AbortSignal | undefined} */
+	let signal;
+	const call = vi.fn(
+		async (/** @type {{ signal: AbortSignal, onToken: (token: string) => void }} */ flight) => {
+			signal = flight.signal;
+			tokens.forEach((token) => flight.onToken(token));
+			await Promise.race([
+				finished,
+				new Promise((_, reject) =>
+					flight.signal.addEventListener('abort', () => reject(flight.signal.reason))
+				)
+			]);
+			return tokens.join('');
+		}
+	);
+	return { call, finish, signal: () => signal };
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('coalesce', () => {
+	test('shares one call between concurrent requests with the same key', async () => {
+		const { db } = createLocalStorage(':memory:');
+		const model = controlledCall(['Hel', 'lo']);
+
+		const first = coalesce(db, 'same', model.call);
+		const second = coalesce(db, 'same', model.call);
+		model.finish();
+
+		expect(await first).toEqual({ completion: 'Hello', coalesced: false });
+		expect(await second).toEqual({ completion: 'Hello', coalesced: true });
+		expect(model.call).toHaveBeenCalledTimes(1);
+		expect(await coalescingStats(db, 1)).toMatchObject({ calls: 1, coalesced: 1 });
+	});
+
+	test("doesn't share calls with different keys, or once a call has finished", async () => {
+		const { db } = createLocalStorage(':memory:');
+		const model = controlledCall(['Hi']);
+		model.finish();
+
+		await Promise.all([coalesce(db, 'a', model.call), coalesce(db, 'b', model.call)]);
+		await coalesce(db, 'a', model.call);
+
+		expect(model.call).toHaveBeenCalledTimes(3);
+	});
+
+	test('replays the tokens streamed so far to requests that join late', async () => {
+		const { db } = createLocalStorage(':memory:');
+		const model = controlledCall(['one ', 'two ']);
+		/** @type {string[]} */
+		const leaderTokens = [];
+		/** @type {string[]} */
+		const followerTokens = [];
+
+		const leader = coalesce(db, 'key', model.call, {
+			onToken: (token) => leaderTokens.push(token)
+		});
+		await tick();
+		const follower = coalesce(db, 'key', model.call, {
+			onToken: (token) => followerTokens.push(token)
+		});
+		model.finish();
+		await Promise.all([leader, follower]);
+
+		expect(leaderTokens).toEqual(['one ', 'two ']);
+		expect(followerTokens).toEqual(['one ', 'two ']);
+	});
+
+	test('keeps the call going while any request still waits for it', async () => {
+		const { db } = createLocalStorage(':memory:');
+		const model = controlledCall(['done']);
+		const leaving = new AbortController();
+
+		const leader = coalesce(db, 'key', model.call, { signal: leaving.signal });
+		const follower = coalesce(db, 'key', model.call);
+		leaving.abort(new Error('client gone'));
+
+		await expect(leader).rejects.toThrow('client gone');
+		expect(model.signal()?.aborted).toBe(false);
+		model.finish();
+		expect(await follower).toEqual({ completion: 'done', coalesced: true });
+	});
+
+	test('cancels the call once every request sharing it has gone', async () => {
+		const { db } = createLocalStorage(':memory:');
+		const model = controlledCall(['never']);
+		const first = new AbortController();
+		const second = new AbortController();
+
+		const requests = [
+			coalesce(db, 'key', model.call, { signal: first.signal }),
+			coalesce(db, 'key', model.call, { signal: second.signal })
+		];
+		first.abort();
+		second.abort();
+		await Promise.allSettled(requests);
+
+		expect(model.signal()?.aborted).toBe(true);
+		// The next request starts a call of its own.
+		model.finish();
+		await coalesce(db, 'key', model.call);
+		expect(model.call).toHaveBeenCalledTimes(2);
+	});
+
+	test('reports a call that fails before the statistics are counted only to its caller', async () => {
+		const { db } = createLocalStorage(':memory:');
+		/** @type {import('../storage/index.js').Database} */
+		const slowDb = {
+			...db,
+			run: async (sql, params) => {
+				await new Promise((resolve) => setTimeout(resolve, 20));
+				return db.run(sql, params);
+			}
+		};
+		const unhandled = vi.fn();
+		process.on('unhandledRejection', unhandled);
+
+		try {
+			await expect(
+				coalesce(slowDb, 'key', async () => {
+					throw new Error('model down');
+				})
+			).rejects.toThrow('model down');
+			await new Promise((resolve) => setTimeout(resolve, 50));
+		} finally {
+			process.off('unhandledRejection', unhandled);
+		}
+
+		expect(unhandled).not.toHaveBeenCalled();
+	});
+
+	test('answers every request when the statistics fail to be counted', async () => {
+		const { db } = createLocalStorage(':memory:');
+		/** @type {import('../storage/index.js').Database} */
+		const failingDb = {
+			...db,
+			run: async () => {
+				throw new Error('D1_ERROR: Network connection lost.');
+			}
+		};
+		const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		const model = controlledCall(['Hi']);
+
+		const requests = [
+			coalesce(failingDb, 'key', model.call),
+			coalesce(failingDb, 'key', model.call)
+		];
+		model.finish();
+
+		expect(await Promise.all(requests)).toEqual([
+			{ completion: 'Hi', coalesced: false },
+			{ completion: 'Hi', coalesced: true }
+		]);
+		expect(warn).toHaveBeenCalledWith('[coalesce] not counted, D1_ERROR: Network connection lost.');
+		warn.mockRestore();
+	});
+});
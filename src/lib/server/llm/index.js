@@ -0,0 +1,264 @@
+import { env } from '$env/dynamic/private';
+import { OpenAIEmbeddings } from 'langchain/embeddings/openai';
+import { OpenAI } from 'langchain/llms/openai';
+import { MockEmbeddings, MockLLM } from './mock.js';
+import { ResilientLLM } from './resilience.js';
+
+/** Model used by the `openai` provider when `LLM_MODEL` is not set. */
+const DEFAULT_MODEL = 'text-davinci-003';
+
+/** Embedding model used by the `openai` provider when `EMBEDDING_MODEL` is not set. */
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-ada-002';
+
+/** Milliseconds a model call may go without a response when `LLM_TIMEOUT_MS` is not set. */
+const DEFAULT_TIMEOUT = 60 * 1000;
+
+/** Retries per model when `LLM_MAX_RETRIES` is not set. */
+const DEFAULT_MAX_RETRIES = 2;
+
+/**
+ * Tokens models can attend to, prompt and completion together, by model name
+ * prefix, checked in order. Other models are assumed to have 4096.
+ * @type {[string, number][]}
+ */
+const CONTEXT_WINDOWS = [
+	['gpt-4-32k', 32768],
+	['gpt-4', 8192],
+	['gpt-3.5-turbo-16k', 16384],
+	['gpt-3.5-turbo', 4096],
+	['text-davinci-', 4097]
+];
+
+/**
+ * @typedef {object} ModelOptions
+ * @property {number} [temperature]
+ * @property {number} [maxTokens]
+ * @property {boolean} [streaming]
+ * @property {import('langchain/callbacks').Callbacks} [callbacks]
+ * @property {AbortSignal} [signal] Cancels the model's calls, including those
+ *   made inside chains.
+ */
+
+/**
+ * @callback ProviderFactory
+ * @param {ModelOptions} options
+ * @param {Record<string, string | undefined>} env
+ * @returns {import('langchain/llms/base').BaseLLM}
+ */
+
+/**
+ * @callback EmbeddingsFactory
+ * @param {Record<string, string | undefined>} env
+ * @returns {import('langchain/embeddings/base').Embeddings}
+ */
+
+/** @type {Map<string, ProviderFactory>} */
+const providers = new Map();
+
+/** @type {Map<string, EmbeddingsFactory>} */
+const embeddingProviders = new Map();
+
+/**
+ * Makes a provider selectable through the `LLM_PROVIDER` environment variable.
+ * @param {string} name
+ * @param {ProviderFactory} factory
+ */
+export function registerProvider(name, factory) {
+	providers.set(name, factory);
+}
+
+/**
+ * Registers the embeddings implementation used when `LLM_PROVIDER` is `name`.
+ * @param {string} name
+ * @param {EmbeddingsFactory} factory
+ */
+export function registerEmbeddings(name, factory) {
+	embeddingProviders.set(name, factory);
+}
+
+// Retries are left to ResilientLLM, which falls back to other models.
+registerProvider('openai', (options, env) => {
+	return new OpenAI({
+		...options,
+		modelName: env.LLM_MODEL || DEFAULT_MODEL,
+		openAIApiKey: env.OPENAI_API_KEY,
+		maxRetries: 0
+	});
+});
+
+registerProvider('openai-compatible', (options, env) => {
+	if (!env.LLM_BASE_URL) {
+		throw new Error('LLM_BASE_URL must be set when LLM_PROVIDER is "openai-compatible"');
+	}
+	// Local servers usually ignore the key, but the client refuses to start without one.
+	return new OpenAI(
+		{
+			...options,
+			modelName: env.LLM_MODEL,
+			openAIApiKey: env.LLM_API_KEY || 'not-needed',
+			maxRetries: 0
+		},
+		{ basePath: env.LLM_BASE_URL }
+	);
+});
+
+registerProvider('mock', ({ callbacks }, env) => {
+	const script = env.MOCK_LLM_SCRIPT ? JSON.parse(env.MOCK_LLM_SCRIPT) : [];
+	return new MockLLM({ script, callbacks });
+});
+
+registerEmbeddings('openai', (env) => {
+	return new OpenAIEmbeddings({
+		modelName: embeddingModelName(),
+		openAIApiKey: env.OPENAI_API_KEY
+	});
+});
+
+registerEmbeddings('openai-compatible', (env) => {
+	return new OpenAIEmbeddings(
+		{ modelName: env.EMBEDDING_MODEL, openAIApiKey: env.LLM_API_KEY || 'not-needed' },
+		{ basePath: env.LLM_BASE_URL }
+	);
+});
+
+registerEmbeddings('mock', () => new MockEmbeddings());
+
+/**
+ * Name of the configured model, used for token counting and pricing. Other
+ * providers without an explicit `LLM_MODEL` are named after the provider, so
+ * they never get priced as an OpenAI model.
+ */
+export function modelName() {
+	return nameOf(env.LLM_PROVIDER || 'openai', env.LLM_MODEL);
+}
+
+/**
+ * @param {string} provider
+ * @param {string | undefined} model
+ */
+const nameOf = (provider, model) => model || (provider === 'openai' ? DEFAULT_MODEL : provider);
+
+/**
+ * The configured provider and model followed by the fallbacks in
+ * `LLM_FALLBACKS`, a comma-separated list of `provider` or `provider:model`
+ * entries. A fallback without a model uses the provider's default.
+ * @returns {{ provider: string, model: string | undefined }[]}
+ */
+export function modelTargets() {
+	const fallbacks = (env.LLM_FALLBACKS ?? '')
+		.split(',')
+		.map((entry) => entry.trim())
+		.filter(Boolean)
+		.map((entry) => {
+			const [provider, ...model] = entry.split(':');
+			return { provider, model: model.join(':') || undefined };
+		});
+	return [
+		{ provider: env.LLM_PROVIDER || 'openai', model: env.LLM_MODEL || undefined },
+		...fallbacks
+	];
+}
+
+/**
+ * @param {string} name
+ * @param {number} fallback Default that `name` overrides.
+ * @param {number} min
+ */
+function intSetting(name, fallback, min) {
+	const value = env[name];
+	if (!value) return fallback;
+	const number = Number(value);
+	if (!(Number.isInteger(number) && number >= min)) {
+		throw new Error(`${name} must be a whole number of at least ${min}, got "${value}"`);
+	}
+	return number;
+}
+
+/**
+ * Context window of the configured model in tokens: `LLM_CONTEXT_WINDOW` if
+ * set, otherwise looked up by model name.
+ */
+export function contextWindow() {
+	if (env.LLM_CONTEXT_WINDOW) {
+		const tokens = Number(env.LLM_CONTEXT_WINDOW);
+		if (!(Number.isInteger(tokens) && tokens >= 1000)) {
+			throw new Error('LLM_CONTEXT_WINDOW must be a whole number of at least 1000 tokens');
+		}
+		return tokens;
+	}
+	const model = modelName();
+	return CONTEXT_WINDOWS.find(([prefix]) => model.startsWith(prefix))?.[1] ?? 4096;
+}
+
+/**
+ * Identifies the configured provider and model, e.g. for cache keys.
+ */
+export function modelId() {
+	return `${env.LLM_PROVIDER || 'openai'}/${env.LLM_MODEL || 'default'}`;
+}
+
+/**
+ * Name of the configured embedding model, named like `modelName()`.
+ */
+export function embeddingModelName() {
+	const provider = env.LLM_PROVIDER || 'openai';
+	return env.EMBEDDING_MODEL || (provider === 'openai' ? DEFAULT_EMBEDDING_MODEL : provider);
+}
+
+/**
+ * Identifies the configured provider and embedding model. Vectors from
+ * different embedding models can't be compared, so stored vectors are
+ * tagged with it.
+ */
+export function embeddingModelId() {
+	return `${env.LLM_PROVIDER || 'openai'}/${env.EMBEDDING_MODEL || 'default'}`;
+}
+
+/**
+ * Returns a model from the provider named by `LLM_PROVIDER` (default
+ * `openai`), falling back to the models in `LLM_FALLBACKS` when it fails.
+ * Each call may go `LLM_TIMEOUT_MS` without a response and is retried up to
+ * `LLM_MAX_RETRIES` times per model; see `ResilientLLM`. Routes should always
+ * go through here rather than constructing a LangChain model themselves.
+ * @param {ModelOptions} [options]
+ */
+export function createModel(options = {}) {
+	const { callbacks, signal, ...rest } = options;
+	const targets = modelTargets().map(({ provider, model }) => {
+		const factory = providers.get(provider);
+		if (!factory) {
+			throw new Error(
+				`Unknown provider "${provider}", expected one of: ${[...providers.keys()].join(', ')}`
+			);
+		}
+		return {
+			provider,
+			model: nameOf(provider, model),
+			create: () => factory(rest, { ...env, LLM_MODEL: model })
+		};
+	});
+	return new ResilientLLM({
+		targets,
+		timeout: intSetting('LLM_TIMEOUT_MS', DEFAULT_TIMEOUT, 1),
+		maxRetries: intSetting('LLM_MAX_RETRIES', DEFAULT_MAX_RETRIES, 0),
+		callbacks,
+		signal
+	});
+}
+
+/**
+ * Returns the embeddings implementation of the provider named by
+ * `LLM_PROVIDER`, the counterpart of `createModel()` for vectors.
+ */
+export function createEmbeddings() {
+	const name = env.LLM_PROVIDER || 'openai';
+	const factory = embeddingProviders.get(name);
+	if (!factory) {
+		throw new Error(
+			`LLM_PROVIDER "${name}" has no embeddings, expected one of: ${[
+				...embeddingProviders.keys()
+			].join(', ')}`
+		);
+	}
+	return factory(env);
+}
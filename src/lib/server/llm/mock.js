@@ -0,0 +1,84 @@
+import { Embeddings } from 'langchain/embeddings/base';
+import { LLM } from 'langchain/llms/base';
+
+/** Length of the vectors returned by `MockEmbeddings`. */
+const MOCK_DIMENSIONS = 256;
+
+/**
+ * @typedef {object} MockScriptEntry
+ * @property {string} [match] Substring the prompt must contain; entries
+ *   without one match every prompt.
+ * @property {string} response
+ */
+
+/**
+ * Deterministic, offline stand-in for a real model. Answers come from the
+ * first script entry matching the prompt, falling back to echoing the prompt.
+ * Responses are emitted word by word through the callback manager so
+ * streaming code paths behave as they do against a real provider.
+ */
+export class MockLLM extends LLM {
+	/**
+	 * @param {{ script?: MockScriptEntry[] } & import('langchain/llms/base').BaseLLMParams} [fields]
+	 */
+	constructor({ script = [], ...rest } = {}) {
+		super(rest);
+		/** @type {MockScriptEntry[]} */
+		this.script = script;
+	}
+
+	_llmType() {
+		return 'mock';
+	}
+
+	/**
+	 * @param {string} prompt
+	 * @param {string[] | this['CallOptions']} [_stop]
+	 * @param {import('langchain/callbacks').CallbackManagerForLLMRun} [runManager]
+	 */
+	async _call(prompt, _stop, runManager) {
+		const entry = this.script.find(({ match }) => match === undefined || prompt.includes(match));
+		const response = entry ? entry.response : `Echo: ${prompt}`;
+
+		for (const token of response.match(/\S+\s*|\s+/g) ?? []) {
+			await runManager?.handleLLMNewToken(token);
+		}
+		return response;
+	}
+}
+
+/**
+ * Deterministic, offline embeddings: a bag of words hashed into a fixed
+ * number of dimensions and normalised. Texts sharing words end up close
+ * together, which is enough to exercise retrieval without a real model.
+ */
+export class MockEmbeddings extends Embeddings {
+	constructor() {
+		super({});
+	}
+
+	/** @param {string[]} documents */
+	async embedDocuments(documents) {
+		return documents.map((document) => embed(document));
+	}
+
+	/** @param {string} document */
+	async embedQuery(document) {
+		return embed(document);
+	}
+}
+
+/** @param {string} text */
+function embed(text) {
+	const vector = new Array(MOCK_DIMENSIONS).fill(0);
+	for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []) {
+		// FNV-1a
+		let hash = 0x811c9dc5;
+		for (let i = 0; i < word.length; i += 1) {
+			hash = Math.imul(hash ^ word.charCodeAt(i), 0x01000193);
+		}
+		vector[(hash >>> 0) % MOCK_DIMENSIONS] += 1;
+	}
+	const norm = Math.hypot(...vector) || 1;
+	return vector.map((value) => value / norm);
+}
@@ -0,0 +1,49 @@
+import { describe, expect, test } from 'vitest';
+import { MockEmbeddings, MockLLM } from './mock.js';
+
+describe('MockLLM', () => {
+	test('answers from the first matching script entry, else echoes the prompt', async () => {
+		const model = new MockLLM({
+			script: [
+				{ match: 'socks', response: 'Wool.' },
+				{ match: 'shoes', response: 'Leather.' }
+			]
+		});
+
+		expect(await model.call('Which socks?')).toBe('Wool.');
+		expect(await model.call('Which hat?')).toBe('Echo: Which hat?');
+	});
+
+	test('streams the answer word by word', async () => {
+		const model = new MockLLM({ script: [{ response: 'One two  three' }] });
+		/** @type {string[]} */
+		const tokens = [];
+
+		await model.call('Count', undefined, [
+			{
+				handleLLMNewToken(token) {
+					tokens.push(token);
+				}
+			}
+		]);
+
+		expect(tokens).toEqual(['One ', 'two  ', 'three']);
+	});
+});
+
+describe('MockEmbeddings', () => {
+	test('embeds texts deterministically, sharing words bringing them closer', async () => {
+		const embeddings = new MockEmbeddings();
+		const [a, b, c] = await embeddings.embedDocuments([
+			'red wool socks',
+			'red socks',
+			'leather shoes'
+		]);
+		/** @param {number[]} x @param {number[]} y */
+		const dot = (x, y) => x.reduce((sum, value, i) => sum + value * y[i], 0);
+
+		expect(await embeddings.embedQuery('red wool socks')).toEqual(a);
+		expect(dot(a, a)).toBeCloseTo(1);
+		expect(dot(a, b)).toBeGreaterThan(dot(a, c));
+	});
+});
@@ -0,0 +1,329 @@
+import { BaseLLM } from 'langchain/llms/base';
+
+/** First backoff delay between retries, doubled with every retry. */
+const BASE_DELAY = 500;
+
+/** Longest backoff delay, including any `Retry-After` the provider asks for. */
+const MAX_DELAY = 8000;
+
+/** Consecutive failures after which a provider's circuit opens. */
+const CIRCUIT_THRESHOLD = 5;
+
+/** How long an open circuit skips its provider before letting one call through. */
+const CIRCUIT_COOLDOWN = 30 * 1000;
+
+/**
+ * A provider and model to try, and how to create its LangChain model.
+ * @typedef {object} ModelTarget
+ * @property {string} provider
+ * @property {string} model Model name, as used for pricing.
+ * @property {() => BaseLLM} create
+ */
+
+/**
+ * One try of a target. `error` is missing for the attempt that succeeded.
+ * @typedef {{ provider: string, model: string, ms: number, status?: number, error?: string }} Attempt
+ */
+
+/**
+ * Which target answered a call and every attempt it took, passed on in the
+ * call's `llmOutput` as `served`.
+ * @typedef {{ provider: string, model: string, fallback: boolean, attempts: Attempt[] }} Served
+ */
+
+/**
+ * Thrown when every target failed or had its circuit open. `status` is 503
+ * when the providers were unavailable, or the status of the last failure if
+ * it was the request's fault (such as a 400 for an overlong prompt).
+ */
+export class ModelUnavailableError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {Attempt[]} attempts
+	 * @param {number} status
+	 * @param {unknown} [cause]
+	 */
+	constructor(message, attempts, status, cause) {
+		super(message, { cause });
+		this.name = 'ModelUnavailableError';
+		this.attempts = attempts;
+		this.status = status;
+	}
+}
+
+/**
+ * Circuit breakers by provider, per process: consecutive failures and when
+ * the circuit opened, if it is open.
+ * @type {Map<string, { failures: number, openedAt: number | null, probing: boolean }>}
+ */
+const circuits = new Map();
+
+/** @param {string} provider */
+function circuit(provider) {
+	let state = circuits.get(provider);
+	if (!state) {
+		state = { failures: 0, openedAt: null, probing: false };
+		circuits.set(provider, state);
+	}
+	return state;
+}
+
+/**
+ * Whether a call may go to `provider`: always while its circuit is closed,
+ * and for one trial call at a time once an open circuit has cooled down.
+ * @param {string} provider
+ */
+function allowCall(provider) {
+	const state = circuit(provider);
+	if (state.openedAt === null) return true;
+	if (state.probing || Date.now() - state.openedAt < CIRCUIT_COOLDOWN) return false;
+	state.probing = true;
+	return true;
+}
+
+/**
+ * @param {string} provider
+ * @param {boolean} ok Whether the call succeeded.
+ */
+function recordOutcome(provider, ok) {
+	const state = circuit(provider);
+	if (ok) {
+		if (state.openedAt !== null) console.info(`[llm] ${provider}: circuit closed`);
+		circuits.set(provider, { failures: 0, openedAt: null, probing: false });
+		return;
+	}
+	state.failures += 1;
+	if (state.probing || (state.openedAt === null && state.failures >= CIRCUIT_THRESHOLD)) {
+		console.warn(
+			`[llm] ${provider}: circuit open for ${CIRCUIT_COOLDOWN / 1000}s after ${state.failures} consecutive failures`
+		);
+		state.openedAt = Date.now();
+	}
+	state.probing = false;
+}
+
+/**
+ * Ends a trial call that was cancelled or failed through the request's fault,
+ * without counting it either way, so that the next request can try again.
+ * @param {string} provider
+ */
+function cancelProbe(provider) {
+	circuit(provider).probing = false;
+}
+
+class TimeoutError extends Error {
+	/** @param {number} ms */
+	constructor(ms) {
+		super(`No response within ${ms}ms`);
+		this.name = 'TimeoutError';
+	}
+}
+
+/**
+ * What went wrong in an attempt. Timeouts, network errors, rate limits and
+ * server errors are worth retrying; other responses (bad requests, invalid
+ * keys) would fail the same way again.
+ * @param {any} error
+ * @returns {{ status?: number, retryable: boolean, retryAfter?: number }}
+ */
+function classify(error) {
+	const status = error?.response?.status ?? error?.status;
+	if (typeof status !== 'number') return { retryable: true };
+	const header = error?.response?.headers?.['retry-after'];
+	const retryAfter = header && Number.isFinite(Number(header)) ? Number(header) * 1000 : undefined;
+	return { status, retryable: status === 408 || status === 429 || status >= 500, retryAfter };
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay of up to
+ * `BASE_DELAY * 2^retry`, but at least what the provider asked for.
+ * @param {number} retry
+ * @param {number} [retryAfter]
+ */
+function backoff(retry, retryAfter = 0) {
+	const delay = Math.random() * Math.min(MAX_DELAY, BASE_DELAY * 2 ** retry);
+	return Math.min(MAX_DELAY, Math.max(delay, retryAfter));
+}
+
+/**
+ * Waits `ms` milliseconds, or until `signal` aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+const sleep = (ms, signal) =>
+	new Promise((resolve) => {
+		const done = () => {
+			clearTimeout(timer);
+			signal?.removeEventListener('abort', done);
+			resolve(undefined);
+		};
+		const timer = setTimeout(done, ms);
+		signal?.addEventListener('abort', done);
+	});
+
+/**
+ * A model that calls others: the first target whose circuit isn't open,
+ * retried up to `maxRetries` times with backoff when the failure was the
+ * provider's, then the next target. An attempt times out when it goes
+ * `timeout` milliseconds without an answer or, while streaming, without a
+ * token. Streamed tokens are passed through, but once a target has streamed
+ * some, its failure is final, since the text can't be taken back.
+ *
+ * `signal`, or one passed with a call as `{ options: { signal } }`, cancels
+ * the pending attempt and any further ones, such as when the client that
+ * asked for the answer has gone away. The call then rejects with the
+ * signal's reason.
+ */
+export class ResilientLLM extends BaseLLM {
+	/**
+	 * @param {{ targets: ModelTarget[], timeout: number, maxRetries: number, signal?: AbortSignal } & import('langchain/llms/base').BaseLLMParams} fields
+	 */
+	constructor({ targets, timeout, maxRetries, signal, ...rest }) {
+		super(rest);
+		this.targets = targets;
+		this.timeout = timeout;
+		this.maxRetries = maxRetries;
+		this.signal = signal;
+	}
+
+	_llmType() {
+		return 'resilient';
+	}
+
+	/**
+	 * @param {string[]} prompts
+	 * @param {string[] | this['CallOptions']} [stopOrOptions]
+	 * @param {import('langchain/callbacks').CallbackManagerForLLMRun} [runManager]
+	 * @returns {Promise<import('langchain/schema').LLMResult>}
+	 */
+	async _generate(prompts, stopOrOptions, runManager) {
+		// The OpenAI models pass `options` on to their HTTP client.
+		/** @type {{ stop?: string[], options?: { signal?: AbortSignal } & Record<string, unknown> }} */
+		const callOptions = Array.isArray(stopOrOptions)
+			? { stop: stopOrOptions }
+			: { ...stopOrOptions };
+		const signals = [this.signal, callOptions.options?.signal].filter(
+			/** @returns {signal is AbortSignal} */ (signal) => signal !== undefined
+		);
+		const signal = signals.length > 1 ? AbortSignal.any(signals) : signals[0];
+
+		/** @type {Attempt[]} */
+		const attempts = [];
+		let streamed = false;
+		/** @type {unknown} */
+		let lastError;
+		let lastStatus = 503;
+
+		for (const [index, target] of this.targets.entries()) {
+			const { provider, model } = target;
+			for (let retry = 0; retry <= this.maxRetries; retry++) {
+				if (signal?.aborted) {
+					console.warn(`[llm] ${provider}/${model}: aborted before attempt ${retry + 1}`);
+					throw signal.reason;
+				}
+				if (!allowCall(provider)) {
+					console.warn(`[llm] ${provider}/${model}: skipped, circuit open`);
+					attempts.push({ provider, model, ms: 0, error: 'Circuit open' });
+					break;
+				}
+				// An attempt let through an open circuit is its one trial call.
+				const probe = circuit(provider).openedAt !== null;
+
+				const started = Date.now();
+				const controller = new AbortController();
+				/** @type {ReturnType<typeof setTimeout> | undefined} */
+				let timer;
+				/** @type {(() => void) | undefined} */
+				let onAbort;
+				try {
+					const options = {
+						...callOptions,
+						options: { ...callOptions.options, signal: controller.signal }
+					};
+					/** @type {import('langchain/schema').LLMResult} */
+					const result = await new Promise((resolve, reject) => {
+						onAbort = () => {
+							controller.abort();
+							reject(signal?.reason);
+						};
+						signal?.addEventListener('abort', onAbort);
+						const restartTimer = () => {
+							clearTimeout(timer);
+							timer = setTimeout(() => {
+								controller.abort();
+								reject(new TimeoutError(this.timeout));
+							}, this.timeout);
+						};
+						// Tokens that arrive after this attempt timed out or was
+						// cancelled are dropped, so they can't reach the answer or
+						// make the next attempt's failure final.
+						const tokens = /** @type {import('langchain/callbacks').CallbackManagerForLLMRun} */ (
+							/** @type {unknown} */ ({
+								/** @param {string} token */
+								handleLLMNewToken(token) {
+									if (controller.signal.aborted) return;
+									streamed = true;
+									restartTimer();
+									return runManager?.handleLLMNewToken(token);
+								}
+							})
+						);
+						restartTimer();
+						target.create()._generate(prompts, options, tokens).then(resolve, reject);
+					});
+					recordOutcome(provider, true);
+					attempts.push({ provider, model, ms: Date.now() - started });
+					/** @type {Served} */
+					const served = { provider, model, fallback: index > 0, attempts };
+					return { ...result, llmOutput: { ...result.llmOutput, served } };
+				} catch (error) {
+					if (signal?.aborted) {
+						console.warn(`[llm] ${provider}/${model}: aborted after ${Date.now() - started}ms`);
+						if (probe) cancelProbe(provider);
+						throw signal.reason;
+					}
+					const { status, retryable, retryAfter } = classify(error);
+					const message = error instanceof Error ? error.message : String(error);
+					attempts.push({ provider, model, ms: Date.now() - started, status, error: message });
+					// A failure that was the request's fault says nothing about the
+					// provider, so it leaves the circuit as it was.
+					if (retryable) recordOutcome(provider, false);
+					else if (probe) cancelProbe(provider);
+					lastError = error;
+					if (!retryable && status) lastStatus = status;
+					if (streamed) {
+						throw new ModelUnavailableError(
+							`${provider}/${model} failed after streaming part of its answer: ${message}`,
+							attempts,
+							lastStatus,
+							error
+						);
+					}
+
+					const last = retry === this.maxRetries || !retryable;
+					if (last) {
+						console.warn(`[llm] ${provider}/${model}: attempt ${retry + 1} failed (${message})`);
+						break;
+					}
+					const delay = backoff(retry, retryAfter);
+					console.warn(
+						`[llm] ${provider}/${model}: attempt ${retry + 1} failed (${message}), retrying in ${Math.round(delay)}ms`
+					);
+					await sleep(delay, signal);
+				} finally {
+					clearTimeout(timer);
+					if (onAbort) signal?.removeEventListener('abort', onAbort);
+				}
+			}
+		}
+
+		throw new ModelUnavailableError(
+			`Every model failed: ${attempts
+				.map(({ provider, model, error }) => `${provider}/${model}: ${error}`)
+				.join('; ')}`,
+			attempts,
+			lastStatus,
+			lastError
+		);
+	}
+}
@@ -0,0 +1,303 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { ModelUnavailableError, ResilientLLM } from './resilience.js';
+
+/**
+ * @param {number} status
+ * @param {string} [message]
+ */
+const httpError = (status, message = `Request failed with status code ${status}`) =>
+	Object.assign(new Error(message), { response: { status, headers: {} } });
+
+/** @param {string} text */
+const answer = (text) => ({ generations: [[{ text }]] });
+
+/**
+ * A target whose calls return or throw the given outcomes in turn, repeating
+ * the last one.
+ * @param {string} provider
+ * @param {(string | Error | 'hang')[]} outcomes
+ */
+function target(provider, outcomes) {
+	let calls = 0;
+	const generate = vi.fn(async () => {
+		const outcome = outcomes[Math.min(calls++, outcomes.length - 1)];
+		if (outcome === 'hang') return new Promise(() => {});
+		if (outcome instanceof Error) throw outcome;
+		return answer(outcome);
+	});
+	return {
+		provider,
+		model: `${provider}-model`,
+		create: () => /** @type {any} */ ({ _generate: generate }),
+		generate
+	};
+}
+
+/**
+ * Circuits are kept per provider for the whole process, so every test uses
+ * providers of its own.
+ */
+let run = 0;
+/** @param {string} name */
+const unique = (name) => `${name}-${++run}`;
+
+beforeEach(() => {
+	vi.spyOn(console, 'warn').mockImplementation(() => {});
+	vi.spyOn(console, 'info').mockImplementation(() => {});
+	// No backoff delay between retries.
+	vi.spyOn(Math, 'random').mockReturnValue(0);
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+	vi.useRealTimers();
+});
+
+describe('ResilientLLM', () => {
+	test('answers from the first target and says so', async () => {
+		const primary = target(unique('primary'), ['hello']);
+		const llm = new ResilientLLM({ targets: [primary], timeout: 1000, maxRetries: 2 });
+
+		const result = await llm.generate(['hi']);
+
+		expect(result.generations[0][0].text).toBe('hello');
+		expect(result.llmOutput?.served).toMatchObject({
+			provider: primary.provider,
+			fallback: false,
+			attempts: [{ provider: primary.provider }]
+		});
+	});
+
+	test('retries server errors, then succeeds', async () => {
+		const primary = target(unique('primary'), [httpError(503), httpError(500), 'hello']);
+		const llm = new ResilientLLM({ targets: [primary], timeout: 1000, maxRetries: 2 });
+
+		const result = await llm.generate(['hi']);
+
+		expect(result.generations[0][0].text).toBe('hello');
+		expect(primary.generate).toHaveBeenCalledTimes(3);
+		expect(result.llmOutput?.served.attempts.map((/** @type {any} */ a) => a.status)).toEqual([
+			503,
+			500,
+			undefined
+		]);
+	});
+
+	test("doesn't retry errors that are the request's fault, but falls back", async () => {
+		const primary = target(unique('primary'), [httpError(401)]);
+		const fallback = target(unique('fallback'), ['from fallback']);
+		const llm = new ResilientLLM({ targets: [primary, fallback], timeout: 1000, maxRetries: 2 });
+
+		const result = await llm.generate(['hi']);
+
+		expect(primary.generate).toHaveBeenCalledTimes(1);
+		expect(result.generations[0][0].text).toBe('from fallback');
+		expect(result.llmOutput?.served).toMatchObject({ provider: fallback.provider, fallback: true });
+	});
+
+	test('times out attempts that go without an answer', async () => {
+		const primary = target(unique('primary'), ['hang']);
+		const fallback = target(unique('fallback'), ['from fallback']);
+		const llm = new ResilientLLM({ targets: [primary, fallback], timeout: 20, maxRetries: 1 });
+
+		const result = await llm.generate(['hi']);
+
+		expect(primary.generate).toHaveBeenCalledTimes(2);
+		expect(result.llmOutput?.served.attempts[0].error).toBe('No response within 20ms');
+	});
+
+	test('throws ModelUnavailableError with every attempt when all targets fail', async () => {
+		const primary = target(unique('primary'), [httpError(503)]);
+		const fallback = target(unique('fallback'), [httpError(400)]);
+		const llm = new ResilientLLM({ targets: [primary, fallback], timeout: 1000, maxRetries: 1 });
+
+		const error = await llm.generate(['hi']).catch((error) => error);
+
+		expect(error).toBeInstanceOf(ModelUnavailableError);
+		expect(error.attempts).toHaveLength(3);
+		// The last failure was the request's fault, so its status is kept.
+		expect(error.status).toBe(400);
+		expect(error.cause.response.status).toBe(400);
+	});
+
+	test("doesn't retry once tokens have been streamed", async () => {
+		const provider = unique('primary');
+		const generate = vi.fn(
+			async (
+				/** @type {string[]} */ _prompts,
+				/** @type {unknown} */ _options,
+				/** @type {any} */ runManager
+			) => {
+				await runManager.handleLLMNewToken('Hel');
+				throw httpError(503);
+			}
+		);
+		const llm = new ResilientLLM({
+			targets: [
+				{ provider, model: 'm', create: () => /** @type {any} */ ({ _generate: generate }) }
+			],
+			timeout: 1000,
+			maxRetries: 2
+		});
+
+		await expect(llm.generate(['hi'])).rejects.toThrow(/after streaming part of its answer/);
+		expect(generate).toHaveBeenCalledTimes(1);
+	});
+
+	test('ignores tokens from an attempt that has timed out', async () => {
+		const provider = unique('primary');
+		let calls = 0;
+		const generate = vi.fn(
+			async (
+				/** @type {string[]} */ _prompts,
+				/** @type {unknown} */ _options,
+				/** @type {any} */ runManager
+			) => {
+				calls += 1;
+				if (calls === 1) {
+					// Streams a token only once the next attempt is under way.
+					setTimeout(() => runManager.handleLLMNewToken('late'), 60);
+					return new Promise(() => {});
+				}
+				if (calls === 2) {
+					await new Promise((resolve) => setTimeout(resolve, 30));
+					throw httpError(503);
+				}
+				return answer('from the last retry');
+			}
+		);
+		const onToken = vi.fn();
+		const llm = new ResilientLLM({
+			targets: [
+				{ provider, model: 'm', create: () => /** @type {any} */ ({ _generate: generate }) }
+			],
+			timeout: 50,
+			maxRetries: 2
+		});
+
+		const result = await llm.generate(['hi'], undefined, [{ handleLLMNewToken: onToken }]);
+
+		expect(result.generations[0][0].text).toBe('from the last retry');
+		expect(onToken).not.toHaveBeenCalled();
+	});
+
+	test('rejects with the reason when the signal aborts', async () => {
+		const primary = target(unique('primary'), ['hang']);
+		const controller = new AbortController();
+		const llm = new ResilientLLM({
+			targets: [primary],
+			timeout: 1000,
+			maxRetries: 2,
+			signal: controller.signal
+		});
+
+		const pending = llm.generate(['hi']);
+		setTimeout(() => controller.abort(new Error('client gone')), 10);
+
+		await expect(pending).rejects.toThrow('client gone');
+		expect(primary.generate).toHaveBeenCalledTimes(1);
+	});
+});
+
+describe('circuit breaker', () => {
+	test('opens after 5 consecutive failures, then lets one call through after 30s', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		const flaky = target(unique('flaky'), [...Array(5).fill(httpError(503)), 'recovered']);
+		const llm = new ResilientLLM({ targets: [flaky], timeout: 1000, maxRetries: 4 });
+
+		await expect(llm.generate(['hi'])).rejects.toThrow(ModelUnavailableError);
+		expect(flaky.generate).toHaveBeenCalledTimes(5);
+
+		const skipped = await llm.generate(['hi']).catch((error) => error);
+		expect(skipped.attempts).toEqual([
+			{ provider: flaky.provider, model: flaky.model, ms: 0, error: 'Circuit open' }
+		]);
+		expect(flaky.generate).toHaveBeenCalledTimes(5);
+
+		vi.setSystemTime(Date.now() + 30 * 1000);
+		const result = await llm.generate(['hi']);
+		expect(result.generations[0][0].text).toBe('recovered');
+
+		// Closed again.
+		await llm.generate(['hi']);
+		expect(flaky.generate).toHaveBeenCalledTimes(7);
+	});
+
+	test('reopens when the trial call fails', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		const flaky = target(unique('flaky'), [httpError(503)]);
+		const llm = new ResilientLLM({ targets: [flaky], timeout: 1000, maxRetries: 0 });
+
+		for (let i = 0; i < 5; i++) await llm.generate(['hi']).catch(() => {});
+		vi.setSystemTime(Date.now() + 30 * 1000);
+		await llm.generate(['hi']).catch(() => {});
+		expect(flaky.generate).toHaveBeenCalledTimes(6);
+
+		await llm.generate(['hi']).catch(() => {});
+		expect(flaky.generate).toHaveBeenCalledTimes(6);
+	});
+
+	test('lets another call through when the trial call is cancelled', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		const flaky = target(unique('flaky'), [...Array(5).fill(httpError(503)), 'hang', 'recovered']);
+		const llm = new ResilientLLM({ targets: [flaky], timeout: 1000, maxRetries: 0 });
+
+		for (let i = 0; i < 5; i++) await llm.generate(['hi']).catch(() => {});
+		vi.setSystemTime(Date.now() + 30 * 1000);
+		const controller = new AbortController();
+		const trial = llm.generate(['hi'], { options: { signal: controller.signal } });
+		setTimeout(() => controller.abort(new Error('client gone')), 10);
+		await expect(trial).rejects.toThrow('client gone');
+		expect(console.warn).not.toHaveBeenCalledWith(expect.stringMatching(/after 6 consecutive/));
+
+		const result = await llm.generate(['hi']);
+		expect(result.generations[0][0].text).toBe('recovered');
+		expect(flaky.generate).toHaveBeenCalledTimes(7);
+	});
+
+	test("doesn't close the circuit on failures that were the request's fault", async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		const flaky = target(unique('flaky'), [
+			...Array(5).fill(httpError(503)),
+			httpError(401),
+			httpError(503),
+			'recovered'
+		]);
+		const llm = new ResilientLLM({ targets: [flaky], timeout: 1000, maxRetries: 0 });
+
+		for (let i = 0; i < 5; i++) await llm.generate(['hi']).catch(() => {});
+		vi.setSystemTime(Date.now() + 30 * 1000);
+		// The trial call's 401 neither closes the circuit nor keeps it probing.
+		await expect(llm.generate(['hi'])).rejects.toThrow(ModelUnavailableError);
+		await expect(llm.generate(['hi'])).rejects.toThrow(ModelUnavailableError);
+		expect(flaky.generate).toHaveBeenCalledTimes(7);
+
+		// The second trial call failed, so the circuit stays open for another 30s.
+		await llm.generate(['hi']).catch(() => {});
+		expect(flaky.generate).toHaveBeenCalledTimes(7);
+	});
+
+	test("doesn't reset the count of consecutive failures on the request's fault", async () => {
+		const flaky = target(unique('flaky'), [
+			...Array(4).fill(httpError(503)),
+			httpError(401),
+			httpError(503),
+			'unreachable'
+		]);
+		const llm = new ResilientLLM({ targets: [flaky], timeout: 1000, maxRetries: 0 });
+
+		for (let i = 0; i < 6; i++) await llm.generate(['hi']).catch(() => {});
+		await llm.generate(['hi']).catch(() => {});
+
+		expect(flaky.generate).toHaveBeenCalledTimes(6);
+	});
+
+	test("doesn't count failures that were the request's fault", async () => {
+		const strict = target(unique('strict'), [httpError(400)]);
+		const llm = new ResilientLLM({ targets: [strict], timeout: 1000, maxRetries: 0 });
+
+		for (let i = 0; i < 6; i++) await llm.generate(['hi']).catch(() => {});
+
+		expect(strict.generate).toHaveBeenCalledTimes(6);
+	});
+});
@@ -0,0 +1,281 @@
+import { env } from '$env/dynamic/private';
+import { ensureSchema, parameterBatches } from '../storage/index.js';
+import { embeddingUsage } from '../usage.js';
+import { createEmbeddings, embeddingModelId, modelId } from './index.js';
+
+const SCHEMA = `
+	CREATE TABLE IF NOT EXISTS semantic_cache (
+		id TEXT PRIMARY KEY,
+		embedding_model TEXT NOT NULL,
+		model TEXT NOT NULL,
+		temperature REAL,
+		max_tokens INTEGER,
+		prompt TEXT NOT NULL,
+		completion TEXT NOT NULL,
+		created_at TEXT NOT NULL,
+		expires_at TEXT NOT NULL,
+		hits INTEGER NOT NULL DEFAULT 0,
+		last_hit_at TEXT
+	);
+	CREATE TABLE IF NOT EXISTS semantic_cache_stats (
+		day TEXT PRIMARY KEY,
+		hits INTEGER NOT NULL DEFAULT 0,
+		misses INTEGER NOT NULL DEFAULT 0
+	)
+`;
+
+/** Nearest cached prompts considered per lookup, in case the closest has expired. */
+const CANDIDATES = 3;
+
+/**
+ * @typedef {object} SemanticCacheEntry
+ * @property {string} id
+ * @property {string} model Provider and model that produced the completion.
+ * @property {number | null} temperature
+ * @property {number | null} maxTokens
+ * @property {string} prompt
+ * @property {string} completion
+ * @property {string} createdAt
+ * @property {string} expiresAt
+ * @property {number} hits Answers served from this entry.
+ * @property {string | null} lastHitAt
+ */
+
+/**
+ * @typedef {object} SemanticCacheStats
+ * @property {number} entries Entries that haven't expired.
+ * @property {number} hits Lookups answered from the cache.
+ * @property {number} misses Lookups that found no similar enough prompt.
+ * @property {{ day: string, hits: number, misses: number }[]} days The same
+ *   counts per UTC day, newest first.
+ */
+
+/**
+ * @typedef {object} SemanticLookup
+ * @property {{ entry: SemanticCacheEntry, similarity: number } | null} match
+ *   The most similar cached prompt at or above the threshold.
+ * @property {number[]} vector The prompt's embedding, for storing the answer
+ *   after a miss.
+ * @property {import('../usage.js').Usage} usage Embedding the prompt.
+ */
+
+/**
+ * Cosine similarity a cached prompt needs to answer another prompt, from
+ * `SEMANTIC_CACHE_THRESHOLD`, or null when the semantic cache is off (the
+ * default, since it embeds every cacheable prompt).
+ */
+export function semanticCacheThreshold() {
+	const value = env.SEMANTIC_CACHE_THRESHOLD;
+	if (!value) return null;
+	const threshold = Number(value);
+	if (!(threshold > 0 && threshold <= 1)) {
+		throw new Error(`SEMANTIC_CACHE_THRESHOLD must be between 0 and 1, got "${value}"`);
+	}
+	return threshold;
+}
+
+/** Vector store namespace of the cached prompts, per embedding model. */
+const namespace = () => `semantic-cache/${embeddingModelId()}`;
+
+/**
+ * Prompts only answer each other when sent to the same model with the same
+ * options; the vectors are tagged with this to filter on it.
+ * @param {import('./index.js').ModelOptions} options
+ */
+const scope = (options) =>
+	JSON.stringify([modelId(), options.temperature ?? null, options.maxTokens ?? null]);
+
+/** @param {Record<string, any>} row */
+function toEntry(row) {
+	return {
+		id: row.id,
+		model: row.model,
+		temperature: row.temperature,
+		maxTokens: row.max_tokens,
+		prompt: row.prompt,
+		completion: row.completion,
+		createdAt: row.created_at,
+		expiresAt: row.expires_at,
+		hits: row.hits,
+		lastHitAt: row.last_hit_at
+	};
+}
+
+/**
+ * Counts a lookup towards today's statistics.
+ * @param {import('../storage/index.js').Database} db
+ * @param {'hits' | 'misses'} outcome
+ */
+async function count(db, outcome) {
+	const day = new Date().toISOString().slice(0, 10);
+	await db.run(
+		`INSERT INTO semantic_cache_stats (day, ${outcome}) VALUES (?, 1)
+		ON CONFLICT (day) DO UPDATE SET ${outcome} = ${outcome} + 1`,
+		[day]
+	);
+}
+
+/**
+ * Embeds `prompt` and looks for a cached prompt at least `threshold` similar
+ * to it that was sent with the same model and options. A hit is counted on
+ * the entry and, like a miss, in the statistics, unless `bypass` is set: the
+ * prompt is then only embedded so that the fresh answer can be stored.
+ * @param {import('../storage/index.js').Storage} storage
+ * @param {string} prompt
+ * @param {import('./index.js').ModelOptions} options
+ * @param {{ threshold: number, bypass?: boolean }} lookup
+ * @returns {Promise<SemanticLookup>}
+ */
+export async function findSimilar({ db, vectors }, prompt, options, { threshold, bypass }) {
+	await ensureSchema(db, SCHEMA);
+	const vector = await createEmbeddings().embedQuery(prompt);
+	const usage = await embeddingUsage([prompt]);
+	if (bypass) return { match: null, vector, usage };
+
+	const candidates = (
+		await vectors.query(namespace(), vector, CANDIDATES, { scope: scope(options) })
+	).filter(({ score }) => score >= threshold);
+
+	/** @type {SemanticLookup['match']} */
+	let match = null;
+	if (candidates.length > 0) {
+		const now = new Date().toISOString();
+		/** @type {Record<string, any>[]} */
+		const rows = await db.all(
+			`SELECT * FROM semantic_cache WHERE id IN (${candidates.map(() => '?').join(', ')}) AND expires_at > ?`,
+			[...candidates.map(({ id }) => id), now]
+		);
+		const best = candidates.find(({ id }) => rows.some((row) => row.id === id));
+		const row = best && rows.find(({ id }) => id === best.id);
+		if (best && row) {
+			await db.run('UPDATE semantic_cache SET hits = hits + 1, last_hit_at = ? WHERE id = ?', [
+				now,
+				row.id
+			]);
+			match = {
+				entry: { ...toEntry(row), hits: row.hits + 1, lastHitAt: now },
+				similarity: best.score
+			};
+		}
+	}
+
+	await count(db, match ? 'hits' : 'misses');
+	return { match, vector, usage };
+}
+
+/**
+ * Caches a completion under its prompt's embedding for `ttl` seconds, and
+ * drops entries that have expired.
+ * @param {import('../storage/index.js').Storage} storage
+ * @param {{ prompt: string, vector: number[], options: import('./index.js').ModelOptions, completion: string, ttl: number }} entry
+ */
+export async function storeSimilar(storage, { prompt, vector, options, completion, ttl }) {
+	const { db, vectors } = storage;
+	await ensureSchema(db, SCHEMA);
+	const id = crypto.randomUUID();
+	const now = new Date();
+	await db.run(
+		'INSERT INTO semantic_cache (id, embedding_model, model, temperature, max_tokens, prompt, completion, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+		[
+			id,
+			embeddingModelId(),
+			modelId(),
+			options.temperature ?? null,
+			options.maxTokens ?? null,
+			prompt,
+			completion,
+			now.toISOString(),
+			new Date(now.getTime() + ttl * 1000).toISOString()
+		]
+	);
+	await vectors.upsert(namespace(), [{ id, vector, metadata: { scope: scope(options) } }]);
+	await evictCacheEntries(storage, { expired: true });
+}
+
+/**
+ * Lists cached entries of the configured embedding model, most recently
+ * created first, including expired ones that haven't been dropped yet.
+ * @param {import('../storage/index.js').Database} db
+ * @param {{ limit: number, offset: number }} page
+ * @returns {Promise<SemanticCacheEntry[]>}
+ */
+export async function listCacheEntries(db, { limit, offset }) {
+	await ensureSchema(db, SCHEMA);
+	const rows = await db.all(
+		'SELECT * FROM semantic_cache WHERE embedding_model = ? ORDER BY created_at DESC LIMIT ? OFFSET ?',
+		[embeddingModelId(), limit, offset]
+	);
+	return rows.map(toEntry);
+}
+
+/**
+ * Hit and miss counts over the last `days` days, and the number of live
+ * entries.
+ * @param {import('../storage/index.js').Database} db
+ * @param {number} days
+ * @returns {Promise<SemanticCacheStats>}
+ */
+export async function cacheStats(db, days) {
+	await ensureSchema(db, SCHEMA);
+	const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+	/** @type {{ day: string, hits: number, misses: number }[]} */
+	const rows = await db.all(
+		'SELECT day, hits, misses FROM semantic_cache_stats WHERE day >= ? ORDER BY day DESC',
+		[since]
+	);
+	const live = await db.first(
+		'SELECT COUNT(*) AS entries FROM semantic_cache WHERE embedding_model = ? AND expires_at > ?',
+		[embeddingModelId(), new Date().toISOString()]
+	);
+	return {
+		entries: Number(live?.entries ?? 0),
+		hits: rows.reduce((sum, { hits }) => sum + hits, 0),
+		misses: rows.reduce((sum, { misses }) => sum + misses, 0),
+		days: rows
+	};
+}
+
+/**
+ * Removes cached entries of the configured embedding model and their
+ * vectors: those with the given ids, the expired ones, or all of them when
+ * neither is given.
+ * @param {import('../storage/index.js').Storage} storage
+ * @param {{ ids?: string[], expired?: boolean }} [which]
+ * @returns {Promise<number>} How many entries were removed.
+ */
+export async function evictCacheEntries({ db, vectors }, { ids, expired } = {}) {
+	await ensureSchema(db, SCHEMA);
+	if (ids?.length === 0) return 0;
+	let sql = 'SELECT id FROM semantic_cache WHERE embedding_model = ?';
+	/** @type {import('../storage/index.js').SqlValue[]} */
+	const params = [embeddingModelId()];
+	if (expired) {
+		sql += ' AND expires_at <= ?';
+		params.push(new Date().toISOString());
+	}
+
+	// Long lists of ids take several statements, each within D1's parameter limit.
+	const queries = ids
+		? parameterBatches(ids, { bound: params.length }).map((batch) => ({
+				sql: `${sql} AND id IN (${batch.map(() => '?').join(', ')})`,
+				params: [...params, ...batch]
+			}))
+		: [{ sql, params }];
+	/** @type {string[]} */
+	const evicted = [];
+	for (const query of queries) {
+		/** @type {{ id: string }[]} */
+		const rows = await db.all(query.sql, query.params);
+		evicted.push(...rows.map(({ id }) => id));
+	}
+	if (evicted.length === 0) return 0;
+
+	await vectors.delete(namespace(), evicted);
+	for (const batch of parameterBatches(evicted)) {
+		await db.run(
+			`DELETE FROM semantic_cache WHERE id IN (${batch.map(() => '?').join(', ')})`,
+			batch
+		);
+	}
+	return evicted.length;
+}
@@ -0,0 +1,66 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import { env } from '$env/dynamic/private';
+import { createLocalStorage } from '../storage/local.js';
+import { evictCacheEntries, listCacheEntries, storeSimilar } from './semantic-cache.js';
+
+/** Local storage with a vector store that only records what it is given. */
+function storage() {
+	return {
+		...createLocalStorage(':memory:'),
+		vectors: {
+			has: async () => true,
+			upsert: async () => {},
+			delete: vi.fn(async () => {}),
+			query: async () => []
+		}
+	};
+}
+
+beforeEach(() => {
+	env.LLM_PROVIDER = 'mock';
+	env.EMBEDDING_MODEL = '';
+	env.LLM_MODEL = '';
+});
+
+describe('evictCacheEntries', () => {
+	test('evicts more entries by id than fit in one statement', async () => {
+		const target = storage();
+		for (let i = 0; i < 150; i++) {
+			await storeSimilar(target, {
+				prompt: `Prompt ${i}`,
+				vector: [1, 0, 0],
+				options: {},
+				completion: `Answer ${i}`,
+				ttl: 60
+			});
+		}
+		const ids = (await listCacheEntries(target.db, { limit: 200, offset: 0 })).map(({ id }) => id);
+		const all = vi.spyOn(target.db, 'all');
+		const run = vi.spyOn(target.db, 'run');
+
+		expect(await evictCacheEntries(target, { ids: [...ids, 'missing'] })).toBe(150);
+
+		for (const [, params = []] of [...all.mock.calls, ...run.mock.calls]) {
+			expect(params.length).toBeLessThanOrEqual(100);
+		}
+		expect(target.vectors.delete).toHaveBeenCalledWith(
+			'semantic-cache/mock/default',
+			expect.arrayContaining(ids)
+		);
+		expect(await listCacheEntries(target.db, { limit: 200, offset: 0 })).toEqual([]);
+	});
+
+	test('evicts nothing for an empty list of ids', async () => {
+		const target = storage();
+		await storeSimilar(target, {
+			prompt: 'Prompt',
+			vector: [1, 0, 0],
+			options: {},
+			completion: 'Answer',
+			ttl: 60
+		});
+
+		expect(await evictCacheEntries(target, { ids: [] })).toBe(0);
+		expect(await listCacheEntries(target.db, { limit: 10, offset: 0 })).toHaveLength(1);
+	});
+});
@@ -0,0 +1,108 @@
+/**
+ * What the handlers of a request add to its log line.
+ * @typedef {object} RequestLog
+ * @property {import('./usage.js').Usage[]} usage Everything recorded with
+ *   `recordUsage` while handling it.
+ * @property {boolean} [cached] Whether the completion came from the response cache.
+ * @property {boolean} [coalesced] Whether it came from an identical request's model call.
+ */
+
+/** Request ids accepted from an `x-request-id` header instead of assigning one. */
+const REQUEST_ID = /^[\w.-]{1,64}$/;
+
+/**
+ * The id of a request: the one its `x-request-id` header carries, as set by
+ * a proxy or client that logs it too, or a new one.
+ * @param {Request} request
+ */
+export function requestId(request) {
+	const id = request.headers.get('x-request-id');
+	return id && REQUEST_ID.test(id) ? id : crypto.randomUUID();
+}
+
+/**
+ * Writes one structured log line: a JSON object with the time and `fields`.
+ * @param {Record<string, unknown>} fields
+ */
+export function logLine(fields) {
+	console.log(JSON.stringify({ time: new Date().toISOString(), ...fields }));
+}
+
+/**
+ * Sums up the usage recorded for a request, for its log line.
+ * @param {import('./usage.js').Usage[]} usage
+ */
+function summarise(usage) {
+	if (usage.length === 0) return {};
+	return {
+		model: [...new Set(usage.map(({ model }) => model))].join(', '),
+		promptTokens: usage.reduce((sum, { promptTokens }) => sum + promptTokens, 0),
+		completionTokens: usage.reduce((sum, { completionTokens }) => sum + completionTokens, 0),
+		cost: usage.every(({ cost }) => cost !== null)
+			? usage.reduce((sum, { cost }) => sum + /** @type {number} */ (cost), 0)
+			: null
+	};
+}
+
+/**
+ * Logs a request once its response is complete. For Server-Sent Events that
+ * is when the stream ends, since the model is called after the headers have
+ * gone out, so the response is returned with its body wrapped to notice
+ * that. A stream the client stopped reading is logged as `cancelled`.
+ * @param {import('@sveltejs/kit').RequestEvent} event
+ * @param {Response} response
+ * @param {number} started When handling the request started, in milliseconds.
+ * @returns {Response}
+ */
+export function logRequest(event, response, started) {
+	let logged = false;
+	/** @param {boolean} [cancelled] */
+	const log = (cancelled) => {
+		if (logged) return;
+		logged = true;
+		const { usage, cached, coalesced } = event.locals.log;
+		logLine({
+			type: 'request',
+			id: event.locals.requestId,
+			method: event.request.method,
+			route: event.route.id,
+			path: event.url.pathname,
+			status: response.status,
+			duration: Date.now() - started,
+			user: event.locals.user?.id ?? null,
+			...summarise(usage),
+			cached,
+			coalesced,
+			...(cancelled && { cancelled })
+		});
+	};
+
+	const body = response.body;
+	if (!body || !response.headers.get('content-type')?.startsWith('text/event-stream')) {
+		log();
+		return response;
+	}
+
+	const reader = body.getReader();
+	const stream = new ReadableStream({
+		async pull(controller) {
+			try {
+				const { done, value } = await reader.read();
+				if (done) {
+					controller.close();
+					log();
+				} else {
+					controller.enqueue(value);
+				}
+			} catch (error) {
+				controller.error(error);
+				log();
+			}
+		},
+		cancel(reason) {
+			log(true);
+			return reader.cancel(reason);
+		}
+	});
+	return new Response(stream, response);
+}
@@ -0,0 +1,73 @@
+const MAX_PROMPT_LENGTH = 4000;
+const MAX_TOKENS_LIMIT = 4096;
+
+/**
+ * @typedef {object} CompletionParams
+ * @property {string} prompt
+ * @property {number} [temperature]
+ * @property {number} [maxTokens]
+ */
+
+/**
+ * Reads an optional numeric field. Empty values are treated as missing so the
+ * model's defaults apply.
+ * @param {unknown} value
+ */
+function optionalNumber(value) {
+	if (value === undefined || value === null) return undefined;
+	if (typeof value === 'string' && value.trim() === '') return undefined;
+	return Number(value);
+}
+
+/**
+ * Validates user-supplied completion parameters, coming either from a form
+ * submission or a JSON request body.
+ * @param {Record<string, unknown>} input
+ * @returns {{ params: CompletionParams, errors: Record<string, string> | null }}
+ */
+export function parseCompletionParams(input) {
+	const prompt = String(input.prompt ?? '').trim();
+	const temperature = optionalNumber(input.temperature);
+	const maxTokens = optionalNumber(input.maxTokens);
+
+	/** @type {Record<string, string>} */
+	const errors = {};
+	if (!prompt) {
+		errors.prompt = 'Please enter a prompt.';
+	} else if (prompt.length > MAX_PROMPT_LENGTH) {
+		errors.prompt = `Prompts are limited to ${MAX_PROMPT_LENGTH} characters.`;
+	}
+	if (temperature !== undefined && !(temperature >= 0 && temperature <= 2)) {
+		errors.temperature = 'Temperature must be a number between 0 and 2.';
+	}
+	if (
+		maxTokens !== undefined &&
+		!(Number.isInteger(maxTokens) && maxTokens >= 1 && maxTokens <= MAX_TOKENS_LIMIT)
+	) {
+		errors.maxTokens = `Max tokens must be a whole number between 1 and ${MAX_TOKENS_LIMIT}.`;
+	}
+
+	return {
+		params: { prompt, temperature, maxTokens },
+		errors: Object.keys(errors).length > 0 ? errors : null
+	};
+}
+
+/**
+ * Reads a whole-number query parameter between `min` and `max`.
+ * @param {URLSearchParams} params
+ * @param {string} name
+ * @param {number} fallback
+ * @param {number} min
+ * @param {number} max
+ * @param {Record<string, string>} errors
+ */
+export function intParam(params, name, fallback, min, max, errors) {
+	const value = params.get(name);
+	if (value === null || value === '') return fallback;
+	const number = Number(value);
+	if (!Number.isInteger(number) || number < min || number > max) {
+		errors[name] = `${name} must be a whole number between ${min} and ${max}.`;
+	}
+	return number;
+}
@@ -0,0 +1,29 @@
+/**
+ * Rate limits per route. Each request draws one token from a bucket that
+ * holds up to `capacity` tokens and refills at `refillPerMinute`, so
+ * `capacity` is the allowed burst and `refillPerMinute` the sustained rate.
+ * Anonymous clients are limited per IP address, authenticated ones per user.
+ */
+
+/** @type {Record<string, import('./index.js').Budget>} */
+export const budgets = {
+	page: {
+		anonymous: { capacity: 30, refillPerMinute: 30 },
+		user: { capacity: 120, refillPerMinute: 120 }
+	},
+	api: {
+		anonymous: { capacity: 10, refillPerMinute: 5 },
+		user: { capacity: 60, refillPerMinute: 30 }
+	}
+};
+
+/**
+ * Matched in order against the route id (e.g. `/chat/[id]`); the first rule
+ * whose `route` is a prefix of it decides the budget. Requests that match no
+ * route (404s) are not limited.
+ * @type {import('./index.js').RouteRule[]}
+ */
+export const routes = [
+	{ route: '/api/', budget: 'api' },
+	{ route: '/', budget: 'page' }
+];
@@ -0,0 +1,110 @@
+import { json } from '@sveltejs/kit';
+import { ensureSchema, getStorage } from '../storage/index.js';
+import { budgets, routes } from './config.js';
+
+/**
+ * @typedef {object} Limit
+ * @property {number} capacity Largest burst of requests allowed.
+ * @property {number} refillPerMinute Sustained requests per minute.
+ */
+
+/**
+ * @typedef {object} Budget
+ * @property {Limit} anonymous Applied per client IP address.
+ * @property {Limit} user Applied per authenticated user.
+ */
+
+/**
+ * @typedef {object} RouteRule
+ * @property {string} route Prefix of the route id.
+ * @property {string} budget Key into `budgets`.
+ */
+
+const SCHEMA = `
+	CREATE TABLE IF NOT EXISTS rate_limits (
+		key TEXT PRIMARY KEY,
+		tokens REAL NOT NULL,
+		updated_at INTEGER NOT NULL,
+		expires_at INTEGER NOT NULL
+	)
+`;
+
+/** Share of requests that also delete buckets which have filled up again. */
+const CLEANUP_RATE = 0.01;
+
+/**
+ * Takes one token from a bucket stored in the database. Refilling and taking
+ * happen in a single upsert, which only changes the row when a whole token
+ * is available, so concurrent requests can't both spend the last one and
+ * each request costs one write. On D1 that is an atomic counter, unlike
+ * Workers KV, which allows one write per key per second.
+ * @param {import('../storage/index.js').Database} db
+ * @param {string} key
+ * @param {Limit} limit
+ * @returns {Promise<{ allowed: boolean, retryAfter: number }>}
+ */
+async function take(db, key, limit) {
+	await ensureSchema(db, SCHEMA);
+	const now = Date.now();
+	const refillPerMs = limit.refillPerMinute / 60000;
+	// A bucket left alone this long is full again, as good as no bucket.
+	const expiresAt = now + Math.ceil(limit.capacity / refillPerMs);
+
+	if (Math.random() < CLEANUP_RATE) {
+		await db.run('DELETE FROM rate_limits WHERE expires_at < ?', [now]);
+	}
+
+	const refilled = 'MIN(?2, tokens + (?3 - updated_at) * ?4)';
+	const { changes } = await db.run(
+		`INSERT INTO rate_limits (key, tokens, updated_at, expires_at) VALUES (?1, ?2 - 1, ?3, ?5)
+		ON CONFLICT (key) DO UPDATE SET tokens = ${refilled} - 1, updated_at = ?3, expires_at = ?5
+		WHERE ${refilled} >= 1`,
+		[key, limit.capacity, now, refillPerMs, expiresAt]
+	);
+	if (changes > 0) return { allowed: true, retryAfter: 0 };
+
+	/** @type {{ tokens: number, updated_at: number } | null} */
+	const bucket = await db.first('SELECT tokens, updated_at FROM rate_limits WHERE key = ?', [key]);
+	const tokens = bucket ? bucket.tokens + (now - bucket.updated_at) * refillPerMs : 0;
+	return { allowed: false, retryAfter: Math.max(1, Math.ceil((1 - tokens) / refillPerMs / 1000)) };
+}
+
+/**
+ * Applies the configured limit for the request's route. Returns a `429`
+ * response with `Retry-After` once the client's budget is exhausted, or
+ * `null` to let the request through, which it also does when the buckets
+ * can't be read or written.
+ * @param {import('@sveltejs/kit').RequestEvent} event
+ * @returns {Promise<Response | null>}
+ */
+export async function rateLimit(event) {
+	const routeId = event.route.id;
+	const rule = routeId && routes.find(({ route }) => routeId.startsWith(route));
+	if (!rule) return null;
+
+	const budget = budgets[rule.budget];
+	const { user } = event.locals;
+	const [identity, limit] = user
+		? [`user:${user.id}`, budget.user]
+		: [`ip:${event.getClientAddress()}`, budget.anonymous];
+
+	const { db } = getStorage(event.platform);
+	/** @type {{ allowed: boolean, retryAfter: number }} */
+	let result;
+	try {
+		result = await take(db, `${rule.budget}:${identity}`, limit);
+	} catch (error) {
+		// Failing closed would take the whole site down with the database.
+		const message = error instanceof Error ? error.message : String(error);
+		console.warn(`[ratelimit] ${event.locals.requestId}: not applied, ${message}`);
+		return null;
+	}
+	const { allowed, retryAfter } = result;
+	if (allowed) return null;
+
+	const headers = { 'retry-after': String(retryAfter) };
+	const message = `Too many requests, please retry in ${retryAfter} seconds.`;
+	return rule.budget === 'api'
+		? json({ error: message }, { status: 429, headers })
+		: new Response(message, { status: 429, headers });
+}
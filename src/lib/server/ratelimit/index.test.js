@@ -0,0 +1,65 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { env } from '$env/dynamic/private';
+import { getStorage } from '../storage/index.js';
+import { rateLimit } from './index.js';
+
+/**
+ * A request to `routeId` from `address`, as far as the limiter looks.
+ * @param {string} routeId
+ * @param {string} address
+ */
+const event = (routeId, address) =>
+	/** @type {import('@sveltejs/kit').RequestEvent} */ (
+		/** @type {unknown} */ ({
+			route: { id: routeId },
+			locals: { requestId: 'test', user: null },
+			getClientAddress: () => address,
+			platform: undefined
+		})
+	);
+
+beforeEach(() => {
+	env.STORAGE_DIR = ':memory:';
+	// No cleanup of expired buckets.
+	vi.spyOn(Math, 'random').mockReturnValue(0.5);
+});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+	vi.useRealTimers();
+});
+
+describe('rateLimit', () => {
+	test('allows a burst of the capacity, then refuses with Retry-After until refilled', async () => {
+		vi.useFakeTimers({ toFake: ['Date'] });
+		// 10 requests at once, then 5 a minute.
+		for (let i = 0; i < 10; i++)
+			expect(await rateLimit(event('/api/complete', '10.0.0.1'))).toBeNull();
+
+		const refused = await rateLimit(event('/api/complete', '10.0.0.1'));
+		expect(refused?.status).toBe(429);
+		expect(refused?.headers.get('retry-after')).toBe('12');
+		expect(await refused?.json()).toEqual({
+			error: 'Too many requests, please retry in 12 seconds.'
+		});
+		// Other clients and budgets have buckets of their own.
+		expect(await rateLimit(event('/api/complete', '10.0.0.2'))).toBeNull();
+		expect(await rateLimit(event('/', '10.0.0.1'))).toBeNull();
+
+		vi.setSystemTime(Date.now() + 12 * 1000);
+		expect(await rateLimit(event('/api/complete', '10.0.0.1'))).toBeNull();
+		expect((await rateLimit(event('/api/complete', '10.0.0.1')))?.status).toBe(429);
+	});
+
+	test("doesn't limit requests that match no route", async () => {
+		expect(await rateLimit(event(/** @type {any} */ (null), '10.0.0.3'))).toBeNull();
+	});
+
+	test('lets requests through when the buckets are unavailable', async () => {
+		const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+		vi.spyOn(getStorage(undefined).db, 'run').mockRejectedValue(new Error('D1 is down'));
+
+		expect(await rateLimit(event('/api/complete', '10.0.0.4'))).toBeNull();
+		expect(warn).toHaveBeenCalledWith('[ratelimit] test: not applied, D1 is down');
+	});
+});
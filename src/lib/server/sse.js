@@ -0,0 +1,59 @@
+import { logError } from './errors.js';
+
+/**
+ * @callback SendEvent
+ * @param {string} event
+ * @param {unknown} data
+ * @returns {void}
+ */
+
+/**
+ * Responds with a Server-Sent Events stream, read on the client by
+ * `readEvents` from `$lib/sse.js`. `run` is started inside the stream rather
+ * than awaited, so the response headers go out immediately; both
+ * adapter-cloudflare and the Vercel function (with
+ * `experimentalResponseStreaming`) flush each event as it is sent.
+ *
+ * `run` gets a signal that is aborted when the client goes away, after which
+ * nothing more is sent. If it throws otherwise, the failure is logged and
+ * sent as an `error` event with a message for the user, its `reason` and an
+ * `id` to find it in the logs. The stream is closed when `run` settles.
+ * @param {Pick<import('@sveltejs/kit').RequestEvent, 'request' | 'locals'>} event
+ * @param {(send: SendEvent, signal: AbortSignal) => Promise<void>} run
+ * @returns {Response}
+ */
+export function eventStream({ request, locals }, run) {
+	const encoder = new TextEncoder();
+	const cancelled = new AbortController();
+	const signal = AbortSignal.any([request.signal, cancelled.signal]);
+
+	const stream = new ReadableStream({
+		start(controller) {
+			/** @type {SendEvent} */
+			const send = (event, data) => {
+				if (signal.aborted) return;
+				controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+			};
+
+			run(send, signal)
+				.catch((error) => {
+					if (signal.aborted) return;
+					const { reason, message } = logError(locals.requestId, error);
+					send('error', { message, reason, id: locals.requestId });
+				})
+				.finally(() => {
+					if (!signal.aborted) controller.close();
+				});
+		},
+		cancel() {
+			cancelled.abort();
+		}
+	});
+
+	return new Response(stream, {
+		headers: {
+			'content-type': 'text/event-stream',
+			'cache-control': 'no-cache'
+		}
+	});
+}
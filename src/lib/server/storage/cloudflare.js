@@ -0,0 +1,172 @@
+/**
+ * A backend for a binding that is not configured. Fails on first use, naming
+ * the binding, rather than when storage is requested, so routes that never
+ * touch it keep working.
+ * @template {object} T
+ * @param {string} binding
+ * @returns {T}
+ */
+function missing(binding) {
+	return /** @type {T} */ (
+		new Proxy(
+			{},
+			{
+				get() {
+					return () =>
+						Promise.reject(
+							new Error(`The Cloudflare binding "${binding}" is not configured for this project`)
+						);
+				}
+			}
+		)
+	);
+}
+
+/**
+ * @param {import('@cloudflare/workers-types/index').KVNamespace} namespace
+ * @returns {import('./index.js').KeyValueStore}
+ */
+function createKeyValueStore(namespace) {
+	return {
+		get(key) {
+			return namespace.get(key);
+		},
+		put(key, value, { ttl } = {}) {
+			// KV rejects expirations shorter than a minute.
+			return namespace.put(key, value, ttl ? { expirationTtl: Math.max(ttl, 60) } : undefined);
+		},
+		delete(key) {
+			return namespace.delete(key);
+		},
+		async list(prefix) {
+			/** @type {string[]} */
+			const keys = [];
+			/** @type {string | undefined} */
+			let cursor;
+			do {
+				const page = await namespace.list({ prefix, cursor });
+				keys.push(...page.keys.map(({ name }) => name));
+				cursor = page.list_complete ? undefined : page.cursor;
+			} while (cursor);
+			return keys;
+		}
+	};
+}
+
+/**
+ * Wrappers per D1 binding, so the same binding always maps to the same
+ * `Database` and `ensureSchema` only runs once per isolate.
+ * @type {WeakMap<import('@cloudflare/workers-types/index').D1Database, import('./index.js').Database>}
+ */
+const databases = new WeakMap();
+
+/**
+ * @param {import('@cloudflare/workers-types/index').D1Database} d1
+ * @returns {import('./index.js').Database}
+ */
+function createDatabase(d1) {
+	const existing = databases.get(d1);
+	if (existing) return existing;
+
+	/** @type {import('./index.js').Database} */
+	const database = {
+		async exec(sql) {
+			// D1's exec() treats every line as a statement, so run each
+			// (semicolon-separated) statement as its own prepared query instead.
+			const statements = sql
+				.split(';')
+				.map((statement) => statement.trim())
+				.filter(Boolean);
+			await d1.batch(statements.map((statement) => d1.prepare(statement)));
+		},
+		async all(sql, params = []) {
+			const { results } = await d1
+				.prepare(sql)
+				.bind(...params)
+				.all();
+			return /** @type {any[]} */ (results ?? []);
+		},
+		async first(sql, params = []) {
+			return d1
+				.prepare(sql)
+				.bind(...params)
+				.first();
+		},
+		async run(sql, params = []) {
+			const { meta } = await d1
+				.prepare(sql)
+				.bind(...params)
+				.run();
+			return { changes: meta.changes ?? 0 };
+		}
+	};
+	databases.set(d1, database);
+	return database;
+}
+
+/**
+ * Wrappers per R2 binding, so that state kept per blob store (such as loaded
+ * vector indexes) outlives the request.
+ * @type {WeakMap<import('@cloudflare/workers-types/index').R2Bucket, import('./index.js').BlobStore>}
+ */
+const blobStores = new WeakMap();
+
+/**
+ * @param {import('@cloudflare/workers-types/index').R2Bucket} bucket
+ * @returns {import('./index.js').BlobStore}
+ */
+function createBlobStore(bucket) {
+	const existing = blobStores.get(bucket);
+	if (existing) return existing;
+
+	/** @type {import('./index.js').BlobStore} */
+	const store = {
+		async get(key) {
+			const object = await bucket.get(key);
+			return object ? new Uint8Array(await object.arrayBuffer()) : null;
+		},
+		async getVersioned(key) {
+			const object = await bucket.get(key);
+			return object && { value: new Uint8Array(await object.arrayBuffer()), version: object.etag };
+		},
+		async put(key, value, { ifVersion } = {}) {
+			// R2 checks the condition and writes atomically, returning null when
+			// the condition fails. `*` matches any etag, so only a missing object.
+			/** @type {import('@cloudflare/workers-types/index').R2Conditional | undefined} */
+			let onlyIf;
+			if (ifVersion === null) onlyIf = { etagDoesNotMatch: '*' };
+			else if (ifVersion !== undefined) onlyIf = { etagMatches: ifVersion };
+			const object = await bucket.put(key, value, onlyIf && { onlyIf });
+			return object?.etag ?? null;
+		},
+		async delete(key) {
+			await bucket.delete(key);
+		},
+		async list(prefix) {
+			/** @type {string[]} */
+			const keys = [];
+			/** @type {string | undefined} */
+			let cursor;
+			do {
+				const page = await bucket.list({ prefix, cursor });
+				keys.push(...page.objects.map(({ key }) => key));
+				cursor = page.truncated ? page.cursor : undefined;
+			} while (cursor);
+			return keys;
+		}
+	};
+	blobStores.set(bucket, store);
+	return store;
+}
+
+/**
+ * @param {NonNullable<App.Platform['env']>} env
+ * @returns {Omit<import('./index.js').Storage, 'vectors'>}
+ */
+export function createCloudflareStorage(env) {
+	return {
+		kv: env.KV ? createKeyValueStore(env.KV) : missing('KV'),
+		db: env.DB ? createDatabase(env.DB) : missing('DB'),
+		blob: env.BUCKET ? createBlobStore(env.BUCKET) : missing('BUCKET')
+	};
+}
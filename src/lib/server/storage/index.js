@@ -0,0 +1,211 @@
+import { env } from '$env/dynamic/private';
+import { createVectorStore } from '../vectors/index.js';
+import { createCloudflareStorage } from './cloudflare.js';
+
+/**
+ * @typedef {object} KeyValueStore
+ * @property {(key: string) => Promise<string | null>} get
+ * @property {(key: string, value: string, options?: { ttl?: number }) => Promise<void>} put
+ *   `ttl` is in seconds.
+ * @property {(key: string) => Promise<void>} delete
+ * @property {(prefix: string) => Promise<string[]>} list Keys starting with `prefix`.
+ */
+
+/** @typedef {string | number | null | Uint8Array} SqlValue */
+
+/**
+ * SQLite dialect relational store, matching what D1 accepts.
+ * @typedef {object} Database
+ * @property {(sql: string) => Promise<void>} exec Runs one or more statements
+ *   without parameters, for schema setup.
+ * @property {<T = Record<string, SqlValue>>(sql: string, params?: SqlValue[]) => Promise<T[]>} all
+ * @property {<T = Record<string, SqlValue>>(sql: string, params?: SqlValue[]) => Promise<T | null>} first
+ * @property {(sql: string, params?: SqlValue[]) => Promise<{ changes: number }>} run
+ */
+
+/**
+ * @typedef {object} VersionedBlob
+ * @property {Uint8Array} value
+ * @property {string} version Changes whenever the blob is written.
+ */
+
+/**
+ * @typedef {object} BlobStore
+ * @property {(key: string) => Promise<Uint8Array | null>} get
+ * @property {(key: string) => Promise<VersionedBlob | null>} getVersioned
+ * @property {(key: string, value: Uint8Array, options?: { ifVersion?: string | null }) => Promise<string | null>} put
+ *   Returns the blob's new version. With `ifVersion`, only writes while the
+ *   blob is still at that version (or, for `null`, doesn't exist), and
+ *   returns `null` when it isn't.
+ * @property {(key: string) => Promise<void>} delete
+ * @property {(prefix: string) => Promise<string[]>} list Keys starting with `prefix`.
+ */
+
+/**
+ * @typedef {object} Storage
+ * @property {KeyValueStore} kv
+ * @property {Database} db
+ * @property {BlobStore} blob
+ * @property {import('../vectors/index.js').VectorStore} vectors
+ */
+
+/** @type {Omit<Storage, 'vectors'> | undefined} */
+let local;
+
+/**
+ * An object whose `methods` call those of the object `target` resolves to,
+ * so that it can be used before that has loaded.
+ * @template {object} T
+ * @param {Promise<T>} target
+ * @param {(keyof T)[]} methods
+ * @returns {T}
+ */
+function deferred(target, methods) {
+	return /** @type {T} */ (
+		Object.fromEntries(
+			methods.map((method) => [
+				method,
+				async (/** @type {unknown[]} */ ...args) =>
+					/** @type {any} */ (await target)[method](...args)
+			])
+		)
+	);
+}
+
+/**
+ * SQLite and file storage, imported when first used. Worker builds leave
+ * this out, and with it sql.js and the Node file system code, since Workers
+ * always have the bindings.
+ * @param {string} dir
+ * @returns {Omit<Storage, 'vectors'>}
+ */
+function loadLocalStorage(dir) {
+	const storage = import('./local.js').then(({ createLocalStorage }) => createLocalStorage(dir));
+	return {
+		kv: deferred(
+			storage.then(({ kv }) => kv),
+			['get', 'put', 'delete', 'list']
+		),
+		db: deferred(
+			storage.then(({ db }) => db),
+			['exec', 'all', 'first', 'run']
+		),
+		blob: deferred(
+			storage.then(({ blob }) => blob),
+			['get', 'getVersioned', 'put', 'delete', 'list']
+		)
+	};
+}
+
+/**
+ * Where local storage lives unless `STORAGE_DIR` says otherwise. Vercel
+ * functions can only write to `/tmp`, which belongs to one instance and
+ * goes with it.
+ */
+const defaultStorageDir = () => (env.VERCEL ? '/tmp/storage' : '.data');
+
+/** @type {WeakMap<Database, Map<string, Promise<void>>>} */
+const schemas = new WeakMap();
+
+/**
+ * Applies idempotent schema statements (`CREATE TABLE IF NOT EXISTS …`) the
+ * first time they are needed against a database in this process. Modules
+ * owning tables call this before querying them.
+ * @param {Database} db
+ * @param {string} sql
+ */
+export function ensureSchema(db, sql) {
+	let applied = schemas.get(db);
+	if (!applied) {
+		applied = new Map();
+		schemas.set(db, applied);
+	}
+
+	let ready = applied.get(sql);
+	if (!ready) {
+		ready = db.exec(sql);
+		// Retry on the next call if applying failed.
+		ready.catch(() => applied?.delete(sql));
+		applied.set(sql, ready);
+	}
+	return ready;
+}
+
+/** Most parameters D1 binds to one statement. */
+const MAX_PARAMETERS = 100;
+
+/**
+ * Splits `values` into batches that each fit in one statement within D1's
+ * parameter limit, alongside `bound` other parameters. Each value takes
+ * `width` parameters: one in an `IN (…)` list, or a row's columns.
+ * @template T
+ * @param {T[]} values
+ * @param {{ bound?: number, width?: number }} [options]
+ * @returns {T[][]}
+ */
+export function parameterBatches(values, { bound = 0, width = 1 } = {}) {
+	const perStatement = Math.floor((MAX_PARAMETERS - bound) / width);
+	/** @type {T[][]} */
+	const batches = [];
+	for (let i = 0; i < values.length; i += perStatement) {
+		batches.push(values.slice(i, i + perStatement));
+	}
+	return batches;
+}
+
+/**
+ * Inserts `rows` into `table` with as few statements as D1's parameter limit
+ * allows, rather than one per row.
+ * @param {Database} db
+ * @param {string} table
+ * @param {string[]} columns
+ * @param {SqlValue[][]} rows Values in the order of `columns`.
+ */
+export async function insertRows(db, table, columns, rows) {
+	const placeholders = `(${columns.map(() => '?').join(', ')})`;
+	for (const batch of parameterBatches(rows, { width: columns.length })) {
+		await db.run(
+			`INSERT INTO ${table} (${columns.join(', ')}) VALUES ${batch.map(() => placeholders).join(', ')}`,
+			batch.flat()
+		);
+	}
+}
+
+/**
+ * Returns the storage backends for the current request. On Cloudflare these
+ * are the `KV`, `DB` and `BUCKET` bindings from `platform.env`; everywhere
+ * else (Node, Vercel, `vite dev`) a SQLite database and a blob directory
+ * under `STORAGE_DIR`, which must be writable (default `.data`, or
+ * `/tmp/storage` on Vercel), or purely in memory when `STORAGE_DIR` is
+ * `:memory:`. The vector store is the one `VECTOR_STORE`
+ * selects, created when first used so that a misconfigured one only fails
+ * the routes that need it.
+ *
+ * Everything should persist through here rather than holding state in module
+ * scope.
+ * @param {App.Platform | undefined} platform
+ * @returns {Storage}
+ */
+export function getStorage(platform) {
+	const bindings = platform?.env;
+	/** @type {Omit<Storage, 'vectors'>} */
+	let storage;
+	if (bindings) {
+		storage = createCloudflareStorage(bindings);
+	} else if (!import.meta.env.WORKER) {
+		if (!local) {
+			local = loadLocalStorage(env.STORAGE_DIR || defaultStorageDir());
+		}
+		storage = local;
+	} else {
+		throw new Error('The Cloudflare bindings are missing from platform.env');
+	}
+
+	const { blob } = storage;
+	return {
+		...storage,
+		get vectors() {
+			return createVectorStore(blob, bindings);
+		}
+	};
+}
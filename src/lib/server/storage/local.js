@@ -0,0 +1,265 @@
+import initSqlJs from 'sql.js';
+
+/**
+ * Node built-ins are imported through a variable so that the Cloudflare
+ * build, which bundles for a browser-like runtime and never uses this
+ * backend, does not try to resolve them.
+ * @param {string} specifier
+ * @returns {Promise<any>}
+ */
+const nodeImport = (specifier) => import(/* @vite-ignore */ specifier);
+
+/** How long changes wait to be written to disk, in milliseconds. */
+const PERSIST_DELAY = 1000;
+
+/**
+ * @param {import('sql.js').Database} db
+ * @param {string} sql
+ * @param {import('./index.js').SqlValue[]} params
+ */
+function query(db, sql, params) {
+	const statement = db.prepare(sql);
+	try {
+		statement.bind(params);
+		const rows = [];
+		while (statement.step()) rows.push(statement.getAsObject());
+		return rows;
+	} finally {
+		statement.free();
+	}
+}
+
+/**
+ * SQLite (compiled to WASM by sql.js) for the key-value and relational
+ * stores, and a directory of files for blobs. With `dir` set to `:memory:`
+ * nothing touches the filesystem, which is what tests want.
+ * @param {string} dir
+ * @returns {Omit<import('./index.js').Storage, 'vectors'>}
+ */
+export function createLocalStorage(dir) {
+	const inMemory = dir === ':memory:';
+
+	/** @type {Promise<typeof import('node:fs/promises') | null>} */
+	const fs = inMemory ? Promise.resolve(null) : nodeImport('node:fs/promises');
+	const file = `${dir}/storage.sqlite`;
+
+	const ready = (async () => {
+		const SQL = await initSqlJs();
+		const data = await (await fs)?.readFile(file).catch(() => undefined);
+		const db = new SQL.Database(data);
+		db.run(
+			'CREATE TABLE IF NOT EXISTS kv (key TEXT PRIMARY KEY, value TEXT NOT NULL, expires_at INTEGER)'
+		);
+		return db;
+	})();
+
+	/** @type {import('sql.js').Database | undefined} */
+	let loaded;
+	ready.then((db) => (loaded = db)).catch(() => {});
+
+	let dirty = false;
+	let flushing = Promise.resolve();
+	/** @type {ReturnType<typeof setTimeout> | undefined} */
+	let timer;
+
+	/**
+	 * Writes the database back to disk. sql.js keeps the whole database in
+	 * memory, so writes are serialised and changes made while a write is in
+	 * progress are folded into the next one.
+	 */
+	function flush() {
+		clearTimeout(timer);
+		timer = undefined;
+		flushing = flushing.then(async () => {
+			const files = await fs;
+			if (!dirty || !files) return;
+			dirty = false;
+			const db = await ready;
+			await files.mkdir(dir, { recursive: true });
+			await files.writeFile(`${file}.tmp`, db.export());
+			await files.rename(`${file}.tmp`, file);
+		});
+		return flushing;
+	}
+
+	const write = () =>
+		flush().catch((error) => console.error(`[storage] Writing ${file} failed:`, error));
+
+	/**
+	 * Schedules a write after a change. Every write rewrites the whole file,
+	 * so changes are batched into at most one write per `PERSIST_DELAY`, and
+	 * anything still pending is written when the process exits.
+	 */
+	function persist() {
+		dirty = true;
+		if (inMemory || timer) return;
+		timer = setTimeout(write, PERSIST_DELAY);
+		// Pending writes don't keep the process alive; the exit handlers below
+		// write them instead.
+		timer.unref?.();
+	}
+
+	if (!inMemory) {
+		/** @type {typeof import('node:fs') | undefined} */
+		let fsSync;
+		nodeImport('node:fs').then((module) => (fsSync = module));
+
+		process.on('beforeExit', () => {
+			if (dirty) write();
+		});
+		// Only synchronous work runs on exit, e.g. after `process.exit()`.
+		process.on('exit', () => {
+			if (!dirty || !loaded || !fsSync) return;
+			fsSync.mkdirSync(dir, { recursive: true });
+			fsSync.writeFileSync(`${file}.tmp`, loaded.export());
+			fsSync.renameSync(`${file}.tmp`, file);
+		});
+	}
+
+	/** @type {import('./index.js').Database} */
+	const database = {
+		async exec(sql) {
+			(await ready).exec(sql);
+			persist();
+		},
+		async all(sql, params = []) {
+			return /** @type {any[]} */ (query(await ready, sql, params));
+		},
+		async first(sql, params = []) {
+			const [row] = query(await ready, sql, params);
+			return /** @type {any} */ (row ?? null);
+		},
+		async run(sql, params = []) {
+			const db = await ready;
+			db.run(sql, params);
+			const changes = db.getRowsModified();
+			persist();
+			return { changes };
+		}
+	};
+
+	/** @type {import('./index.js').KeyValueStore} */
+	const kv = {
+		async get(key) {
+			const row = await database.first(
+				'SELECT value FROM kv WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)',
+				[key, Date.now()]
+			);
+			return row ? String(row.value) : null;
+		},
+		async put(key, value, { ttl } = {}) {
+			await database.run('INSERT OR REPLACE INTO kv (key, value, expires_at) VALUES (?, ?, ?)', [
+				key,
+				value,
+				ttl ? Date.now() + ttl * 1000 : null
+			]);
+		},
+		async delete(key) {
+			await database.run('DELETE FROM kv WHERE key = ?', [key]);
+		},
+		async list(prefix) {
+			const rows = await database.all(
+				'SELECT key FROM kv WHERE substr(key, 1, ?) = ? AND (expires_at IS NULL OR expires_at > ?) ORDER BY key',
+				[prefix.length, prefix, Date.now()]
+			);
+			return rows.map((row) => String(row.key));
+		}
+	};
+
+	return {
+		kv,
+		db: database,
+		blob: inMemory ? createMemoryBlobStore() : createFileBlobStore(`${dir}/blobs`, fs)
+	};
+}
+
+/** @returns {import('./index.js').BlobStore} */
+function createMemoryBlobStore() {
+	/** @type {Map<string, VersionedBlob>} */
+	const blobs = new Map();
+	let writes = 0;
+
+	return {
+		async get(key) {
+			return blobs.get(key)?.value ?? null;
+		},
+		async getVersioned(key) {
+			return blobs.get(key) ?? null;
+		},
+		async put(key, value, { ifVersion } = {}) {
+			if (ifVersion !== undefined && (blobs.get(key)?.version ?? null) !== ifVersion) return null;
+			const version = String(++writes);
+			blobs.set(key, { value: value.slice(), version });
+			return version;
+		},
+		async delete(key) {
+			blobs.delete(key);
+		},
+		async list(prefix) {
+			return [...blobs.keys()].filter((key) => key.startsWith(prefix)).sort();
+		}
+	};
+}
+
+/** @typedef {import('./index.js').VersionedBlob} VersionedBlob */
+
+/**
+ * A blob's version in a file: a hash of its contents, since modification
+ * times are too coarse to tell quick writes apart.
+ * @param {Uint8Array} value
+ */
+async function fileVersion(value) {
+	const digest = await crypto.subtle.digest(
+		'SHA-256',
+		/** @type {Uint8Array<ArrayBuffer>} */ (value)
+	);
+	return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * One file per blob, with the key URI-encoded into a flat file name.
+ * Conditional writes compare the version before writing, which is not
+ * atomic, so they only protect against other processes sharing the
+ * directory as far as their writes don't overlap.
+ * @param {string} dir
+ * @param {Promise<typeof import('node:fs/promises') | null>} fs
+ * @returns {import('./index.js').BlobStore}
+ */
+function createFileBlobStore(dir, fs) {
+	/** @param {string} key */
+	const path = (key) => `${dir}/${encodeURIComponent(key)}`;
+	const files = /** @type {Promise<typeof import('node:fs/promises')>} */ (fs);
+
+	return {
+		async get(key) {
+			const data = await (await files).readFile(path(key)).catch(() => null);
+			return data && new Uint8Array(data);
+		},
+		async getVersioned(key) {
+			const data = await (await files).readFile(path(key)).catch(() => null);
+			if (!data) return null;
+			const value = new Uint8Array(data);
+			return { value, version: await fileVersion(value) };
+		},
+		async put(key, value, { ifVersion } = {}) {
+			const { mkdir, readFile, writeFile } = await files;
+			if (ifVersion !== undefined) {
+				const current = await readFile(path(key)).catch(() => null);
+				if ((current && (await fileVersion(current))) !== ifVersion) return null;
+			}
+			await mkdir(dir, { recursive: true });
+			await writeFile(path(key), value);
+			return fileVersion(value);
+		},
+		async delete(key) {
+			await (await files).rm(path(key), { force: true });
+		},
+		async list(prefix) {
+			const names = await (await files).readdir(dir).catch(() => []);
+			return names
+				.map(decodeURIComponent)
+				.filter((key) => key.startsWith(prefix))
+				.sort();
+		}
+	};
+}
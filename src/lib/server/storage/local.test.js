@@ -0,0 +1,77 @@
+import { mkdtemp, rm, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { createLocalStorage } from './local.js';
+
+/** @type {string} */
+let dir;
+
+beforeEach(async () => {
+	dir = await mkdtemp(join(tmpdir(), 'storage-'));
+});
+
+afterEach(async () => {
+	vi.useRealTimers();
+	await rm(dir, { recursive: true, force: true });
+});
+
+/** @param {string} file */
+async function waitForFile(file) {
+	for (let i = 0; i < 100; i++) {
+		const stats = await stat(file).catch(() => null);
+		if (stats) return stats;
+		await new Promise((resolve) => setTimeout(resolve, 10));
+	}
+	throw new Error(`${file} was not written`);
+}
+
+describe('createLocalStorage', () => {
+	test('batches changes into one write of the database file', async () => {
+		vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+		const { db, kv } = createLocalStorage(dir);
+
+		await db.exec('CREATE TABLE notes (text TEXT)');
+		for (let i = 0; i < 20; i++) await db.run('INSERT INTO notes (text) VALUES (?)', [`${i}`]);
+		await kv.put('key', 'value');
+		expect(await stat(join(dir, 'storage.sqlite')).catch(() => null)).toBeNull();
+
+		vi.advanceTimersByTime(1000);
+		vi.useRealTimers();
+		await waitForFile(join(dir, 'storage.sqlite'));
+
+		const reopened = createLocalStorage(dir);
+		expect(await reopened.db.first('SELECT COUNT(*) AS count FROM notes')).toEqual({ count: 20 });
+		expect(await reopened.kv.get('key')).toBe('value');
+	});
+
+	test('keeps everything in memory for :memory:', async () => {
+		const { db } = createLocalStorage(':memory:');
+
+		await db.exec('CREATE TABLE notes (text TEXT)');
+		expect(await db.run('INSERT INTO notes (text) VALUES (?)', ['hello'])).toEqual({ changes: 1 });
+		expect(await db.all('SELECT text FROM notes')).toEqual([{ text: 'hello' }]);
+	});
+
+	test.each([
+		['in memory', () => ':memory:'],
+		['in files', () => dir]
+	])('writes blobs %s only while they are at the expected version', async (_, storageDir) => {
+		const { blob } = createLocalStorage(storageDir());
+		const bytes = (/** @type {string} */ text) => new TextEncoder().encode(text);
+
+		expect(await blob.getVersioned('index')).toBeNull();
+		const first = await blob.put('index', bytes('one'), { ifVersion: null });
+		expect(first).toEqual(expect.any(String));
+		expect(await blob.put('index', bytes('again'), { ifVersion: null })).toBeNull();
+
+		const second = await blob.put('index', bytes('two'), { ifVersion: first });
+		expect(second).not.toBe(first);
+		expect(await blob.put('index', bytes('stale'), { ifVersion: first })).toBeNull();
+		expect(await blob.getVersioned('index')).toEqual({ value: bytes('two'), version: second });
+
+		// Unconditional writes always happen.
+		expect(await blob.put('index', bytes('three'))).toEqual(expect.any(String));
+		expect(await blob.get('index')).toEqual(bytes('three'));
+	});
+});
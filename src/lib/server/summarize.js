@@ -0,0 +1,374 @@
+import { PromptTemplate } from 'langchain/prompts';
+import { htmlToText, splitDocument } from './documents/split.js';
+import { contextWindow, createModel, modelName } from './llm/index.js';
+import { countTokens } from './tokens.js';
+import { trackUsage } from './usage.js';
+
+export const STRATEGIES = /** @type {const} */ (['stuff', 'map-reduce', 'refine']);
+
+/** @typedef {typeof STRATEGIES[number]} Strategy */
+
+/** Pasted texts are limited like uploaded documents. */
+const MAX_TEXT_LENGTH = 1024 * 1024;
+
+/** Tokens set aside for the instructions around the text in each prompt. */
+const PROMPT_TOKENS = 200;
+
+/** Texts of up to this many pieces are refined rather than mapped and reduced. */
+const MAX_REFINE_PIECES = 4;
+
+/**
+ * Levels of combining summaries before giving up, should the model's
+ * summaries not get shorter than what they summarise.
+ */
+const MAX_REDUCE_LEVELS = 4;
+
+const prompts = {
+	stuff: PromptTemplate.fromTemplate(
+		'Write a concise summary of the following text.\n\n{text}\n\nConcise summary:'
+	),
+	map: PromptTemplate.fromTemplate(
+		'Write a concise summary of the following part of a longer document.\n\n{text}\n\nConcise summary:'
+	),
+	combine: PromptTemplate.fromTemplate(
+		'The following are summaries of consecutive parts of a document. Combine them into one concise summary of the whole.\n\n{text}\n\nConcise summary:'
+	),
+	refine: PromptTemplate.fromTemplate(
+		[
+			'Here is a summary of the beginning of a document:',
+			'{summary}',
+			'',
+			'Refine the summary with the next part of the document below, adding what matters and keeping it concise.',
+			'',
+			'{text}',
+			'',
+			'Refined summary:'
+		].join('\n')
+	),
+	outline: PromptTemplate.fromTemplate(
+		'Write an outline of the main points of the document summarised below, one point per line, each starting with "- ".\n\n{text}\n\nOutline:'
+	)
+};
+
+/**
+ * Consecutive chunks of a document, as long as fits in one prompt next to a
+ * summary, all under the same top-level heading.
+ * @typedef {{ section: string, text: string, tokens: number }} Piece
+ */
+
+/**
+ * A text ready to be summarised.
+ * @typedef {object} SummaryPlan
+ * @property {Strategy} strategy
+ * @property {string} text The text to summarise, converted from HTML.
+ * @property {number} tokens
+ * @property {Piece[]} pieces
+ */
+
+/**
+ * What a summary is waiting for: `done` of `total` model calls in a phase.
+ * @typedef {{ phase: 'stuff' | 'map' | 'reduce' | 'refine' | 'sections' | 'outline', done: number, total: number }} SummaryProgress
+ */
+
+/**
+ * @typedef {object} Summary
+ * @property {Strategy} strategy
+ * @property {number} tokens Tokens in the summarised text.
+ * @property {string} summary
+ * @property {string[] | null} outline
+ * @property {{ heading: string, summary: string }[] | null} sections One per
+ *   top-level heading, or empty if the text has fewer than two.
+ * @property {import('./usage.js').Usage} usage
+ */
+
+/**
+ * @typedef {object} SummaryParams
+ * @property {string} document Id of a stored document to summarise, or empty
+ *   to summarise `text`.
+ * @property {string} text
+ * @property {Strategy | undefined} strategy Chosen by length when undefined.
+ * @property {boolean} outline
+ * @property {boolean} sections
+ */
+
+/**
+ * Validates a summary request, coming either from a form submission (where
+ * checkboxes are `on`) or a JSON request body.
+ * @param {Record<string, unknown>} input
+ * @returns {{ params: SummaryParams, errors: Record<string, string> | null }}
+ */
+export function parseSummaryParams(input) {
+	const document = String(input.document ?? '');
+	const text = String(input.text ?? '').trim();
+	const strategy = String(input.strategy ?? '');
+	/** @param {unknown} value */
+	const flag = (value) => value === true || value === 'on';
+
+	/** @type {Record<string, string>} */
+	const errors = {};
+	if (!document && !text) {
+		errors.text = 'Please choose a document or paste a text.';
+	} else if (!document && text.length > MAX_TEXT_LENGTH) {
+		errors.text = 'Texts are limited to 1 MB.';
+	}
+	if (strategy && strategy !== 'auto' && !STRATEGIES.includes(/** @type {Strategy} */ (strategy))) {
+		errors.strategy = `Strategy must be auto or one of: ${STRATEGIES.join(', ')}.`;
+	}
+
+	return {
+		params: {
+			document,
+			text,
+			strategy: strategy && strategy !== 'auto' ? /** @type {Strategy} */ (strategy) : undefined,
+			outline: flag(input.outline),
+			sections: flag(input.sections)
+		},
+		errors: Object.keys(errors).length > 0 ? errors : null
+	};
+}
+
+/**
+ * Token limits for the configured model. Completions get an eighth of the
+ * context window, and a prompt holds the text to summarise, or a piece of it
+ * plus the summary so far.
+ */
+function limits() {
+	const window = contextWindow();
+	const output = Math.floor(window / 8);
+	return {
+		output,
+		input: window - output - PROMPT_TOKENS,
+		piece: window - 2 * output - PROMPT_TOKENS
+	};
+}
+
+/** @param {string} text */
+const tokens = (text) => countTokens(text, modelName());
+
+/**
+ * Splits `text` along its headings and packs the chunks into pieces of at
+ * most `limit` tokens. Chunks are sized from the text's characters per
+ * token, so that few of them need to be packed.
+ * @param {string} text
+ * @param {number} total Tokens in `text`.
+ * @param {import('./documents/split.js').DocumentType} type
+ * @param {number} limit
+ * @returns {Promise<Piece[]>}
+ */
+async function splitPieces(text, total, type, limit) {
+	// Leave some slack, since the density of tokens varies within the text.
+	const chunkSize = Math.max(100, Math.floor((limit * text.length * 0.9) / Math.max(total, 1)));
+	const chunks = await splitDocument(text, type, {
+		chunkSize,
+		chunkOverlap: Math.floor(chunkSize / 20)
+	});
+
+	/** @type {Piece[]} */
+	const pieces = [];
+	for (const chunk of chunks) {
+		const section = chunk.headings[0] ?? '';
+		const size = await tokens(chunk.text);
+		const last = pieces.at(-1);
+		if (last && last.section === section && last.tokens + size <= limit) {
+			last.text += `\n\n${chunk.text}`;
+			last.tokens += size;
+		} else {
+			pieces.push({ section, text: chunk.text, tokens: size });
+		}
+	}
+	return pieces;
+}
+
+/**
+ * Picks how to summarise a text, unless the caller chose: `stuff` sends it
+ * whole when it fits in one prompt, `refine` walks through the pieces of a
+ * text a few prompts long, updating one summary, and `map-reduce` summarises
+ * each piece of longer texts on its own and then combines those summaries.
+ * Returns an error if `stuff` was chosen for a text that doesn't fit.
+ * @param {string} content
+ * @param {import('./documents/split.js').DocumentType} type
+ * @param {Strategy} [strategy]
+ * @returns {Promise<{ plan: SummaryPlan, error?: undefined } | { plan?: undefined, error: string }>}
+ */
+export async function planSummary(content, type, strategy) {
+	const text = type === 'html' ? htmlToText(content) : content;
+	const total = await tokens(text);
+	const { input, piece } = limits();
+	const fits = total <= input;
+	if (strategy === 'stuff' && !fits) {
+		return {
+			error: `At ${total} tokens the text doesn't fit in one prompt (${input} tokens); choose map-reduce or refine.`
+		};
+	}
+
+	const pieces = await splitPieces(text, total, type === 'text' ? 'text' : 'markdown', piece);
+	const chosen =
+		strategy ?? (fits ? 'stuff' : pieces.length <= MAX_REFINE_PIECES ? 'refine' : 'map-reduce');
+	return { plan: { strategy: chosen, text, tokens: total, pieces } };
+}
+
+/**
+ * Lines of an outline, without their bullets.
+ * @param {string} text
+ */
+function outlinePoints(text) {
+	const lines = text
+		.split('\n')
+		.map((line) => line.trim())
+		.filter(Boolean);
+	const bullets = lines.filter((line) => /^([-*•]|\d+[.)])\s+/.test(line));
+	return (bullets.length > 0 ? bullets : lines).map((line) =>
+		line.replace(/^([-*•]|\d+[.)])\s+/, '')
+	);
+}
+
+/**
+ * Summarises a planned text with its strategy, optionally adding an outline
+ * of its main points and a summary of each section under a top-level
+ * heading. `onProgress` is told about every model call before it is made,
+ * and `signal` cancels the remaining ones. They are logged under `requestId`.
+ * @param {SummaryPlan} plan
+ * @param {{ outline?: boolean, sections?: boolean, signal?: AbortSignal, requestId?: string }} [options]
+ * @param {(progress: SummaryProgress) => void} [onProgress]
+ * @returns {Promise<Summary>}
+ */
+export async function summarize(
+	plan,
+	{ outline = false, sections = false, signal, requestId } = {},
+	onProgress
+) {
+	const tracker = trackUsage(requestId);
+	const { input, output } = limits();
+	const model = createModel({
+		temperature: 0,
+		maxTokens: output,
+		callbacks: [tracker.handler],
+		signal
+	});
+
+	/**
+	 * @param {PromptTemplate} prompt
+	 * @param {Record<string, string>} values
+	 */
+	const call = async (prompt, values) => (await model.call(await prompt.format(values))).trim();
+
+	/**
+	 * Combines summaries into one, first combining groups of them that fit in
+	 * a prompt for as long as they don't fit together.
+	 * @param {string[]} summaries
+	 * @param {boolean} [report] Whether to report progress; sections already do.
+	 */
+	const reduce = async (summaries, report = true) => {
+		let level = summaries;
+		for (let depth = 0; level.length > 1; depth++) {
+			if (depth === MAX_REDUCE_LEVELS) {
+				throw new Error(`Summaries still don't fit in one prompt after ${depth} levels`);
+			}
+			/** @type {string[][]} */
+			const groups = [[]];
+			let size = 0;
+			for (const summary of level) {
+				const length = await tokens(summary);
+				if (groups[groups.length - 1].length > 0 && size + length > input) {
+					groups.push([]);
+					size = 0;
+				}
+				groups[groups.length - 1].push(summary);
+				size += length;
+			}
+			const next = [];
+			for (const [i, group] of groups.entries()) {
+				if (report) onProgress?.({ phase: 'reduce', done: i, total: groups.length });
+				next.push(
+					group.length === 1 ? group[0] : await call(prompts.combine, { text: group.join('\n\n') })
+				);
+			}
+			level = next;
+		}
+		return level[0] ?? '';
+	};
+
+	/**
+	 * @param {Piece[]} pieces
+	 * @param {boolean} [report] Whether to report progress; sections already do.
+	 */
+	const refine = async (pieces, report = true) => {
+		let summary = '';
+		for (const [i, { text }] of pieces.entries()) {
+			if (report) onProgress?.({ phase: 'refine', done: i, total: pieces.length });
+			summary = summary
+				? await call(prompts.refine, { summary, text })
+				: await call(prompts.stuff, { text });
+		}
+		return summary;
+	};
+
+	// Pieces never span top-level headings, so sections are runs of them.
+	/** @type {{ heading: string, pieces: Piece[], maps: string[] }[]} */
+	const groups = [];
+	for (const piece of plan.pieces) {
+		const last = groups.at(-1);
+		if (last && last.heading === piece.section) last.pieces.push(piece);
+		else groups.push({ heading: piece.section, pieces: [piece], maps: [] });
+	}
+	const sectioned = sections && groups.length > 1;
+
+	let summary;
+	/** @type {{ heading: string, summary: string }[]} */
+	const sectionSummaries = [];
+	if (plan.strategy === 'map-reduce') {
+		let done = 0;
+		for (const group of groups) {
+			for (const { text } of group.pieces) {
+				onProgress?.({ phase: 'map', done: done++, total: plan.pieces.length });
+				group.maps.push(await call(prompts.map, { text }));
+			}
+		}
+		if (sectioned) {
+			for (const [i, { heading, maps }] of groups.entries()) {
+				onProgress?.({ phase: 'sections', done: i, total: groups.length });
+				sectionSummaries.push({ heading, summary: await reduce(maps, false) });
+			}
+			summary = await reduce(sectionSummaries.map((section) => section.summary));
+		} else {
+			summary = await reduce(groups.flatMap(({ maps }) => maps));
+		}
+	} else {
+		if (plan.strategy === 'stuff') {
+			onProgress?.({ phase: 'stuff', done: 0, total: 1 });
+			summary = await call(prompts.stuff, { text: plan.text });
+		} else {
+			summary = await refine(plan.pieces);
+		}
+		if (sectioned) {
+			for (const [i, { heading, pieces }] of groups.entries()) {
+				onProgress?.({ phase: 'sections', done: i, total: groups.length });
+				const text = pieces.map((piece) => piece.text).join('\n\n');
+				const size = pieces.reduce((sum, piece) => sum + piece.tokens, 0);
+				sectionSummaries.push({
+					heading,
+					summary: size <= input ? await call(prompts.stuff, { text }) : await refine(pieces, false)
+				});
+			}
+		}
+	}
+
+	/** @type {string[] | null} */
+	let points = null;
+	if (outline) {
+		onProgress?.({ phase: 'outline', done: 0, total: 1 });
+		const text = sectioned
+			? sectionSummaries.map(({ heading, summary }) => `${heading}: ${summary}`).join('\n\n')
+			: summary;
+		points = outlinePoints(await call(prompts.outline, { text }));
+	}
+
+	return {
+		strategy: plan.strategy,
+		tokens: plan.tokens,
+		summary,
+		outline: points,
+		sections: sections ? sectionSummaries : null,
+		usage: await tracker.total()
+	};
+}
@@ -0,0 +1,72 @@
+import { loadWasm } from './wasm.js';
+
+/**
+ * Encoder definitions from `@dqbd/tiktoken`, loaded on first use since each
+ * is around a megabyte.
+ */
+const ENCODINGS = {
+	cl100k_base: () => import('@dqbd/tiktoken/encoders/cl100k_base'),
+	p50k_base: () => import('@dqbd/tiktoken/encoders/p50k_base'),
+	r50k_base: () => import('@dqbd/tiktoken/encoders/r50k_base')
+};
+
+/** @typedef {keyof typeof ENCODINGS} Encoding */
+
+/**
+ * Model name prefixes and their encodings, checked in order. Models that are
+ * not listed (local or mock models) are counted with `cl100k_base`, which is
+ * a reasonable estimate for modern vocabularies.
+ * @type {[string, Encoding][]}
+ */
+const MODEL_PREFIXES = [
+	['gpt-4', 'cl100k_base'],
+	['gpt-3.5-turbo', 'cl100k_base'],
+	['text-embedding-', 'cl100k_base'],
+	['text-davinci-002', 'p50k_base'],
+	['text-davinci-003', 'p50k_base'],
+	['code-', 'p50k_base'],
+	['text-', 'r50k_base'],
+	['davinci', 'r50k_base'],
+	['curie', 'r50k_base'],
+	['babbage', 'r50k_base'],
+	['ada', 'r50k_base']
+];
+
+/** @type {Map<Encoding, Promise<import('$wasm').Tokenizer>>} */
+const tokenizers = new Map();
+
+/**
+ * @param {string} model
+ * @returns {Encoding}
+ */
+export function encodingForModel(model) {
+	return MODEL_PREFIXES.find(([prefix]) => model.startsWith(prefix))?.[1] ?? 'cl100k_base';
+}
+
+/**
+ * Returns the WASM tokenizer for an encoding, loading it once per process.
+ * @param {Encoding} encoding
+ */
+export function getTokenizer(encoding) {
+	let tokenizer = tokenizers.get(encoding);
+	if (!tokenizer) {
+		tokenizer = Promise.all([ENCODINGS[encoding](), loadWasm()]).then(
+			([{ default: definition }, { Tokenizer }]) => {
+				const { bpe_ranks, special_tokens, pat_str } = definition;
+				return new Tokenizer(bpe_ranks, JSON.stringify(special_tokens), pat_str);
+			}
+		);
+		tokenizers.set(encoding, tokenizer);
+	}
+	return tokenizer;
+}
+
+/**
+ * Counts the tokens `model` sees for `text`.
+ * @param {string} text
+ * @param {string} model
+ */
+export async function countTokens(text, model) {
+	const tokenizer = await getTokenizer(encodingForModel(model));
+	return tokenizer.count(text);
+}
@@ -0,0 +1,52 @@
+import { afterAll, describe, expect, test } from 'vitest';
+import { get_encoding } from '@dqbd/tiktoken';
+import { countTokens, encodingForModel, getTokenizer } from './tokens.js';
+
+/** Text that exercises the split pattern and the merge loop. */
+const SAMPLES = [
+	'',
+	'Hello, world!',
+	'  leading and trailing spaces  \n\n\ttabs\r\n',
+	"It's the model's job; they're done, we'll see, I'd've thought.",
+	'function add(a, b) {\n\treturn a + b; // 42\n}',
+	'Größe, naïve café, 日本語のテキスト, emoji 👩‍👩‍👧 and 😀',
+	'1234567890 3.14159 -2e10 0xFF',
+	'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa',
+	'<|endoftext|> is only special when allowed'
+];
+
+/** @type {import('@dqbd/tiktoken').Tiktoken[]} */
+const references = [];
+
+afterAll(() => references.forEach((encoding) => encoding.free()));
+
+describe('getTokenizer', () => {
+	test.each(/** @type {const} */ (['cl100k_base', 'p50k_base', 'r50k_base']))(
+		'encodes like tiktoken with %s',
+		async (encoding) => {
+			const reference = get_encoding(encoding);
+			references.push(reference);
+			const tokenizer = await getTokenizer(encoding);
+
+			for (const text of SAMPLES) {
+				const expected = Array.from(reference.encode_ordinary(text));
+				expect(Array.from(tokenizer.encode(text)), text).toEqual(expected);
+				expect(tokenizer.count(text)).toBe(expected.length);
+				expect(tokenizer.decode(tokenizer.encode(text))).toBe(text);
+			}
+		}
+	);
+});
+
+describe('countTokens', () => {
+	test('uses the encoding of the model', async () => {
+		expect(encodingForModel('gpt-4o-mini')).toBe('cl100k_base');
+		expect(encodingForModel('text-davinci-003')).toBe('p50k_base');
+		expect(encodingForModel('davinci')).toBe('r50k_base');
+		expect(encodingForModel('llama3')).toBe('cl100k_base');
+
+		// cl100k_base merges the spaces that r50k_base doesn't.
+		const code = 'if (x) {\n        return y;\n}';
+		expect(await countTokens(code, 'gpt-4')).toBeLessThan(await countTokens(code, 'davinci'));
+	});
+});
@@ -0,0 +1,193 @@
+import { classifyError } from './errors.js';
+import { embeddingModelName, modelName } from './llm/index.js';
+import { logLine } from './log.js';
+import { ensureSchema } from './storage/index.js';
+import { countTokens } from './tokens.js';
+
+/**
+ * USD per 1,000 tokens. Models not listed have no cost estimate.
+ * @type {Record<string, { prompt: number, completion: number }>}
+ */
+const PRICES = {
+	'text-davinci-003': { prompt: 0.02, completion: 0.02 },
+	'gpt-3.5-turbo-instruct': { prompt: 0.0015, completion: 0.002 },
+	'gpt-3.5-turbo': { prompt: 0.0015, completion: 0.002 },
+	'gpt-4': { prompt: 0.03, completion: 0.06 },
+	'text-embedding-ada-002': { prompt: 0.0001, completion: 0 }
+};
+
+const SCHEMA = `
+	CREATE TABLE IF NOT EXISTS usage (
+		id INTEGER PRIMARY KEY AUTOINCREMENT,
+		created_at TEXT NOT NULL,
+		route TEXT,
+		model TEXT NOT NULL,
+		prompt_tokens INTEGER NOT NULL,
+		completion_tokens INTEGER NOT NULL,
+		cost REAL
+	)
+`;
+
+/**
+ * @typedef {object} Usage
+ * @property {string} model
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number | null} cost Estimated cost in USD, if the model's price is known.
+ * @property {ModelCall[]} [calls] Which model answered each call, when any
+ *   were made.
+ */
+
+/**
+ * @typedef {object} ModelCall
+ * @property {string} provider
+ * @property {string} model
+ * @property {number} attempts Tries it took, counting those of failed models.
+ * @property {boolean} fallback Whether a model after the configured one answered.
+ */
+
+/**
+ * @param {string} model
+ * @param {number} promptTokens
+ * @param {number} completionTokens
+ * @returns {Usage}
+ */
+function priced(model, promptTokens, completionTokens) {
+	const price = PRICES[model];
+	const cost = price
+		? (promptTokens * price.prompt + completionTokens * price.completion) / 1000
+		: null;
+	return { model, promptTokens, completionTokens, cost };
+}
+
+/**
+ * @param {string[]} texts
+ * @param {string} model
+ */
+async function countAll(texts, model) {
+	const counts = await Promise.all(texts.map((text) => countTokens(text, model)));
+	return counts.reduce((sum, n) => sum + n, 0);
+}
+
+/**
+ * Collects every prompt sent to and completion received from a model through
+ * LangChain callbacks, so calls made inside chains and memory (such as
+ * summarisation) are counted too. Pass `handler` in the model's `callbacks`.
+ * Tokens are counted and priced for the model that answered each call, which
+ * may be a fallback of the configured one. Each call is also logged as a
+ * JSON line under `requestId`, the id of the request that made it.
+ * @param {string} [requestId]
+ */
+export function trackUsage(requestId) {
+	/** @type {Map<string, { prompts: string[], completions: string[], started: number, served?: import('./llm/resilience.js').Served }>} */
+	const runs = new Map();
+
+	return {
+		/** @type {import('langchain/callbacks').CallbackHandlerMethods} */
+		handler: {
+			handleLLMStart(_llm, prompts, runId) {
+				runs.set(runId, { prompts, completions: [], started: Date.now() });
+			},
+			handleLLMEnd(output, runId) {
+				const run = runs.get(runId);
+				if (!run) return;
+				run.completions = output.generations.flatMap((generations) =>
+					generations.map(({ text }) => text)
+				);
+				run.served = output.llmOutput?.served;
+				logLine({
+					type: 'llm',
+					id: requestId,
+					run: runId,
+					provider: run.served?.provider,
+					model: run.served?.model ?? modelName(),
+					attempts: run.served?.attempts.length,
+					fallback: run.served?.fallback,
+					duration: Date.now() - run.started
+				});
+			},
+			handleLLMError(error, runId) {
+				const run = runs.get(runId);
+				logLine({
+					type: 'llm',
+					id: requestId,
+					run: runId,
+					error: classifyError(error).reason,
+					duration: run && Date.now() - run.started
+				});
+			}
+		},
+
+		/**
+		 * Counts the tokens of everything tracked so far.
+		 * @returns {Promise<Usage>}
+		 */
+		async total() {
+			/** @type {Map<string, { prompts: string[], completions: string[] }>} */
+			const byModel = new Map();
+			/** @type {ModelCall[]} */
+			const calls = [];
+			for (const { prompts, completions, served } of runs.values()) {
+				const model = served?.model ?? modelName();
+				const texts = byModel.get(model) ?? { prompts: [], completions: [] };
+				texts.prompts.push(...prompts);
+				texts.completions.push(...completions);
+				byModel.set(model, texts);
+				if (served) {
+					const { provider, attempts, fallback } = served;
+					calls.push({ provider, model, attempts: attempts.length, fallback });
+				}
+			}
+			if (byModel.size === 0) byModel.set(modelName(), { prompts: [], completions: [] });
+
+			const usages = await Promise.all(
+				[...byModel].map(async ([model, { prompts, completions }]) =>
+					priced(model, await countAll(prompts, model), await countAll(completions, model))
+				)
+			);
+			return {
+				model: usages.map(({ model }) => model).join(', '),
+				promptTokens: usages.reduce((sum, { promptTokens }) => sum + promptTokens, 0),
+				completionTokens: usages.reduce((sum, { completionTokens }) => sum + completionTokens, 0),
+				cost: usages.every(({ cost }) => cost !== null)
+					? usages.reduce((sum, { cost }) => sum + /** @type {number} */ (cost), 0)
+					: null,
+				...(calls.length > 0 && { calls })
+			};
+		}
+	};
+}
+
+/**
+ * Usage of embedding `texts` with the configured embedding model, which
+ * only has prompt tokens.
+ * @param {string[]} texts
+ * @returns {Promise<Usage>}
+ */
+export async function embeddingUsage(texts) {
+	const model = embeddingModelName();
+	return priced(model, await countAll(texts, model), 0);
+}
+
+/**
+ * Stores the usage of one request under its route, and adds it to the
+ * request's log line.
+ * @param {import('./storage/index.js').Database} db
+ * @param {Pick<import('@sveltejs/kit').RequestEvent, 'route' | 'locals'>} event
+ * @param {Usage} usage
+ */
+export async function recordUsage(db, { route, locals }, usage) {
+	locals.log.usage.push(usage);
+	await ensureSchema(db, SCHEMA);
+	await db.run(
+		'INSERT INTO usage (created_at, route, model, prompt_tokens, completion_tokens, cost) VALUES (?, ?, ?, ?, ?, ?)',
+		[
+			new Date().toISOString(),
+			route.id,
+			usage.model,
+			usage.promptTokens,
+			usage.completionTokens,
+			usage.cost
+		]
+	);
+}
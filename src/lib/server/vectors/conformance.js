@@ -0,0 +1,171 @@
+/** Dimensions of the vectors the checks store, for stand-ins that fix them up front. */
+export const DIMENSIONS = 8;
+
+/** Scores may differ by this much between backends, e.g. float32 against float64. */
+const TOLERANCE = 1e-4;
+
+/**
+ * A unit vector along `axis`, tilted towards `towards` by `tilt`.
+ * @param {number} axis
+ * @param {number} [towards]
+ * @param {number} [tilt]
+ */
+function vector(axis, towards = axis, tilt = 0) {
+	const values = new Array(DIMENSIONS).fill(0);
+	values[axis] = 1;
+	values[towards] += tilt;
+	return values;
+}
+
+/**
+ * @param {unknown} condition
+ * @param {string} message
+ * @returns {asserts condition}
+ */
+function assert(condition, message) {
+	if (!condition) throw new Error(message);
+}
+
+/**
+ * @param {import('./index.js').VectorMatch[]} matches
+ * @param {string[]} ids
+ */
+function assertIds(matches, ids) {
+	const actual = matches.map(({ id }) => id);
+	assert(
+		actual.length === ids.length && actual.every((id, i) => id === ids[i]),
+		`expected matches ${JSON.stringify(ids)}, got ${JSON.stringify(actual)}`
+	);
+}
+
+/**
+ * Behaviour every vector store must share. Each check gets a namespace of its
+ * own, and ids are unique across all of them, since some backends (Vectorize)
+ * don't scope ids to a namespace.
+ * @type {Record<string, (store: import('./index.js').VectorStore, namespace: string) => Promise<void>>}
+ */
+const CHECKS = {
+	async 'an unknown namespace is empty'(store, namespace) {
+		assert(!(await store.has(namespace)), 'has() is true before anything was stored');
+		assertIds(await store.query(namespace, vector(0), 5), []);
+		await store.delete(namespace, ['missing']);
+	},
+
+	async 'upserted vectors are found closest first'(store, namespace) {
+		await store.upsert(namespace, [
+			{ id: `${namespace}-far`, vector: vector(1), metadata: {} },
+			{ id: `${namespace}-near`, vector: vector(0, 1, 0.1), metadata: {} },
+			{ id: `${namespace}-exact`, vector: vector(0), metadata: {} }
+		]);
+		assert(await store.has(namespace), 'has() is false after upserting');
+
+		const matches = await store.query(namespace, vector(0), 3);
+		assertIds(matches, [`${namespace}-exact`, `${namespace}-near`, `${namespace}-far`]);
+		const expected = [1, 1 / Math.sqrt(1.01), 0];
+		for (const [i, { score }] of matches.entries()) {
+			assert(
+				Math.abs(score - expected[i]) < TOLERANCE,
+				`expected cosine similarity ${expected[i]}, got ${score}`
+			);
+		}
+	},
+
+	async 'query returns at most k matches'(store, namespace) {
+		await store.upsert(
+			namespace,
+			Array.from({ length: DIMENSIONS }, (_, axis) => ({
+				id: `${namespace}-${axis}`,
+				vector: vector(axis, 0, 0.5),
+				metadata: {}
+			}))
+		);
+		const matches = await store.query(namespace, vector(0), 2);
+		assert(matches.length === 2, `expected 2 matches, got ${matches.length}`);
+		assert(
+			matches[0].id === `${namespace}-0`,
+			`expected ${namespace}-0 first, got ${matches[0].id}`
+		);
+	},
+
+	async 'metadata round-trips'(store, namespace) {
+		const metadata = { name: 'a.md', seq: 3, draft: false };
+		await store.upsert(namespace, [{ id: `${namespace}-a`, vector: vector(0), metadata }]);
+
+		const [match] = await store.query(namespace, vector(0), 1);
+		// Compare regardless of key order, which e.g. Postgres's JSONB doesn't keep.
+		const sorted = (/** @type {object | undefined} */ value) =>
+			JSON.stringify(Object.entries(value ?? {}).sort(([a], [b]) => a.localeCompare(b)));
+		assert(
+			sorted(match?.metadata) === sorted(metadata),
+			`expected metadata ${JSON.stringify(metadata)}, got ${JSON.stringify(match?.metadata)}`
+		);
+	},
+
+	async 'upsert replaces vectors and metadata with the same id'(store, namespace) {
+		const id = `${namespace}-a`;
+		await store.upsert(namespace, [{ id, vector: vector(0), metadata: { version: 1 } }]);
+		await store.upsert(namespace, [{ id, vector: vector(1), metadata: { version: 2 } }]);
+
+		const matches = await store.query(namespace, vector(1), 5);
+		assertIds(matches, [id]);
+		assert(matches[0].metadata.version === 2, 'metadata was not replaced');
+		assert(Math.abs(matches[0].score - 1) < TOLERANCE, 'vector was not replaced');
+	},
+
+	async 'deleted vectors are no longer found'(store, namespace) {
+		await store.upsert(namespace, [
+			{ id: `${namespace}-a`, vector: vector(0), metadata: {} },
+			{ id: `${namespace}-b`, vector: vector(1), metadata: {} }
+		]);
+		await store.delete(namespace, [`${namespace}-a`, `${namespace}-missing`]);
+		assertIds(await store.query(namespace, vector(0), 5), [`${namespace}-b`]);
+	},
+
+	async 'filters match one value or any of several'(store, namespace) {
+		await store.upsert(
+			namespace,
+			['x', 'y', 'z'].map((documentId, i) => ({
+				id: `${namespace}-${documentId}`,
+				vector: vector(0, 1, i / 10),
+				metadata: { documentId }
+			}))
+		);
+		assertIds(await store.query(namespace, vector(0), 5, { documentId: 'y' }), [`${namespace}-y`]);
+		assertIds(await store.query(namespace, vector(0), 5, { documentId: ['z', 'x'] }), [
+			`${namespace}-x`,
+			`${namespace}-z`
+		]);
+		assertIds(await store.query(namespace, vector(0), 5, { documentId: 'w' }), []);
+	},
+
+	async 'namespaces are kept apart'(store, namespace) {
+		const other = `${namespace}-other`;
+		await store.upsert(namespace, [{ id: `${namespace}-a`, vector: vector(0), metadata: {} }]);
+		await store.upsert(other, [{ id: `${other}-a`, vector: vector(0), metadata: {} }]);
+
+		assertIds(await store.query(namespace, vector(0), 5), [`${namespace}-a`]);
+		assertIds(await store.query(other, vector(0), 5), [`${other}-a`]);
+	}
+};
+
+/**
+ * Runs the checks every `VectorStore` must pass against `store`, returning
+ * the name of each check and the error it failed with, if any. Meant for
+ * local stand-ins of a backend (see `scripts/check-vector-stores.js`), as the
+ * checks expect writes to be visible to the next query.
+ * @param {import('./index.js').VectorStore} store
+ * @param {string} [prefix] Namespaces used by the checks start with this.
+ * @returns {Promise<{ name: string, error: Error | null }[]>}
+ */
+export async function checkVectorStore(store, prefix = `conformance-${Date.now()}`) {
+	const results = [];
+	for (const [i, [name, check]] of Object.entries(CHECKS).entries()) {
+		try {
+			await check(store, `${prefix}-${i}`);
+			results.push({ name, error: null });
+		} catch (error) {
+			results.push({ name, error: error instanceof Error ? error : new Error(String(error)) });
+		}
+	}
+	return results;
+}
@@ -0,0 +1,128 @@
+import { env } from '$env/dynamic/private';
+import { createMemoryVectorStore } from './memory.js';
+import { createPgvectorStore } from './pgvector.js';
+import { createVectorizeStore } from './vectorize.js';
+
+/**
+ * @typedef {object} VectorEntry
+ * @property {string} id
+ * @property {number[]} vector
+ * @property {Record<string, string | number | boolean | null>} metadata
+ */
+
+/**
+ * @typedef {object} VectorMatch
+ * @property {string} id
+ * @property {number} score Cosine similarity, higher is closer.
+ * @property {VectorEntry['metadata']} metadata
+ */
+
+/**
+ * Restricts a query to vectors whose metadata has the given value for each
+ * key, or one of the values when given an array.
+ * @typedef {Record<string, VectorEntry['metadata'][string] | VectorEntry['metadata'][string][]>} VectorFilter
+ */
+
+/**
+ * Stores vectors in namespaces (one per embedding model, since vectors of
+ * different models can't be compared) and finds the closest ones by cosine
+ * similarity. `checkVectorStore()` in `./conformance.js` spells out the
+ * behaviour every backend must share.
+ * @typedef {object} VectorStore
+ * @property {(namespace: string) => Promise<boolean>} has Whether anything
+ *   has been stored in `namespace`.
+ * @property {(namespace: string, entries: VectorEntry[]) => Promise<void>} upsert
+ *   Adds vectors, replacing entries with the same ids.
+ * @property {(namespace: string, ids: string[]) => Promise<void>} delete
+ *   Removes vectors, ignoring ids that aren't stored.
+ * @property {(namespace: string, vector: number[], k: number, filter?: VectorFilter) => Promise<VectorMatch[]>} query
+ *   Finds the `k` vectors closest to `vector`, closest first.
+ */
+
+/**
+ * @typedef {object} VectorStoreContext
+ * @property {import('../storage/index.js').BlobStore} blob
+ * @property {NonNullable<App.Platform['env']>} [platform] Bindings, on Cloudflare.
+ * @property {Record<string, string | undefined>} env
+ */
+
+/**
+ * @callback VectorStoreFactory
+ * @param {VectorStoreContext} context
+ * @returns {VectorStore}
+ */
+
+/** @type {Map<string, VectorStoreFactory>} */
+const backends = new Map();
+
+/**
+ * Makes a backend selectable through the `VECTOR_STORE` environment variable.
+ * @param {string} name
+ * @param {VectorStoreFactory} factory
+ */
+export function registerVectorStore(name, factory) {
+	backends.set(name, factory);
+}
+
+/**
+ * Memory stores per blob store, so indexes loaded by one request are reused
+ * by the next.
+ * @type {WeakMap<import('../storage/index.js').BlobStore, VectorStore>}
+ */
+const memoryStores = new WeakMap();
+
+registerVectorStore('memory', ({ blob }) => {
+	let store = memoryStores.get(blob);
+	if (!store) {
+		store = createMemoryVectorStore(blob);
+		memoryStores.set(blob, store);
+	}
+	return store;
+});
+
+registerVectorStore('vectorize', ({ platform }) => {
+	if (!platform?.VECTORIZE) {
+		throw new Error('VECTOR_STORE "vectorize" needs the Cloudflare binding "VECTORIZE"');
+	}
+	return createVectorizeStore(platform.VECTORIZE);
+});
+
+/** @type {Map<string, VectorStore>} */
+const pgvectorStores = new Map();
+
+// postgres.js needs Node built-ins that the Cloudflare build can't bundle, so
+// Workers use Vectorize instead.
+if (!import.meta.env.WORKER) {
+	registerVectorStore('pgvector', ({ env }) => {
+		const url = env.DATABASE_URL;
+		if (!url) throw new Error('DATABASE_URL must be set when VECTOR_STORE is "pgvector"');
+
+		let store = pgvectorStores.get(url);
+		if (!store) {
+			const client = import('postgres').then(({ default: postgres }) => postgres(url));
+			store = createPgvectorStore({
+				query: async (text, params = []) =>
+					(await client).unsafe(text, /** @type {any[]} */ (params))
+			});
+			pgvectorStores.set(url, store);
+		}
+		return store;
+	});
+}
+
+/**
+ * Returns the vector store named by `VECTOR_STORE` (default `memory`).
+ * @param {import('../storage/index.js').BlobStore} blob
+ * @param {VectorStoreContext['platform']} [platform]
+ * @returns {VectorStore}
+ */
+export function createVectorStore(blob, platform) {
+	const name = env.VECTOR_STORE || 'memory';
+	const factory = backends.get(name);
+	if (!factory) {
+		throw new Error(
+			`Unknown VECTOR_STORE "${name}", expected one of: ${[...backends.keys()].join(', ')}`
+		);
+	}
+	return factory({ blob, platform, env });
+}
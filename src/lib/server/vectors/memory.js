@@ -0,0 +1,138 @@
+import { loadWasm } from '../wasm.js';
+
+/** @typedef {import('$wasm').VectorIndex} VectorIndex */
+
+/** @param {string} namespace */
+const key = (namespace) => `vector-index/${encodeURIComponent(namespace)}`;
+
+/** How often a change is re-applied after losing a race to save the index. */
+const SAVE_ATTEMPTS = 5;
+
+/**
+ * A namespace's index as loaded, and the version of the blob it came from.
+ * @typedef {object} Loaded
+ * @property {VectorIndex | null} index
+ * @property {string | null} version
+ */
+
+/**
+ * HNSW indexes from the WebAssembly module, one per namespace, held in
+ * memory. With a blob store each index is saved to it after every change and
+ * read from it on first use, so indexes survive restarts; without one they
+ * last as long as the store.
+ *
+ * Several isolates or processes can hold the same index. Saves are
+ * conditional on the blob not having changed since it was read, so a change
+ * that loses the race is applied again to the index as the winner saved it,
+ * rather than overwriting it.
+ * @param {import('../storage/index.js').BlobStore} [blob]
+ * @returns {import('./index.js').VectorStore}
+ */
+export function createMemoryVectorStore(blob) {
+	/**
+	 * Indexes loaded by this store, so that each is read from storage once.
+	 * @type {Map<string, Promise<Loaded>>}
+	 */
+	const loaded = new Map();
+
+	/**
+	 * Changes being saved, by namespace, so that this store saves one at a
+	 * time and doesn't race itself.
+	 * @type {Map<string, Promise<void>>}
+	 */
+	const saving = new Map();
+
+	/** @param {string} namespace */
+	function load(namespace) {
+		let state = loaded.get(namespace);
+		if (!state) {
+			state = Promise.all([loadWasm(), blob?.getVersioned(key(namespace))]).then(
+				([{ VectorIndex }, stored]) => ({
+					index: stored ? VectorIndex.fromBytes(stored.value) : null,
+					version: stored?.version ?? null
+				})
+			);
+			// Let a failed read be retried by the next request.
+			state.catch(() => loaded.delete(namespace));
+			loaded.set(namespace, state);
+		}
+		return state;
+	}
+
+	/**
+	 * Applies `change` to a namespace's index and saves it. When the blob has
+	 * changed since it was read, or `change` found nothing to change in the
+	 * index as loaded earlier, the index is read again and `change` applied to
+	 * that, so `change` must be safe to repeat.
+	 * @param {string} namespace
+	 * @param {(state: Loaded) => Promise<boolean>} change Returns whether it
+	 *   changed anything.
+	 */
+	function update(namespace, change) {
+		const previous = saving.get(namespace) ?? Promise.resolve();
+		const next = previous
+			.catch(() => {})
+			.then(async () => {
+				for (let attempt = 1; ; attempt++) {
+					const cached = loaded.has(namespace);
+					const state = await load(namespace);
+					if (!(await change(state)) || !state.index) {
+						// Nothing to change here, but perhaps in what was saved since.
+						if (!cached || !blob) return;
+						loaded.delete(namespace);
+						continue;
+					}
+					if (!blob) return;
+
+					const version = await blob.put(key(namespace), state.index.toBytes(), {
+						ifVersion: state.version
+					});
+					if (version !== null) {
+						state.version = version;
+						return;
+					}
+					// Someone else saved first: start over from what they saved.
+					loaded.delete(namespace);
+					if (attempt === SAVE_ATTEMPTS) {
+						throw new Error(`The vector index "${namespace}" kept changing while saving it`);
+					}
+				}
+			});
+		saving.set(namespace, next);
+		return next;
+	}
+
+	return {
+		async has(namespace) {
+			return (await load(namespace)).index !== null;
+		},
+		async upsert(namespace, entries) {
+			if (entries.length === 0) return;
+
+			await update(namespace, async (state) => {
+				if (!state.index) {
+					const { VectorIndex } = await loadWasm();
+					state.index = new VectorIndex(entries[0].vector.length, 'cosine');
+				}
+				for (const { id, vector, metadata } of entries) {
+					state.index.insert(id, Float32Array.from(vector), JSON.stringify(metadata));
+				}
+				return true;
+			});
+		},
+		async delete(namespace, ids) {
+			await update(namespace, async ({ index }) => {
+				if (!index) return false;
+				return ids.filter((id) => index.delete(id)).length > 0;
+			});
+		},
+		async query(namespace, vector, k, filter) {
+			const { index } = await load(namespace);
+			if (!index) return [];
+
+			return JSON.parse(
+				index.search(Float32Array.from(vector), k, filter ? JSON.stringify(filter) : undefined)
+			);
+		}
+	};
+}
@@ -0,0 +1,64 @@
+import { describe, expect, test, vi } from 'vitest';
+import { createLocalStorage } from '../storage/local.js';
+import { createMemoryVectorStore } from './memory.js';
+
+/**
+ * @param {string} id
+ * @param {number[]} vector
+ */
+const entry = (id, vector) => ({ id, vector, metadata: { documentId: id } });
+
+/**
+ * Ids stored in a namespace, as a store reading it afresh sees them.
+ * @param {import('../storage/index.js').BlobStore} blob
+ */
+async function storedIds(blob) {
+	const matches = await createMemoryVectorStore(blob).query('ns', [1, 1, 1], 10);
+	return matches.map(({ id }) => id).sort();
+}
+
+describe('createMemoryVectorStore', () => {
+	test('keeps the changes of every instance sharing a blob store', async () => {
+		const { blob } = createLocalStorage(':memory:');
+		const first = createMemoryVectorStore(blob);
+		const second = createMemoryVectorStore(blob);
+		// Both load the (missing) index before either saves.
+		expect(await first.has('ns')).toBe(false);
+		expect(await second.has('ns')).toBe(false);
+
+		await first.upsert('ns', [entry('a', [1, 0, 0])]);
+		await second.upsert('ns', [entry('b', [0, 1, 0])]);
+		expect(await storedIds(blob)).toEqual(['a', 'b']);
+
+		await first.delete('ns', ['b']);
+		await second.upsert('ns', [entry('c', [0, 0, 1])]);
+		expect(await storedIds(blob)).toEqual(['a', 'c']);
+	});
+
+	test('saves changes made at the same time one after the other', async () => {
+		const { blob } = createLocalStorage(':memory:');
+		const put = vi.spyOn(blob, 'put');
+		const store = createMemoryVectorStore(blob);
+
+		await Promise.all([
+			store.upsert('ns', [entry('a', [1, 0, 0])]),
+			store.upsert('ns', [entry('b', [0, 1, 0])]),
+			store.delete('ns', ['missing'])
+		]);
+
+		expect(await storedIds(blob)).toEqual(['a', 'b']);
+		// Neither raced the other, and deleting nothing saved nothing.
+		expect(put.mock.results).toHaveLength(2);
+		for (const { value } of put.mock.results) expect(await value).not.toBeNull();
+	});
+
+	test('gives up when the index keeps changing', async () => {
+		const { blob } = createLocalStorage(':memory:');
+		vi.spyOn(blob, 'put').mockResolvedValue(null);
+
+		await expect(
+			createMemoryVectorStore(blob).upsert('ns', [entry('a', [1, 0, 0])])
+		).rejects.toThrow('kept changing');
+		expect(blob.put).toHaveBeenCalledTimes(5);
+	});
+});
@@ -0,0 +1,144 @@
+/** Rows per INSERT statement, keeping well under Postgres's parameter limit. */
+const BATCH_SIZE = 100;
+
+/**
+ * The one thing the store needs from a Postgres driver: running a query with
+ * `$n` parameters and getting its rows back.
+ * @typedef {object} SqlClient
+ * @property {(text: string, params?: unknown[]) => Promise<Record<string, any>[]>} query
+ */
+
+/**
+ * 32-bit FNV-1a hash of a string, as 8 hex digits.
+ * @param {string} text
+ */
+function hash(text) {
+	let h = 0x811c9dc5;
+	for (const char of text) h = Math.imul(h ^ (char.codePointAt(0) ?? 0), 0x01000193);
+	return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Table holding a namespace's vectors. Namespaces get a table each because
+ * pgvector can only index columns of a fixed dimension. The hash keeps
+ * namespaces that differ only in punctuation or case apart.
+ * @param {string} namespace
+ */
+function tableName(namespace) {
+	const slug = namespace
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '_')
+		.slice(0, 40);
+	return `vectors_${slug}_${hash(namespace)}`;
+}
+
+/** @param {number[]} vector */
+const toVector = (vector) => `[${vector.join(',')}]`;
+
+/**
+ * Postgres with the pgvector extension. Each namespace is stored in its own
+ * table with an HNSW index for cosine distance, created on its first upsert.
+ * Filters are applied to the index's candidates, so a very selective filter
+ * can return fewer than `k` matches.
+ * @param {SqlClient} sql
+ * @returns {import('./index.js').VectorStore}
+ */
+export function createPgvectorStore(sql) {
+	/** @type {Map<string, Promise<void>>} */
+	const tables = new Map();
+
+	/**
+	 * @param {string} namespace
+	 * @param {number} dimensions
+	 */
+	function ensureTable(namespace, dimensions) {
+		let ready = tables.get(namespace);
+		if (!ready) {
+			const table = tableName(namespace);
+			ready = (async () => {
+				await sql.query('CREATE EXTENSION IF NOT EXISTS vector');
+				await sql.query(
+					`CREATE TABLE IF NOT EXISTS ${table} (
+						id TEXT PRIMARY KEY,
+						embedding vector(${dimensions}) NOT NULL,
+						metadata JSONB NOT NULL
+					)`
+				);
+				await sql.query(
+					`CREATE INDEX IF NOT EXISTS ${table}_hnsw ON ${table} USING hnsw (embedding vector_cosine_ops)`
+				);
+			})();
+			// Retry on the next call if creating the table failed.
+			ready.catch(() => tables.delete(namespace));
+			tables.set(namespace, ready);
+		}
+		return ready;
+	}
+
+	/** @param {string} namespace */
+	async function exists(namespace) {
+		if (tables.has(namespace)) return true;
+		const [row] = await sql.query('SELECT to_regclass($1) IS NOT NULL AS exists', [
+			tableName(namespace)
+		]);
+		return Boolean(row?.exists);
+	}
+
+	return {
+		async has(namespace) {
+			if (!(await exists(namespace))) return false;
+			const [row] = await sql.query(
+				`SELECT EXISTS (SELECT 1 FROM ${tableName(namespace)}) AS exists`
+			);
+			return Boolean(row?.exists);
+		},
+		async upsert(namespace, entries) {
+			if (entries.length === 0) return;
+			await ensureTable(namespace, entries[0].vector.length);
+
+			const table = tableName(namespace);
+			for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+				const batch = entries.slice(i, i + BATCH_SIZE);
+				const rows = batch.map(
+					(_, j) => `($${3 * j + 1}, $${3 * j + 2}::vector, $${3 * j + 3}::jsonb)`
+				);
+				await sql.query(
+					`INSERT INTO ${table} (id, embedding, metadata) VALUES ${rows.join(', ')}
+					ON CONFLICT (id) DO UPDATE SET embedding = EXCLUDED.embedding, metadata = EXCLUDED.metadata`,
+					batch.flatMap(({ id, vector, metadata }) => [
+						id,
+						toVector(vector),
+						JSON.stringify(metadata)
+					])
+				);
+			}
+		},
+		async delete(namespace, ids) {
+			if (ids.length === 0 || !(await exists(namespace))) return;
+			await sql.query(`DELETE FROM ${tableName(namespace)} WHERE id = ANY($1)`, [ids]);
+		},
+		async query(namespace, vector, k, filter) {
+			if (!(await exists(namespace))) return [];
+
+			/** @type {unknown[]} */
+			const params = [toVector(vector), k];
+			const conditions = Object.entries(filter ?? {}).map(([field, value]) => {
+				const alternatives = (Array.isArray(value) ? value : [value]).map((v) => {
+					params.push(JSON.stringify({ [field]: v }));
+					return `metadata @> $${params.length}::jsonb`;
+				});
+				return alternatives.length > 0 ? `(${alternatives.join(' OR ')})` : 'FALSE';
+			});
+
+			const rows = await sql.query(
+				`SELECT id, 1 - (embedding <=> $1::vector) AS score, metadata
+				FROM ${tableName(namespace)}
+				${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+				ORDER BY embedding <=> $1::vector
+				LIMIT $2`,
+				params
+			);
+			return rows.map(({ id, score, metadata }) => ({ id, score: Number(score), metadata }));
+		}
+	};
+}
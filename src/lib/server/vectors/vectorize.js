@@ -0,0 +1,92 @@
+/** Most vectors the binding accepts per upsert or delete. */
+const MAX_BATCH = 1000;
+
+/** Most matches Vectorize returns when asked for their metadata. */
+const MAX_TOP_K = 20;
+
+/**
+ * @template T
+ * @param {T[]} items
+ */
+function batches(items) {
+	/** @type {T[][]} */
+	const result = [];
+	for (let i = 0; i < items.length; i += MAX_BATCH) result.push(items.slice(i, i + MAX_BATCH));
+	return result;
+}
+
+/**
+ * Vectorize metadata can't hold null, so such fields are left out.
+ * @param {import('./index.js').VectorEntry['metadata']} metadata
+ * @returns {Record<string, string | number | boolean>}
+ */
+function withoutNulls(metadata) {
+	/** @type {Record<string, string | number | boolean>} */
+	const result = {};
+	for (const [field, value] of Object.entries(metadata)) {
+		if (value !== null) result[field] = value;
+	}
+	return result;
+}
+
+/**
+ * Translates a filter into Vectorize's metadata filter syntax.
+ * @param {import('./index.js').VectorFilter} filter
+ * @returns {import('@cloudflare/workers-types/index').VectorizeVectorMetadataFilter}
+ */
+function toVectorizeFilter(filter) {
+	return Object.fromEntries(
+		Object.entries(filter).map(([field, value]) => [
+			field,
+			Array.isArray(value) ? { $in: value.filter((v) => v !== null) } : value
+		])
+	);
+}
+
+/**
+ * Cloudflare Vectorize, through a Workers binding. Namespaces map to
+ * Vectorize namespaces, but ids are unique across the whole index and its
+ * dimensions are fixed when it is created, so in practice an index holds one
+ * embedding model. Filtering requires a metadata index on each filtered
+ * field, and writes take a few seconds to become visible to queries.
+ * @param {import('@cloudflare/workers-types/index').Vectorize} index
+ * @returns {import('./index.js').VectorStore}
+ */
+export function createVectorizeStore(index) {
+	return {
+		async has(namespace) {
+			// There is no way to list namespaces; any query returns a match if there are vectors.
+			const { dimensions } = await index.describe();
+			const { matches } = await index.query(new Array(dimensions).fill(1), { namespace, topK: 1 });
+			return matches.length > 0;
+		},
+		async upsert(namespace, entries) {
+			for (const batch of batches(entries)) {
+				await index.upsert(
+					batch.map(({ id, vector, metadata }) => ({
+						id,
+						values: vector,
+						namespace,
+						metadata: withoutNulls(metadata)
+					}))
+				);
+			}
+		},
+		async delete(namespace, ids) {
+			for (const batch of batches(ids)) await index.deleteByIds(batch);
+		},
+		async query(namespace, vector, k, filter) {
+			const { matches } = await index.query(vector, {
+				namespace,
+				topK: Math.min(k, MAX_TOP_K),
+				returnMetadata: 'all',
+				filter: filter ? toVectorizeFilter(filter) : undefined
+			});
+			return matches.map(({ id, score, metadata }) => ({
+				id,
+				score,
+				metadata: /** @type {import('./index.js').VectorEntry['metadata']} */ (metadata ?? {})
+			}));
+		}
+	};
+}
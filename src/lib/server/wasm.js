@@ -0,0 +1,19 @@
+/** @type {Promise<typeof import('$wasm')> | undefined} */
+let loaded;
+
+/**
+ * Imports and instantiates the WebAssembly module built from `wasm/`, once
+ * per process. It is imported here on first use rather than at the top of the
+ * modules that use it, so that `vite dev` only compiles the crate when a
+ * request needs it.
+ * @returns {Promise<typeof import('$wasm')>}
+ */
+export function loadWasm() {
+	if (!loaded) {
+		loaded = import('$wasm').then(async (wasm) => {
+			await wasm.default();
+			return wasm;
+		});
+	}
+	return loaded;
+}
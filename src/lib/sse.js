@@ -0,0 +1,39 @@
+/**
+ * @typedef {object} ServerSentEvent
+ * @property {string} event
+ * @property {any} data
+ */
+
+/**
+ * Parses a `text/event-stream` response body. `EventSource` only supports GET,
+ * so POST endpoints are read through `fetch` and this helper instead. Each
+ * event's `data` is expected to be JSON.
+ * @param {Response} response
+ * @returns {AsyncGenerator<ServerSentEvent>}
+ */
+export async function* readEvents(response) {
+	if (!response.body) return;
+
+	const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+	let buffer = '';
+
+	while (true) {
+		const { value, done } = await reader.read();
+		if (done) break;
+
+		buffer += value;
+		let boundary;
+		while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+			const block = buffer.slice(0, boundary);
+			buffer = buffer.slice(boundary + 2);
+
+			let event = 'message';
+			let data = '';
+			for (const line of block.split('\n')) {
+				if (line.startsWith('event:')) event = line.slice(6).trim();
+				else if (line.startsWith('data:')) data += line.slice(5).trim();
+			}
+			if (data) yield { event, data: JSON.parse(data) };
+		}
+	}
+}
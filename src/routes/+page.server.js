@@ -1,13 +1,45 @@
-import { OpenAI } from "langchain/llms/openai";
-
-
-// @ts-ignore
-export async function load() {
-  //create openai embeddings with api key 
-  const model = new OpenAI();
-  const res = await model.call(
-    "What would be a good company name a company that makes colorful socks?"
-  );
-  return res;
- 
-}
+import { fail } from '@sveltejs/kit';
+import { cachedCompletion, wantsCacheBypass } from '$lib/server/llm/cache.js';
+import { createModel } from '$lib/server/llm/index.js';
+import { parseCompletionParams } from '$lib/server/params.js';
+import { getStorage } from '$lib/server/storage/index.js';
+import { recordUsage, trackUsage } from '$lib/server/usage.js';
+
+/** @type {import('./$types').Actions} */
+export const actions = {
+	default: async ({ request, platform, route, locals }) => {
+		const data = await request.formData();
+		const { params, errors } = parseCompletionParams(Object.fromEntries(data));
+
+		const values = {
+			prompt: params.prompt,
+			temperature: data.get('temperature')?.toString() ?? '',
+			maxTokens: data.get('maxTokens')?.toString() ?? '',
+			cache: data.get('cache') === 'on'
+		};
+
+		if (errors) {
+			return fail(400, { ...values, errors });
+		}
+
+		const storage = getStorage(platform);
+		const options = { temperature: params.temperature, maxTokens: params.maxTokens };
+		const tracker = trackUsage(locals.requestId);
+		const { completion, cached, coalesced, similarity, embedding } = await cachedCompletion(
+			storage,
+			params.prompt,
+			options,
+			{ bypass: wantsCacheBypass(request), optIn: values.cache },
+			({ signal }) =>
+				createModel({ ...options, callbacks: [tracker.handler], signal }).call(params.prompt),
+			{ signal: request.signal }
+		);
+
+		Object.assign(locals.log, { cached, coalesced });
+		const usage = await tracker.total();
+		if (embedding) await recordUsage(storage.db, { route, locals }, embedding);
+		await recordUsage(storage.db, { route, locals }, usage);
+
+		return { ...values, completion, cached, coalesced, similarity, usage };
+	}
+};
@@ -0,0 +1,26 @@
+import { json } from '@sveltejs/kit';
+import { requireAdmin } from '$lib/server/auth.js';
+import { coalescingStats } from '$lib/server/llm/coalesce.js';
+import { intParam } from '$lib/server/params.js';
+import { getStorage } from '$lib/server/storage/index.js';
+
+/**
+ * Model calls made and saved by coalescing identical requests over the last
+ * `days` days (7 by default). Admins only.
+ * @type {import('./$types').RequestHandler}
+ */
+export async function GET({ url, locals, platform }) {
+	requireAdmin(locals);
+	/** @type {Record<string, string>} */
+	const errors = {};
+	const days = intParam(url.searchParams, 'days', 7, 1, 365, errors);
+	if (Object.keys(errors).length > 0) {
+		return json({ errors }, { status: 400 });
+	}
+
+	const stats = await coalescingStats(getStorage(platform).db, days);
+	const requests = stats.calls + stats.coalesced;
+	return json({
+		stats: { ...stats, savedRate: requests > 0 ? stats.coalesced / requests : null }
+	});
+}
@@ -0,0 +1,61 @@
+import { json } from '@sveltejs/kit';
+import { cachedCompletion, wantsCacheBypass } from '$lib/server/llm/cache.js';
+import { createModel } from '$lib/server/llm/index.js';
+import { parseCompletionParams } from '$lib/server/params.js';
+import { eventStream } from '$lib/server/sse.js';
+import { getStorage } from '$lib/server/storage/index.js';
+import { recordUsage, trackUsage } from '$lib/server/usage.js';
+
+/**
+ * Streams a completion as Server-Sent Events: one `token` event per token,
+ * then either `done` with the full text and token usage, or `error` with a
+ * message for the user, the failure's `reason` and an `id` to find it in the
+ * logs. A cached answer arrives as a single `token` event, and `done` says
+ * whether it was cached and, if it was cached for a similar prompt, how
+ * similar. A request that joins an identical one in progress gets the tokens
+ * streamed so far at once, then the rest as they arrive, and `coalesced` in
+ * `done`.
+ * When the client goes away, the model call is cancelled.
+ * @type {import('./$types').RequestHandler}
+ */
+export async function POST({ request, platform, route, locals }) {
+	const body = await request.json().catch(() => null);
+	const { params, errors } = parseCompletionParams(body ?? {});
+	if (errors) {
+		return json({ errors }, { status: 400 });
+	}
+
+	const options = { temperature: params.temperature, maxTokens: params.maxTokens };
+	const cache = { bypass: wantsCacheBypass(request), optIn: body.cache === true };
+	const storage = getStorage(platform);
+	const tracker = trackUsage(locals.requestId);
+
+	return eventStream({ request, locals }, async (send, signal) => {
+		const { completion, cached, coalesced, similarity, embedding } = await cachedCompletion(
+			storage,
+			params.prompt,
+			options,
+			cache,
+			(flight) =>
+				createModel({
+					...options,
+					streaming: true,
+					callbacks: [tracker.handler],
+					signal: flight.signal
+				}).call(params.prompt, undefined, [
+					{
+						handleLLMNewToken(token) {
+							flight.onToken(token);
+						}
+					}
+				]),
+			{ signal, onToken: (token) => send('token', { token }) }
+		);
+		if (cached) send('token', { token: completion });
+		Object.assign(locals.log, { cached, coalesced });
+		const usage = await tracker.total();
+		if (embedding) await recordUsage(storage.db, { route, locals }, embedding);
+		await recordUsage(storage.db, { route, locals }, usage);
+		send('done', { completion, cached, coalesced, similarity, usage });
+	});
+}
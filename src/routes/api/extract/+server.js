@@ -0,0 +1,58 @@
+import { json } from '@sveltejs/kit';
+import { DEFAULT_MAX_RETRIES, compileJsonSchema, extract } from '$lib/server/extract.js';
+import { getStorage } from '$lib/server/storage/index.js';
+import { recordUsage } from '$lib/server/usage.js';
+
+const MAX_PROMPT_LENGTH = 4000;
+const MAX_SCHEMA_LENGTH = 20000;
+const MAX_RETRIES = 5;
+
+/**
+ * Extracts JSON matching a JSON Schema from the model's answer to a prompt.
+ * Takes `{ prompt, schema, maxRetries?, temperature? }` and responds with
+ * `{ data, attempts, usage }`, 400 with `errors` for invalid requests, or 422
+ * with an `invalid_output` error listing every rejected answer.
+ * @type {import('./$types').RequestHandler}
+ */
+export async function POST({ request, platform, route, locals }) {
+	const body = await request.json().catch(() => null);
+	const input = body ?? {};
+	const prompt = String(input.prompt ?? '').trim();
+	const maxRetries = input.maxRetries ?? DEFAULT_MAX_RETRIES;
+	const temperature = input.temperature ?? 0;
+
+	/** @type {Record<string, string>} */
+	const errors = {};
+	if (!prompt) {
+		errors.prompt = 'Please enter a prompt.';
+	} else if (prompt.length > MAX_PROMPT_LENGTH) {
+		errors.prompt = `Prompts are limited to ${MAX_PROMPT_LENGTH} characters.`;
+	}
+	const compiled = compileJsonSchema(input.schema);
+	if (compiled.error) {
+		errors.schema = compiled.error;
+	} else if (JSON.stringify(input.schema).length > MAX_SCHEMA_LENGTH) {
+		errors.schema = `Schemas are limited to ${MAX_SCHEMA_LENGTH} characters of JSON.`;
+	}
+	if (!(Number.isInteger(maxRetries) && maxRetries >= 0 && maxRetries <= MAX_RETRIES)) {
+		errors.maxRetries = `Max retries must be a whole number between 0 and ${MAX_RETRIES}.`;
+	}
+	if (!(typeof temperature === 'number' && temperature >= 0 && temperature <= 2)) {
+		errors.temperature = 'Temperature must be a number between 0 and 2.';
+	}
+	if (Object.keys(errors).length > 0) {
+		return json({ errors }, { status: 400 });
+	}
+
+	const result = await extract(prompt, input.schema, {
+		maxRetries,
+		temperature,
+		signal: request.signal,
+		requestId: locals.requestId
+	});
+	await recordUsage(getStorage(platform).db, { route, locals }, result.usage);
+	if (result.error) {
+		return json({ error: result.error, usage: result.usage }, { status: 422 });
+	}
+	return json(result);
+}
@@ -0,0 +1,44 @@
+import { json } from '@sveltejs/kit';
+import { requireAdmin } from '$lib/server/auth.js';
+import { cacheStats, evictCacheEntries, listCacheEntries } from '$lib/server/llm/semantic-cache.js';
+import { intParam } from '$lib/server/params.js';
+import { getStorage } from '$lib/server/storage/index.js';
+
+/**
+ * Hit and miss statistics over the last `days` days (7 by default) and a
+ * page of cached entries, newest first (`limit`, default 20, and `offset`).
+ * Admins only.
+ * @type {import('./$types').RequestHandler}
+ */
+export async function GET({ url, locals, platform }) {
+	requireAdmin(locals);
+	/** @type {Record<string, string>} */
+	const errors = {};
+	const days = intParam(url.searchParams, 'days', 7, 1, 365, errors);
+	const limit = intParam(url.searchParams, 'limit', 20, 1, 100, errors);
+	const offset = intParam(url.searchParams, 'offset', 0, 0, Number.MAX_SAFE_INTEGER, errors);
+	if (Object.keys(errors).length > 0) {
+		return json({ errors }, { status: 400 });
+	}
+
+	const { db } = getStorage(platform);
+	const stats = await cacheStats(db, days);
+	const lookups = stats.hits + stats.misses;
+	return json({
+		stats: { ...stats, hitRate: lookups > 0 ? stats.hits / lookups : null },
+		entries: await listCacheEntries(db, { limit, offset })
+	});
+}
+
+/**
+ * Evicts every cached entry, or only the expired ones with `?expired`.
+ * Admins only.
+ * @type {import('./$types').RequestHandler}
+ */
+export async function DELETE({ url, locals, platform }) {
+	requireAdmin(locals);
+	const evicted = await evictCacheEntries(getStorage(platform), {
+		expired: url.searchParams.has('expired')
+	});
+	return json({ evicted });
+}
@@ -0,0 +1,15 @@
+import { error, json } from '@sveltejs/kit';
+import { requireAdmin } from '$lib/server/auth.js';
+import { evictCacheEntries } from '$lib/server/llm/semantic-cache.js';
+import { getStorage } from '$lib/server/storage/index.js';
+
+/**
+ * Evicts one cached entry. Admins only.
+ * @type {import('./$types').RequestHandler}
+ */
+export async function DELETE({ params, locals, platform }) {
+	requireAdmin(locals);
+	const evicted = await evictCacheEntries(getStorage(platform), { ids: [params.id] });
+	if (evicted === 0) throw error(404, 'No such cache entry');
+	return json({ evicted });
+}
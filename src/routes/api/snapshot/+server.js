@@ -0,0 +1,43 @@
+import { json } from '@sveltejs/kit';
+import { requireUser } from '$lib/server/auth.js';
+import { exportSnapshot, importSnapshot, parseSnapshot } from '$lib/server/documents/snapshot.js';
+import { getStorage } from '$lib/server/storage/index.js';
+
+/**
+ * Downloads the documents of the configured embedding model, with their
+ * chunks and vectors, as a gzipped JSON snapshot. Snapshots expose and
+ * replace the whole knowledge base, so both methods take an API token.
+ * @type {import('./$types').RequestHandler}
+ */
+export async function GET({ locals, platform }) {
+	requireUser(locals);
+	const { data, documents } = await exportSnapshot(getStorage(platform).db);
+	const date = new Date().toISOString().slice(0, 10);
+	return new Response(data, {
+		headers: {
+			'content-type': 'application/gzip',
+			'content-disposition': `attachment; filename="snapshot-${date}.json.gz"`,
+			'x-snapshot-documents': String(documents)
+		}
+	});
+}
+
+/**
+ * Loads a snapshot from the request body, replacing documents with the same
+ * ids or names. Responds 400 without loading anything if the snapshot's
+ * version, embedding model or dimensions don't match this server.
+ * @type {import('./$types').RequestHandler}
+ */
+export async function POST({ request, locals, platform }) {
+	requireUser(locals);
+	const { snapshot, error: invalid } = await parseSnapshot(await request.arrayBuffer());
+	if (!snapshot) {
+		return json({ error: invalid }, { status: 400 });
+	}
+
+	const result = await importSnapshot(getStorage(platform), snapshot);
+	if ('error' in result) {
+		return json(result, { status: 400 });
+	}
+	return json(result);
+}
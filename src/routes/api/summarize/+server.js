@@ -0,0 +1,46 @@
+import { json } from '@sveltejs/kit';
+import { getDocument } from '$lib/server/documents/index.js';
+import { eventStream } from '$lib/server/sse.js';
+import { getStorage } from '$lib/server/storage/index.js';
+import { parseSummaryParams, planSummary, summarize } from '$lib/server/summarize.js';
+import { recordUsage } from '$lib/server/usage.js';
+
+/**
+ * Summarises a stored document or a pasted text, streamed as Server-Sent
+ * Events: `plan` with the chosen strategy, the text's tokens and its number
+ * of pieces, then a `progress` event before every model call, then `done`
+ * with the summary and token usage, or `error` with a message, reason and id
+ * like those of `/api/complete`. When the client goes away, the remaining
+ * model calls are cancelled.
+ * @type {import('./$types').RequestHandler}
+ */
+export async function POST({ request, platform, route, locals }) {
+	const body = await request.json().catch(() => null);
+	const { params, errors } = parseSummaryParams(body ?? {});
+	if (errors) {
+		return json({ errors }, { status: 400 });
+	}
+
+	const { db } = getStorage(platform);
+	const source = params.document
+		? await getDocument(db, params.document)
+		: { type: /** @type {const} */ ('markdown'), content: params.text };
+	if (!source) {
+		return json({ errors: { document: 'This document no longer exists.' } }, { status: 400 });
+	}
+	const { plan, error } = await planSummary(source.content, source.type, params.strategy);
+	if (!plan) {
+		return json({ errors: { strategy: error } }, { status: 400 });
+	}
+
+	return eventStream({ request, locals }, async (send, signal) => {
+		send('plan', { strategy: plan.strategy, tokens: plan.tokens, pieces: plan.pieces.length });
+		const summary = await summarize(
+			plan,
+			{ ...params, signal, requestId: locals.requestId },
+			(progress) => send('progress', progress)
+		);
+		await recordUsage(db, { route, locals }, summary.usage);
+		send('done', summary);
+	});
+}
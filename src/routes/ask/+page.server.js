@@ -0,0 +1,87 @@
+import { fail } from '@sveltejs/kit';
+import { DEFAULT_TOP_K, askQuestion } from '$lib/server/ask.js';
+import { listDocuments } from '$lib/server/documents/index.js';
+import { DEFAULT_WEIGHTS } from '$lib/server/documents/search.js';
+import { getStorage } from '$lib/server/storage/index.js';
+import { recordUsage } from '$lib/server/usage.js';
+
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_TOP_K = 10;
+const MAX_WEIGHT = 10;
+
+/**
+ * @param {string} value
+ * @param {number} fallback
+ */
+const weight = (value, fallback) => (value === '' ? fallback : Number(value));
+
+/** @type {import('./$types').PageServerLoad} */
+export async function load({ platform }) {
+	const documents = await listDocuments(getStorage(platform).db);
+	return { documents: documents.map(({ id, name }) => ({ id, name })) };
+}
+
+/** @type {import('./$types').Actions} */
+export const actions = {
+	default: async ({ request, platform, route, locals }) => {
+		const data = await request.formData();
+		const question = String(data.get('question') ?? '').trim();
+		const k = String(data.get('k') ?? '').trim();
+		const document = String(data.get('document') ?? '');
+		const keywordWeight = String(data.get('keyword_weight') ?? '').trim();
+		const vectorWeight = String(data.get('vector_weight') ?? '').trim();
+		const explain = data.get('explain') === 'on';
+		const topK = k === '' ? DEFAULT_TOP_K : Number(k);
+		const weights = {
+			keyword: weight(keywordWeight, DEFAULT_WEIGHTS.keyword),
+			vector: weight(vectorWeight, DEFAULT_WEIGHTS.vector)
+		};
+
+		/** @type {Record<string, string>} */
+		const errors = {};
+		if (!question) {
+			errors.question = 'Please enter a question.';
+		} else if (question.length > MAX_QUESTION_LENGTH) {
+			errors.question = `Questions are limited to ${MAX_QUESTION_LENGTH} characters.`;
+		}
+		if (!(Number.isInteger(topK) && topK >= 1 && topK <= MAX_TOP_K)) {
+			errors.k = `Sources must be a whole number between 1 and ${MAX_TOP_K}.`;
+		}
+		if (!Object.values(weights).every((w) => Number.isFinite(w) && w >= 0 && w <= MAX_WEIGHT)) {
+			errors.weights = `Weights must be numbers between 0 and ${MAX_WEIGHT}.`;
+		} else if (weights.keyword === 0 && weights.vector === 0) {
+			errors.weights = 'At least one weight must be above 0.';
+		}
+		const fields = { question, k, document, keywordWeight, vectorWeight, explain };
+		if (Object.keys(errors).length > 0) {
+			return fail(400, { ...fields, errors });
+		}
+
+		const storage = getStorage(platform);
+		const { answer, sources, usage } = await askQuestion(storage, question, {
+			k: topK,
+			documentIds: document ? [document] : undefined,
+			weights,
+			signal: request.signal,
+			requestId: locals.requestId
+		});
+		if (usage.retrieval) await recordUsage(storage.db, { route, locals }, usage.retrieval);
+		if (usage.completion) await recordUsage(storage.db, { route, locals }, usage.completion);
+
+		return {
+			...fields,
+			answer,
+			sources: sources.map((source) => ({
+				number: source.number,
+				documentId: source.documentId,
+				documentName: source.documentName,
+				headings: source.headings,
+				start: source.start,
+				end: source.end,
+				text: source.text,
+				scores: explain ? { ...source.scores, fused: source.score } : undefined
+			})),
+			usage: usage.completion
+		};
+	}
+};
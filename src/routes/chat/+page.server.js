@@ -0,0 +1,41 @@
+import { fail, redirect } from '@sveltejs/kit';
+import {
+	conversationOwner,
+	createConversation,
+	isMemoryType,
+	listConversations
+} from '$lib/server/chat.js';
+import { getStorage } from '$lib/server/storage/index.js';
+
+/** @type {import('./$types').PageServerLoad} */
+export async function load(event) {
+	const { kv } = getStorage(event.platform);
+	const conversations = await listConversations(kv, conversationOwner(event));
+
+	return {
+		conversations: conversations.map(({ id, memory, messages, updatedAt }) => ({
+			id,
+			memory,
+			title: messages[0]?.content ?? 'New conversation',
+			updatedAt
+		}))
+	};
+}
+
+/** @type {import('./$types').Actions} */
+export const actions = {
+	default: async (event) => {
+		const data = await event.request.formData();
+		const memory = data.get('memory');
+		if (!isMemoryType(memory)) {
+			return fail(400, { error: 'Unknown memory type.' });
+		}
+
+		const conversation = await createConversation(
+			getStorage(event.platform).kv,
+			conversationOwner(event),
+			memory
+		);
+		throw redirect(303, `/chat/${conversation.id}`);
+	}
+};
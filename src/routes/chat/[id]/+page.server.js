@@ -0,0 +1,74 @@
+import { error, fail } from '@sveltejs/kit';
+import { conversationOwner, getConversation, regenerate, sendMessage } from '$lib/server/chat.js';
+import { getStorage } from '$lib/server/storage/index.js';
+import { recordUsage } from '$lib/server/usage.js';
+
+const MAX_MESSAGE_LENGTH = 4000;
+
+/**
+ * The conversation at `params.id`, if the request's owner owns it.
+ * @param {import('@sveltejs/kit').RequestEvent<{ id: string }>} event
+ * @param {import('$lib/server/storage/index.js').KeyValueStore} kv
+ */
+async function ownConversation(event, kv) {
+	const conversation = await getConversation(kv, conversationOwner(event), event.params.id);
+	if (!conversation) {
+		throw error(404, 'Conversation not found');
+	}
+	return conversation;
+}
+
+/** @type {import('./$types').PageServerLoad} */
+export async function load(event) {
+	const conversation = await ownConversation(event, getStorage(event.platform).kv);
+
+	return {
+		conversation: {
+			id: conversation.id,
+			memory: conversation.memory,
+			messages: conversation.messages
+		}
+	};
+}
+
+/** @type {import('./$types').Actions} */
+export const actions = {
+	send: async (event) => {
+		const { request, platform, route, locals } = event;
+		const { kv, db } = getStorage(platform);
+		const conversation = await ownConversation(event, kv);
+
+		const data = await request.formData();
+		const message = String(data.get('message') ?? '').trim();
+		if (!message) {
+			return fail(400, { message, error: 'Please enter a message.' });
+		}
+		if (message.length > MAX_MESSAGE_LENGTH) {
+			return fail(400, {
+				message,
+				error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters.`
+			});
+		}
+
+		const { usage } = await sendMessage(kv, conversation, message, {
+			signal: request.signal,
+			requestId: locals.requestId
+		});
+		await recordUsage(db, { route, locals }, usage);
+	},
+
+	regenerate: async (event) => {
+		const { request, platform, route, locals } = event;
+		const { kv, db } = getStorage(platform);
+		const conversation = await ownConversation(event, kv);
+
+		const result = await regenerate(kv, conversation, {
+			signal: request.signal,
+			requestId: locals.requestId
+		});
+		if (result === null) {
+			return fail(400, { message: '', error: 'There is no answer to regenerate yet.' });
+		}
+		await recordUsage(db, { route, locals }, result.usage);
+	}
+};
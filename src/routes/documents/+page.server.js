@@ -0,0 +1,102 @@
+import { fail } from '@sveltejs/kit';
+import { denial } from '$lib/server/auth.js';
+import {
+	deleteDocument,
+	documentType,
+	ingestDocument,
+	listDocuments,
+	parseSplitOptions
+} from '$lib/server/documents/index.js';
+import { getStorage } from '$lib/server/storage/index.js';
+import { recordUsage } from '$lib/server/usage.js';
+
+const MAX_FILE_SIZE = 1024 * 1024;
+
+/** @type {import('./$types').PageServerLoad} */
+export async function load({ platform }) {
+	return { documents: await listDocuments(getStorage(platform).db) };
+}
+
+/**
+ * Uploading spends the provider's money on embeddings and can replace any
+ * document, so it takes an API token; deleting takes an admin's.
+ * @type {import('./$types').Actions}
+ */
+export const actions = {
+	upload: async ({ request, platform, route, locals }) => {
+		const denied = denial(locals);
+		if (denied) {
+			return fail(denied.status, { error: denied.message });
+		}
+
+		const data = await request.formData();
+		const values = {
+			chunkSize: String(data.get('chunkSize') ?? ''),
+			chunkOverlap: String(data.get('chunkOverlap') ?? '')
+		};
+		const { options, errors } = parseSplitOptions(values);
+		if (errors) {
+			return fail(400, { ...values, errors });
+		}
+
+		const files = data
+			.getAll('files')
+			.filter(/** @returns {file is File} */ (file) => typeof file !== 'string' && file.size > 0);
+		if (files.length === 0) {
+			return fail(400, { ...values, errors: { files: 'Please choose at least one file.' } });
+		}
+		for (const file of files) {
+			if (!documentType(file.name, file.type)) {
+				return fail(400, {
+					...values,
+					errors: { files: `${file.name} is not a Markdown, text or HTML file.` }
+				});
+			}
+			if (file.size > MAX_FILE_SIZE) {
+				return fail(400, {
+					...values,
+					errors: { files: `${file.name} is larger than ${MAX_FILE_SIZE / 1024} KB.` }
+				});
+			}
+		}
+
+		const storage = getStorage(platform);
+		const uploaded = [];
+		const summary = {
+			documents: { added: 0, updated: 0, unchanged: 0 },
+			chunks: { added: 0, removed: 0, unchanged: 0 }
+		};
+		for (const file of files) {
+			const type = /** @type {import('$lib/server/documents/split.js').DocumentType} */ (
+				documentType(file.name, file.type)
+			);
+			const { document, changes, usage } = await ingestDocument(
+				storage,
+				{ name: file.name, type, content: await file.text() },
+				options
+			);
+			if (changes.added > 0) await recordUsage(storage.db, { route, locals }, usage);
+			uploaded.push({ name: document.name, chunks: document.chunks, changes, usage });
+
+			summary.documents[changes.status] += 1;
+			summary.chunks.added += changes.added;
+			summary.chunks.removed += changes.removed;
+			summary.chunks.unchanged += changes.unchanged;
+		}
+
+		return { ...values, uploaded, summary };
+	},
+
+	delete: async ({ request, platform, locals }) => {
+		const denied = denial(locals, { admin: true });
+		if (denied) {
+			return fail(denied.status, { error: denied.message });
+		}
+
+		const data = await request.formData();
+		const deleted = await deleteDocument(getStorage(platform), String(data.get('id') ?? ''));
+		if (!deleted) {
+			return fail(404, { error: 'That document no longer exists.' });
+		}
+	}
+};
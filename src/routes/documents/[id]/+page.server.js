@@ -0,0 +1,29 @@
+import { error } from '@sveltejs/kit';
+import { getDocument } from '$lib/server/documents/index.js';
+import { getStorage } from '$lib/server/storage/index.js';
+
+/** @type {import('./$types').PageServerLoad} */
+export async function load({ params, url, platform }) {
+	const document = await getDocument(getStorage(platform).db, params.id);
+	if (!document) {
+		throw error(404, 'Document not found');
+	}
+
+	// The passage to highlight, as character offsets into the document's text.
+	const start = Number(url.searchParams.get('start'));
+	const end = Number(url.searchParams.get('end'));
+	const valid =
+		url.searchParams.has('start') &&
+		Number.isInteger(start) &&
+		Number.isInteger(end) &&
+		start >= 0 &&
+		start < end &&
+		end <= document.content.length;
+
+	return {
+		document: { id: document.id, name: document.name, type: document.type },
+		before: valid ? document.content.slice(0, start) : document.content,
+		passage: valid ? document.content.slice(start, end) : '',
+		after: valid ? document.content.slice(end) : ''
+	};
+}
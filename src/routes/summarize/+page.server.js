@@ -0,0 +1,49 @@
+import { fail } from '@sveltejs/kit';
+import { getDocument, listDocuments } from '$lib/server/documents/index.js';
+import { getStorage } from '$lib/server/storage/index.js';
+import { parseSummaryParams, planSummary, summarize } from '$lib/server/summarize.js';
+import { recordUsage } from '$lib/server/usage.js';
+
+/** @type {import('./$types').PageServerLoad} */
+export async function load({ platform }) {
+	const documents = await listDocuments(getStorage(platform).db);
+	return { documents: documents.map(({ id, name }) => ({ id, name })) };
+}
+
+/** @type {import('./$types').Actions} */
+export const actions = {
+	default: async ({ request, platform, route, locals }) => {
+		const data = await request.formData();
+		const { params, errors } = parseSummaryParams(Object.fromEntries(data));
+		const fields = {
+			document: params.document,
+			text: params.text,
+			strategy: String(data.get('strategy') ?? ''),
+			outline: params.outline,
+			sections: params.sections
+		};
+		if (errors) {
+			return fail(400, { ...fields, errors });
+		}
+
+		const { db } = getStorage(platform);
+		const source = params.document
+			? await getDocument(db, params.document)
+			: { type: /** @type {const} */ ('markdown'), content: params.text };
+		if (!source) {
+			return fail(400, { ...fields, errors: { document: 'This document no longer exists.' } });
+		}
+		const { plan, error } = await planSummary(source.content, source.type, params.strategy);
+		if (!plan) {
+			return fail(400, { ...fields, errors: { strategy: error } });
+		}
+
+		const summary = await summarize(plan, {
+			...params,
+			signal: request.signal,
+			requestId: locals.requestId
+		});
+		await recordUsage(db, { route, locals }, summary.usage);
+		return { ...fields, summary };
+	}
+};
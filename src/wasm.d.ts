@@ -0,0 +1,30 @@
+// Types for the bindings wasm-pack generates in wasm/pkg (see wasm/src/lib.rs),
+// so the app type-checks before the crate has been built.
+declare module '$wasm' {
+	/** Instantiates the module; the bindings can be used once it resolves. */
+	export default function init(): Promise<void>;
+
+	export class Tokenizer {
+		constructor(bpe_ranks: string, special_tokens: string, pattern: string);
+		free(): void;
+		encode(text: string): Uint32Array;
+		count(text: string): number;
+		decode(tokens: Uint32Array): string;
+	}
+
+	export class VectorIndex {
+		constructor(dimensions: number, metric: 'cosine' | 'dot', m?: number, efConstruction?: number);
+		static fromBytes(bytes: Uint8Array): VectorIndex;
+		free(): void;
+		toBytes(): Uint8Array;
+		readonly dimensions: number;
+		readonly metric: 'cosine' | 'dot';
+		readonly size: number;
+		efSearch: number;
+		has(id: string): boolean;
+		insert(id: string, vector: Float32Array, metadata: string): void;
+		delete(id: string): boolean;
+		/** Returns a JSON array of `{ id, score, metadata }`. */
+		search(query: Float32Array, k: number, filter?: string): string;
+	}
+}
@@ -1,33 +1,18 @@
 import { sveltekit } from '@sveltejs/kit/vite';
 import { defineConfig } from 'vite';
-import wasm from "vite-plugin-wasm";
-import topLevelAwait from "vite-plugin-top-level-await";
+import { secretScan } from './plugins/secret-scan.js';
+import { wasmPack } from './plugins/wasm-pack.js';
 
-export default defineConfig({
-	plugins: [
-		sveltekit(),
-		wasm(),
-		topLevelAwait()
-	],
-	build: {
-		rollupOptions: {
-			plugins: [
-				wasm(),topLevelAwait()
-			],
-		},
-	},
-	// build: {
-	// 	rollupOptions: {
-	// // Add a new loader to handle WebAssembly files
-	// module: {
-	// 		rules: [
-	// {
-	// 			test: /\.wasm$/,
-	// 			type: 'webassembly/experimental',
-	// 			loader: '@wasm-tool/webpack-loader',
-	// },
-	// 		],
-	// },
-	// 	},
-	// },
-});
+// Must match the adapter picked in svelte.config.js
+const runtime = process.env.VERCEL ? 'node' : 'worker';
+
+export default defineConfig(({ command }) => ({
+	// Lets server code leave out what can't be bundled for Workers. `vite dev` runs on Node, and
+	// Vitest would turn the value into the string "false", so it's left undefined outside builds.
+	define:
+		command === 'build' ? { 'import.meta.env.WORKER': JSON.stringify(runtime === 'worker') } : {},
+	plugins: [wasmPack({ runtime }), sveltekit(), secretScan()],
+	test: {
+		include: ['src/**/*.test.js']
+	}
+}));
@@ -0,0 +1,836 @@
+//! Hierarchical navigable small world graph (Malkov & Yashunin, 2016) for
+//! approximate nearest neighbour search. Deleted vectors are tombstoned and
+//! keep routing searches until the graph is rebuilt, and each vector carries
+//! a JSON object of metadata that searches can filter on.
+
+use std::cmp::{Ordering, Reverse};
+use std::collections::BinaryHeap;
+
+use rustc_hash::{FxHashMap, FxHashSet};
+use serde_json::{Map, Value};
+
+pub type Metadata = Map<String, Value>;
+
+const MAGIC: &[u8; 4] = b"HNSW";
+const FORMAT_VERSION: u32 = 1;
+const NO_ENTRY: u32 = u32::MAX;
+const MAX_LEVEL: usize = 16;
+/// Graphs smaller than this are never rebuilt to drop tombstones.
+const MIN_REBUILD_SIZE: usize = 64;
+
+#[derive(Clone, Copy, PartialEq, Eq, Debug)]
+pub enum Metric {
+    /// Vectors are normalised on the way in, so cosine similarity is their dot product.
+    Cosine,
+    Dot,
+}
+
+impl Metric {
+    pub fn parse(name: &str) -> Result<Self, String> {
+        match name {
+            "cosine" => Ok(Metric::Cosine),
+            "dot" => Ok(Metric::Dot),
+            _ => Err(format!(
+                "Unknown metric \"{name}\", expected \"cosine\" or \"dot\""
+            )),
+        }
+    }
+
+    pub fn name(self) -> &'static str {
+        match self {
+            Metric::Cosine => "cosine",
+            Metric::Dot => "dot",
+        }
+    }
+}
+
+struct Node {
+    id: String,
+    metadata: Metadata,
+    vector: Vec<f32>,
+    /// Neighbours on each layer the node is on, from layer 0 up.
+    links: Vec<Vec<u32>>,
+    deleted: bool,
+}
+
+pub struct SearchResult<'a> {
+    pub id: &'a str,
+    /// Cosine similarity or dot product; higher is closer.
+    pub score: f32,
+    pub metadata: &'a Metadata,
+}
+
+#[derive(Clone, Copy, Debug)]
+struct Candidate {
+    distance: f32,
+    node: u32,
+}
+
+impl PartialEq for Candidate {
+    fn eq(&self, other: &Self) -> bool {
+        self.cmp(other) == Ordering::Equal
+    }
+}
+
+impl Eq for Candidate {}
+
+impl PartialOrd for Candidate {
+    fn partial_cmp(&self, other: &Self) -> Option<Ordering> {
+        Some(self.cmp(other))
+    }
+}
+
+impl Ord for Candidate {
+    fn cmp(&self, other: &Self) -> Ordering {
+        self.distance
+            .total_cmp(&other.distance)
+            .then(self.node.cmp(&other.node))
+    }
+}
+
+pub struct Hnsw {
+    dimensions: usize,
+    metric: Metric,
+    /// Links per node on the upper layers; layer 0 allows twice as many.
+    m: usize,
+    ef_construction: usize,
+    pub ef_search: usize,
+    nodes: Vec<Node>,
+    /// Live nodes by id.
+    ids: FxHashMap<String, u32>,
+    entry: Option<u32>,
+    rng: u64,
+}
+
+impl Hnsw {
+    pub fn new(
+        dimensions: usize,
+        metric: Metric,
+        m: usize,
+        ef_construction: usize,
+    ) -> Result<Self, String> {
+        if dimensions == 0 {
+            return Err("Dimensions must be at least 1".into());
+        }
+        if m < 2 {
+            return Err("M must be at least 2".into());
+        }
+        Ok(Hnsw {
+            dimensions,
+            metric,
+            m,
+            ef_construction: ef_construction.max(m),
+            ef_search: 64,
+            nodes: Vec::new(),
+            ids: FxHashMap::default(),
+            entry: None,
+            rng: 0x2545_f491_4f6c_dd1d,
+        })
+    }
+
+    pub fn dimensions(&self) -> usize {
+        self.dimensions
+    }
+
+    pub fn metric(&self) -> Metric {
+        self.metric
+    }
+
+    /// Number of live vectors.
+    pub fn len(&self) -> usize {
+        self.ids.len()
+    }
+
+    pub fn contains(&self, id: &str) -> bool {
+        self.ids.contains_key(id)
+    }
+
+    /// Adds a vector, replacing any vector with the same id.
+    pub fn insert(&mut self, id: &str, vector: &[f32], metadata: Metadata) -> Result<(), String> {
+        let vector = self.prepare(vector)?;
+        let replaced = self.ids.remove(id);
+        if let Some(old) = replaced {
+            self.nodes[old as usize].deleted = true;
+        }
+        self.insert_prepared(id.to_string(), vector, metadata);
+        // Replacing leaves a tombstone just like deleting does.
+        if replaced.is_some() {
+            self.rebuild_if_sparse();
+        }
+        Ok(())
+    }
+
+    /// Removes a vector. Returns false if there was none with this id.
+    pub fn delete(&mut self, id: &str) -> bool {
+        let Some(node) = self.ids.remove(id) else {
+            return false;
+        };
+        self.nodes[node as usize].deleted = true;
+        self.rebuild_if_sparse();
+        true
+    }
+
+    /// Rebuilds the graph once tombstones outnumber live nodes, or nothing
+    /// is left alive.
+    fn rebuild_if_sparse(&mut self) {
+        let tombstones = self.nodes.len() - self.ids.len();
+        if self.ids.is_empty()
+            || (self.nodes.len() >= MIN_REBUILD_SIZE && tombstones > self.ids.len())
+        {
+            self.rebuild();
+        }
+    }
+
+    /// Returns the `k` closest live vectors to `query` whose metadata matches
+    /// `filter`, closest first. A filter maps metadata keys to the value they
+    /// must equal, or to an array of values one of which they must equal.
+    pub fn search(
+        &self,
+        query: &[f32],
+        k: usize,
+        filter: Option<&Metadata>,
+    ) -> Result<Vec<SearchResult<'_>>, String> {
+        let query = self.prepare(query)?;
+        let Some(entry) = self.entry else {
+            return Ok(Vec::new());
+        };
+        if k == 0 {
+            return Ok(Vec::new());
+        }
+
+        let accept = |node: u32| {
+            let node = &self.nodes[node as usize];
+            !node.deleted && filter.map_or(true, |filter| matches(&node.metadata, filter))
+        };
+
+        // Selective filters leave too few matches for the graph to reach, so
+        // the matches are compared exhaustively instead.
+        let ef = self.ef_search.max(k);
+        if filter.is_some() {
+            let matching: Vec<u32> = (0..self.nodes.len() as u32)
+                .filter(|&node| accept(node))
+                .collect();
+            if matching.len() <= ef * 4 {
+                let mut candidates: Vec<Candidate> = matching
+                    .into_iter()
+                    .map(|node| Candidate {
+                        distance: self.distance_to(&query, node),
+                        node,
+                    })
+                    .collect();
+                candidates.sort();
+                candidates.truncate(k);
+                return Ok(self.results(candidates));
+            }
+        }
+
+        let mut nearest = vec![Candidate {
+            distance: self.distance_to(&query, entry),
+            node: entry,
+        }];
+        for layer in (1..self.nodes[entry as usize].links.len()).rev() {
+            nearest = self.search_layer(&query, &nearest, 1, layer);
+        }
+
+        // Widen the search until enough of what it finds is acceptable.
+        let mut ef = ef;
+        loop {
+            let mut found: Vec<Candidate> = self
+                .search_layer(&query, &nearest, ef, 0)
+                .into_iter()
+                .filter(|candidate| accept(candidate.node))
+                .collect();
+            if found.len() >= k || ef >= self.nodes.len() {
+                found.truncate(k);
+                return Ok(self.results(found));
+            }
+            ef *= 2;
+        }
+    }
+
+    pub fn to_bytes(&self) -> Vec<u8> {
+        let mut out = Vec::new();
+        out.extend_from_slice(MAGIC);
+        write_u32(&mut out, FORMAT_VERSION);
+        write_u32(&mut out, self.dimensions as u32);
+        out.push(match self.metric {
+            Metric::Cosine => 0,
+            Metric::Dot => 1,
+        });
+        write_u32(&mut out, self.m as u32);
+        write_u32(&mut out, self.ef_construction as u32);
+        write_u32(&mut out, self.ef_search as u32);
+        out.extend_from_slice(&self.rng.to_le_bytes());
+        write_u32(&mut out, self.entry.unwrap_or(NO_ENTRY));
+        write_u32(&mut out, self.nodes.len() as u32);
+
+        for node in &self.nodes {
+            out.push(node.deleted as u8);
+            write_bytes(&mut out, node.id.as_bytes());
+            write_bytes(
+                &mut out,
+                Value::Object(node.metadata.clone()).to_string().as_bytes(),
+            );
+            for value in &node.vector {
+                out.extend_from_slice(&value.to_le_bytes());
+            }
+            write_u32(&mut out, node.links.len() as u32);
+            for links in &node.links {
+                write_u32(&mut out, links.len() as u32);
+                for &link in links {
+                    write_u32(&mut out, link);
+                }
+            }
+        }
+        out
+    }
+
+    pub fn from_bytes(bytes: &[u8]) -> Result<Self, String> {
+        let mut reader = Reader { bytes, position: 0 };
+        if reader.take(4)? != MAGIC {
+            return Err("Not a serialised vector index".into());
+        }
+        let version = reader.u32()?;
+        if version != FORMAT_VERSION {
+            return Err(format!("Unsupported vector index format version {version}"));
+        }
+        let dimensions = reader.u32()? as usize;
+        let metric = match reader.u8()? {
+            0 => Metric::Cosine,
+            1 => Metric::Dot,
+            other => return Err(format!("Unknown metric {other}")),
+        };
+        let mut index = Hnsw::new(
+            dimensions,
+            metric,
+            reader.u32()? as usize,
+            reader.u32()? as usize,
+        )?;
+        index.ef_search = reader.u32()? as usize;
+        index.rng = u64::from_le_bytes(reader.take(8)?.try_into().unwrap());
+        let entry = reader.u32()?;
+        let count = reader.u32()? as usize;
+
+        for position in 0..count {
+            let deleted = reader.u8()? != 0;
+            let id = reader.string()?;
+            let metadata = match serde_json::from_str(&reader.string()?) {
+                Ok(Value::Object(metadata)) => metadata,
+                _ => return Err(format!("Invalid metadata for {id}")),
+            };
+            let vector = (0..dimensions)
+                .map(|_| {
+                    reader
+                        .take(4)
+                        .map(|b| f32::from_le_bytes(b.try_into().unwrap()))
+                })
+                .collect::<Result<Vec<_>, _>>()?;
+            let layers = reader.u32()? as usize;
+            if layers == 0 || layers > MAX_LEVEL + 1 {
+                return Err(format!("Invalid layer count for {id}"));
+            }
+            let mut links = Vec::with_capacity(layers);
+            for _ in 0..layers {
+                let len = reader.u32()? as usize;
+                let layer = (0..len)
+                    .map(|_| reader.u32())
+                    .collect::<Result<Vec<_>, _>>()?;
+                if layer.iter().any(|&link| link as usize >= count) {
+                    return Err(format!("Invalid link for {id}"));
+                }
+                links.push(layer);
+            }
+            if !deleted {
+                index.ids.insert(id.clone(), position as u32);
+            }
+            index.nodes.push(Node {
+                id,
+                metadata,
+                vector,
+                links,
+                deleted,
+            });
+        }
+        if reader.position != bytes.len() {
+            return Err("Unexpected data after the vector index".into());
+        }
+        // Links must only point at nodes that are on the linking layer.
+        for node in &index.nodes {
+            for (layer, links) in node.links.iter().enumerate() {
+                if links
+                    .iter()
+                    .any(|&link| index.nodes[link as usize].links.len() <= layer)
+                {
+                    return Err(format!("Invalid link for {}", node.id));
+                }
+            }
+        }
+
+        index.entry = match entry {
+            NO_ENTRY if count == 0 => None,
+            entry if (entry as usize) < count => Some(entry),
+            _ => return Err("Invalid entry point".into()),
+        };
+        Ok(index)
+    }
+
+    fn prepare(&self, vector: &[f32]) -> Result<Vec<f32>, String> {
+        if vector.len() != self.dimensions {
+            return Err(format!(
+                "Expected a vector of {} dimensions, got {}",
+                self.dimensions,
+                vector.len()
+            ));
+        }
+        if vector.iter().any(|value| !value.is_finite()) {
+            return Err("Vectors must only contain finite numbers".into());
+        }
+        let mut vector = vector.to_vec();
+        if self.metric == Metric::Cosine {
+            let norm = vector.iter().map(|value| value * value).sum::<f32>().sqrt();
+            if norm > 0.0 {
+                vector.iter_mut().for_each(|value| *value /= norm);
+            }
+        }
+        Ok(vector)
+    }
+
+    fn distance(&self, a: &[f32], b: &[f32]) -> f32 {
+        let dot: f32 = a.iter().zip(b).map(|(a, b)| a * b).sum();
+        match self.metric {
+            Metric::Cosine => 1.0 - dot,
+            Metric::Dot => -dot,
+        }
+    }
+
+    fn distance_to(&self, query: &[f32], node: u32) -> f32 {
+        self.distance(query, &self.nodes[node as usize].vector)
+    }
+
+    fn max_links(&self, layer: usize) -> usize {
+        if layer == 0 {
+            self.m * 2
+        } else {
+            self.m
+        }
+    }
+
+    /// Draws a level with the exponentially decaying distribution from the
+    /// paper, using a xorshift generator so builds are reproducible.
+    fn random_level(&mut self) -> usize {
+        self.rng ^= self.rng << 13;
+        self.rng ^= self.rng >> 7;
+        self.rng ^= self.rng << 17;
+        let uniform = ((self.rng >> 11) as f64 + 1.0) / (1u64 << 53) as f64;
+        ((-uniform.ln() / (self.m as f64).ln()) as usize).min(MAX_LEVEL)
+    }
+
+    fn insert_prepared(&mut self, id: String, vector: Vec<f32>, metadata: Metadata) {
+        let level = self.random_level();
+        let node = self.nodes.len() as u32;
+        self.ids.insert(id.clone(), node);
+        self.nodes.push(Node {
+            id,
+            metadata,
+            vector,
+            links: vec![Vec::new(); level + 1],
+            deleted: false,
+        });
+
+        let Some(entry) = self.entry else {
+            self.entry = Some(node);
+            return;
+        };
+        let query = self.nodes[node as usize].vector.clone();
+        let top = self.nodes[entry as usize].links.len() - 1;
+
+        let mut nearest = vec![Candidate {
+            distance: self.distance_to(&query, entry),
+            node: entry,
+        }];
+        for layer in (level + 1..=top).rev() {
+            nearest = self.search_layer(&query, &nearest, 1, layer);
+        }
+        for layer in (0..=level.min(top)).rev() {
+            nearest = self.search_layer(&query, &nearest, self.ef_construction, layer);
+            let neighbours = self.select_neighbours(&nearest, self.m);
+            for &neighbour in &neighbours {
+                let links = &mut self.nodes[neighbour as usize].links[layer];
+                links.push(node);
+                if links.len() > self.max_links(layer) {
+                    self.prune(neighbour, layer);
+                }
+            }
+            self.nodes[node as usize].links[layer] = neighbours;
+        }
+
+        if level > top {
+            self.entry = Some(node);
+        }
+    }
+
+    /// Greedy best-first search of one layer, returning up to `ef` nodes
+    /// closest to `query`, closest first.
+    fn search_layer(
+        &self,
+        query: &[f32],
+        entry_points: &[Candidate],
+        ef: usize,
+        layer: usize,
+    ) -> Vec<Candidate> {
+        let mut visited: FxHashSet<u32> = entry_points.iter().map(|c| c.node).collect();
+        let mut candidates: BinaryHeap<Reverse<Candidate>> =
+            entry_points.iter().copied().map(Reverse).collect();
+        let mut results: BinaryHeap<Candidate> = entry_points.iter().copied().collect();
+        while results.len() > ef {
+            results.pop();
+        }
+
+        while let Some(Reverse(current)) = candidates.pop() {
+            if let Some(furthest) = results.peek() {
+                if current.distance > furthest.distance && results.len() >= ef {
+                    break;
+                }
+            }
+            for &neighbour in &self.nodes[current.node as usize].links[layer] {
+                if !visited.insert(neighbour) {
+                    continue;
+                }
+                let distance = self.distance_to(query, neighbour);
+                if results.len() < ef || results.peek().map_or(true, |f| distance < f.distance) {
+                    let candidate = Candidate {
+                        distance,
+                        node: neighbour,
+                    };
+                    candidates.push(Reverse(candidate));
+                    results.push(candidate);
+                    if results.len() > ef {
+                        results.pop();
+                    }
+                }
+            }
+        }
+        results.into_sorted_vec()
+    }
+
+    /// The neighbour selection heuristic from the paper: a candidate is kept
+    /// only if it is closer to the base than to any neighbour kept so far,
+    /// which spreads links out between clusters. Remaining slots are filled
+    /// with the closest rejected candidates. `candidates` must be sorted.
+    fn select_neighbours(&self, candidates: &[Candidate], m: usize) -> Vec<u32> {
+        let mut selected: Vec<u32> = Vec::with_capacity(m);
+        let mut rejected = Vec::new();
+        for candidate in candidates {
+            if selected.len() >= m {
+                break;
+            }
+            let vector = &self.nodes[candidate.node as usize].vector;
+            let diverse = selected.iter().all(|&kept| {
+                self.distance(vector, &self.nodes[kept as usize].vector) > candidate.distance
+            });
+            if diverse {
+                selected.push(candidate.node);
+            } else {
+                rejected.push(candidate.node);
+            }
+        }
+        for node in rejected {
+            if selected.len() >= m {
+                break;
+            }
+            selected.push(node);
+        }
+        selected
+    }
+
+    fn prune(&mut self, node: u32, layer: usize) {
+        let vector = &self.nodes[node as usize].vector;
+        let mut candidates: Vec<Candidate> = self.nodes[node as usize].links[layer]
+            .iter()
+            .map(|&link| Candidate {
+                distance: self.distance(vector, &self.nodes[link as usize].vector),
+                node: link,
+            })
+            .collect();
+        candidates.sort();
+        let links = self.select_neighbours(&candidates, self.max_links(layer));
+        self.nodes[node as usize].links[layer] = links;
+    }
+
+    /// Rebuilds the graph from the live nodes, dropping tombstones.
+    fn rebuild(&mut self) {
+        let nodes = std::mem::take(&mut self.nodes);
+        self.ids.clear();
+        self.entry = None;
+        for node in nodes.into_iter().filter(|node| !node.deleted) {
+            self.insert_prepared(node.id, node.vector, node.metadata);
+        }
+    }
+
+    fn results(&self, candidates: Vec<Candidate>) -> Vec<SearchResult<'_>> {
+        candidates
+            .into_iter()
+            .map(|candidate| {
+                let node = &self.nodes[candidate.node as usize];
+                SearchResult {
+                    id: &node.id,
+                    score: match self.metric {
+                        Metric::Cosine => 1.0 - candidate.distance,
+                        Metric::Dot => -candidate.distance,
+                    },
+                    metadata: &node.metadata,
+                }
+            })
+            .collect()
+    }
+}
+
+fn matches(metadata: &Metadata, filter: &Metadata) -> bool {
+    filter.iter().all(|(key, expected)| {
+        let actual = metadata.get(key).unwrap_or(&Value::Null);
+        match expected {
+            Value::Array(options) => options.contains(actual),
+            expected => actual == expected,
+        }
+    })
+}
+
+fn write_u32(out: &mut Vec<u8>, value: u32) {
+    out.extend_from_slice(&value.to_le_bytes());
+}
+
+fn write_bytes(out: &mut Vec<u8>, bytes: &[u8]) {
+    write_u32(out, bytes.len() as u32);
+    out.extend_from_slice(bytes);
+}
+
+struct Reader<'a> {
+    bytes: &'a [u8],
+    position: usize,
+}
+
+impl<'a> Reader<'a> {
+    fn take(&mut self, len: usize) -> Result<&'a [u8], String> {
+        let end = self
+            .position
+            .checked_add(len)
+            .filter(|&end| end <= self.bytes.len())
+            .ok_or("Truncated vector index")?;
+        let bytes = &self.bytes[self.position..end];
+        self.position = end;
+        Ok(bytes)
+    }
+
+    fn u8(&mut self) -> Result<u8, String> {
+        Ok(self.take(1)?[0])
+    }
+
+    fn u32(&mut self) -> Result<u32, String> {
+        Ok(u32::from_le_bytes(self.take(4)?.try_into().unwrap()))
+    }
+
+    fn string(&mut self) -> Result<String, String> {
+        let len = self.u32()? as usize;
+        String::from_utf8(self.take(len)?.to_vec())
+            .map_err(|_| "Invalid UTF-8 in vector index".into())
+    }
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+
+    /// Deterministic pseudo-random vectors in [-1, 1).
+    fn vectors(count: usize, dimensions: usize, seed: u64) -> Vec<Vec<f32>> {
+        let mut state = seed;
+        (0..count)
+            .map(|_| {
+                (0..dimensions)
+                    .map(|_| {
+                        state ^= state << 13;
+                        state ^= state >> 7;
+                        state ^= state << 17;
+                        (state >> 40) as f32 / (1u64 << 23) as f32 - 1.0
+                    })
+                    .collect()
+            })
+            .collect()
+    }
+
+    fn metadata(document: &str) -> Metadata {
+        let mut metadata = Metadata::new();
+        metadata.insert("documentId".into(), Value::String(document.into()));
+        metadata
+    }
+
+    fn index_of(points: &[Vec<f32>]) -> Hnsw {
+        let mut index = Hnsw::new(points[0].len(), Metric::Cosine, 16, 200).unwrap();
+        for (i, point) in points.iter().enumerate() {
+            index
+                .insert(&format!("v{i}"), point, metadata(&format!("d{}", i % 4)))
+                .unwrap();
+        }
+        index
+    }
+
+    fn ids(results: &[SearchResult<'_>]) -> Vec<String> {
+        results.iter().map(|result| result.id.to_string()).collect()
+    }
+
+    #[test]
+    fn inserts_and_finds_exact_matches() {
+        let points = vectors(200, 8, 1);
+        let index = index_of(&points);
+
+        assert_eq!(index.len(), 200);
+        for (i, point) in points.iter().enumerate() {
+            let results = index.search(point, 1, None).unwrap();
+            assert_eq!(ids(&results), vec![format!("v{i}")]);
+            assert!((results[0].score - 1.0).abs() < 1e-5);
+        }
+    }
+
+    #[test]
+    fn rejects_vectors_of_other_dimensions() {
+        let mut index = Hnsw::new(3, Metric::Cosine, 16, 200).unwrap();
+        assert!(index.insert("a", &[1.0, 0.0], Metadata::new()).is_err());
+        assert!(index
+            .insert("a", &[f32::NAN, 0.0, 0.0], Metadata::new())
+            .is_err());
+        assert!(index.search(&[1.0], 1, None).is_err());
+    }
+
+    #[test]
+    fn replaces_vectors_with_the_same_id() {
+        let mut index = Hnsw::new(2, Metric::Cosine, 16, 200).unwrap();
+        index.insert("a", &[1.0, 0.0], metadata("old")).unwrap();
+        index.insert("b", &[0.0, 1.0], metadata("b")).unwrap();
+        index.insert("a", &[-1.0, 0.0], metadata("new")).unwrap();
+
+        assert_eq!(index.len(), 2);
+        let results = index.search(&[-1.0, 0.0], 3, None).unwrap();
+        assert_eq!(ids(&results), vec!["a", "b"]);
+        assert_eq!(results[0].metadata, &metadata("new"));
+    }
+
+    #[test]
+    fn rebuilds_when_replacements_leave_mostly_tombstones() {
+        let points = vectors(100, 4, 2);
+        let mut index = index_of(&points);
+
+        for round in 0..3 {
+            for (i, point) in points.iter().enumerate() {
+                let moved: Vec<f32> = point.iter().map(|value| value + round as f32).collect();
+                index
+                    .insert(&format!("v{i}"), &moved, metadata("d"))
+                    .unwrap();
+            }
+        }
+
+        assert_eq!(index.len(), 100);
+        let tombstones = index.nodes.len() - index.len();
+        assert!(tombstones <= index.len(), "{tombstones} tombstones kept");
+    }
+
+    #[test]
+    fn deletes_vectors_and_rebuilds_without_tombstones() {
+        let points = vectors(100, 4, 3);
+        let mut index = index_of(&points);
+
+        assert!(index.delete("v0"));
+        assert!(!index.delete("v0"));
+        assert!(!index.contains("v0"));
+        let results = index.search(&points[0], 100, None).unwrap();
+        assert!(!ids(&results).contains(&"v0".to_string()));
+        assert_eq!(results.len(), 99);
+
+        for i in 1..60 {
+            index.delete(&format!("v{i}"));
+        }
+        assert_eq!(index.len(), 40);
+        assert!(index.nodes.len() - index.len() <= index.len());
+        for i in 60..100 {
+            let results = index.search(&points[i], 1, None).unwrap();
+            assert_eq!(ids(&results), vec![format!("v{i}")]);
+        }
+
+        for i in 60..100 {
+            index.delete(&format!("v{i}"));
+        }
+        assert!(index.nodes.is_empty());
+        assert!(index.search(&points[0], 1, None).unwrap().is_empty());
+    }
+
+    #[test]
+    fn filters_on_metadata() {
+        let points = vectors(200, 8, 4);
+        let index = index_of(&points);
+        let mut filter = Metadata::new();
+        filter.insert(
+            "documentId".into(),
+            Value::Array(vec![Value::from("d1"), Value::from("d3")]),
+        );
+
+        let results = index.search(&points[0], 10, Some(&filter)).unwrap();
+
+        assert_eq!(results.len(), 10);
+        for result in results {
+            let document = result.metadata["documentId"].as_str().unwrap();
+            assert!(document == "d1" || document == "d3");
+        }
+    }
+
+    #[test]
+    fn finds_most_true_neighbours() {
+        let points = vectors(1000, 16, 5);
+        let queries = vectors(50, 16, 6);
+        let index = index_of(&points);
+        let k = 10;
+
+        let mut found = 0;
+        for query in &queries {
+            let mut exact: Vec<(f32, usize)> = points
+                .iter()
+                .enumerate()
+                .map(|(i, point)| {
+                    (
+                        index.distance(
+                            &index.prepare(query).unwrap(),
+                            &index.prepare(point).unwrap(),
+                        ),
+                        i,
+                    )
+                })
+                .collect();
+            exact.sort_by(|a, b| a.0.total_cmp(&b.0));
+            let expected: FxHashSet<String> =
+                exact[..k].iter().map(|(_, i)| format!("v{i}")).collect();
+
+            let results = index.search(query, k, None).unwrap();
+            found += results
+                .iter()
+                .filter(|result| expected.contains(result.id))
+                .count();
+        }
+
+        let recall = found as f64 / (queries.len() * k) as f64;
+        assert!(recall >= 0.95, "recall {recall}");
+    }
+
+    #[test]
+    fn round_trips_through_bytes() {
+        let points = vectors(100, 4, 7);
+        let mut index = index_of(&points);
+        index.delete("v5");
+
+        let restored = Hnsw::from_bytes(&index.to_bytes()).unwrap();
+
+        assert_eq!(restored.len(), 99);
+        assert!(!restored.contains("v5"));
+        assert_eq!(
+            ids(&restored.search(&points[7], 5, None).unwrap()),
+            ids(&index.search(&points[7], 5, None).unwrap())
+        );
+        assert!(Hnsw::from_bytes(b"nope").is_err());
+    }
+}
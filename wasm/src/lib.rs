@@ -0,0 +1,174 @@
+//! WebAssembly module used by the server code in `src/lib/server`.
+//!
+//! Built by wasm-pack from the Vite plugin in `plugins/wasm-pack.js`, which
+//! writes the JavaScript bindings to `wasm/pkg` and instantiates them for
+//! server code importing `$wasm`.
+
+mod hnsw;
+mod tokenizer;
+
+use wasm_bindgen::prelude::*;
+
+/// Counts and encodes tokens the way OpenAI's tiktoken does.
+#[wasm_bindgen]
+pub struct Tokenizer {
+    bpe: tokenizer::CoreBpe,
+}
+
+#[wasm_bindgen]
+impl Tokenizer {
+    /// Loads an encoding from the fields of a tiktoken encoder definition
+    /// such as `@dqbd/tiktoken/encoders/cl100k_base`: its `bpe_ranks`, its
+    /// `special_tokens` serialised as JSON, and its `pat_str`.
+    #[wasm_bindgen(constructor)]
+    pub fn new(bpe_ranks: &str, special_tokens: &str, pattern: &str) -> Result<Tokenizer, JsError> {
+        let special_tokens = serde_json::from_str(special_tokens)
+            .map_err(|error| JsError::new(&format!("Invalid special tokens: {error}")))?;
+        let bpe = tokenizer::CoreBpe::new(bpe_ranks, special_tokens, pattern)
+            .map_err(|error| JsError::new(&error))?;
+        Ok(Tokenizer { bpe })
+    }
+
+    /// Encodes `text`, treating special tokens as plain text.
+    pub fn encode(&self, text: &str) -> Result<Vec<u32>, JsError> {
+        self.bpe.encode_ordinary(text).map_err(|error| JsError::new(&error))
+    }
+
+    /// Number of tokens `encode` would return, without copying them to JS.
+    pub fn count(&self, text: &str) -> Result<usize, JsError> {
+        self.encode(text).map(|tokens| tokens.len())
+    }
+
+    /// Decodes tokens back to text, replacing invalid UTF-8 sequences.
+    pub fn decode(&self, tokens: &[u32]) -> String {
+        String::from_utf8_lossy(&self.bpe.decode_bytes(tokens)).into_owned()
+    }
+}
+
+/// Approximate nearest neighbour index (HNSW) over vectors tagged with an id
+/// and a JSON object of metadata. Serialises to bytes for persistence.
+#[wasm_bindgen]
+pub struct VectorIndex {
+    index: hnsw::Hnsw,
+}
+
+#[wasm_bindgen]
+impl VectorIndex {
+    /// Creates an empty index for vectors of `dimensions` compared by
+    /// `metric` (`"cosine"` or `"dot"`). `m` (default 16) is the number of
+    /// links per node and `ef_construction` (default 200) the breadth of the
+    /// search when inserting; higher values trade speed for recall.
+    #[wasm_bindgen(constructor)]
+    pub fn new(
+        dimensions: usize,
+        metric: &str,
+        m: Option<usize>,
+        ef_construction: Option<usize>,
+    ) -> Result<VectorIndex, JsError> {
+        let metric = hnsw::Metric::parse(metric).map_err(|error| JsError::new(&error))?;
+        let index = hnsw::Hnsw::new(
+            dimensions,
+            metric,
+            m.unwrap_or(16),
+            ef_construction.unwrap_or(200),
+        )
+        .map_err(|error| JsError::new(&error))?;
+        Ok(VectorIndex { index })
+    }
+
+    /// Restores an index serialised with `toBytes`.
+    #[wasm_bindgen(js_name = fromBytes)]
+    pub fn from_bytes(bytes: &[u8]) -> Result<VectorIndex, JsError> {
+        let index = hnsw::Hnsw::from_bytes(bytes).map_err(|error| JsError::new(&error))?;
+        Ok(VectorIndex { index })
+    }
+
+    #[wasm_bindgen(js_name = toBytes)]
+    pub fn to_bytes(&self) -> Vec<u8> {
+        self.index.to_bytes()
+    }
+
+    #[wasm_bindgen(getter)]
+    pub fn dimensions(&self) -> usize {
+        self.index.dimensions()
+    }
+
+    #[wasm_bindgen(getter)]
+    pub fn metric(&self) -> String {
+        self.index.metric().name().to_string()
+    }
+
+    /// Number of vectors in the index.
+    #[wasm_bindgen(getter)]
+    pub fn size(&self) -> usize {
+        self.index.len()
+    }
+
+    /// Breadth of the search when querying (default 64).
+    #[wasm_bindgen(getter = efSearch)]
+    pub fn ef_search(&self) -> usize {
+        self.index.ef_search
+    }
+
+    #[wasm_bindgen(setter = efSearch)]
+    pub fn set_ef_search(&mut self, ef_search: usize) {
+        self.index.ef_search = ef_search.max(1);
+    }
+
+    pub fn has(&self, id: &str) -> bool {
+        self.index.contains(id)
+    }
+
+    /// Adds a vector with metadata given as a JSON object, replacing any
+    /// vector with the same id.
+    pub fn insert(&mut self, id: &str, vector: &[f32], metadata: &str) -> Result<(), JsError> {
+        let metadata = parse_object(metadata, "metadata")?;
+        self.index
+            .insert(id, vector, metadata)
+            .map_err(|error| JsError::new(&error))
+    }
+
+    /// Removes a vector. Returns false if there was none with this id.
+    pub fn delete(&mut self, id: &str) -> bool {
+        self.index.delete(id)
+    }
+
+    /// Finds the `k` vectors closest to `query`, closest first, optionally
+    /// only among those whose metadata matches `filter`: a JSON object mapping
+    /// keys to the value they must have, or to an array of allowed values.
+    /// Returns a JSON array of `{ id, score, metadata }`, where `score` is the
+    /// cosine similarity or dot product.
+    pub fn search(
+        &self,
+        query: &[f32],
+        k: usize,
+        filter: Option<String>,
+    ) -> Result<String, JsError> {
+        let filter = filter
+            .map(|filter| parse_object(&filter, "filter"))
+            .transpose()?;
+        let results = self
+            .index
+            .search(query, k, filter.as_ref())
+            .map_err(|error| JsError::new(&error))?;
+        let results: Vec<serde_json::Value> = results
+            .into_iter()
+            .map(|result| {
+                serde_json::json!({
+                    "id": result.id,
+                    "score": result.score,
+                    "metadata": result.metadata,
+                })
+            })
+            .collect();
+        Ok(serde_json::Value::Array(results).to_string())
+    }
+}
+
+fn parse_object(json: &str, name: &str) -> Result<hnsw::Metadata, JsError> {
+    match serde_json::from_str(json) {
+        Ok(serde_json::Value::Object(object)) => Ok(object),
+        Ok(_) => Err(JsError::new(&format!("The {name} must be a JSON object"))),
+        Err(error) => Err(JsError::new(&format!("Invalid {name}: {error}"))),
+    }
+}
@@ -0,0 +1,174 @@
+//! Byte pair encoding compatible with OpenAI's tiktoken. The merge loop
+//! follows tiktoken's `CoreBPE`, so the same encoding data produces the same
+//! tokens.
+
+use base64::{engine::general_purpose::STANDARD, Engine};
+use fancy_regex::Regex;
+use rustc_hash::FxHashMap;
+
+pub type Rank = u32;
+
+pub struct CoreBpe {
+    encoder: FxHashMap<Vec<u8>, Rank>,
+    decoder: FxHashMap<Rank, Vec<u8>>,
+    special_decoder: FxHashMap<Rank, Vec<u8>>,
+    pattern: Regex,
+}
+
+impl CoreBpe {
+    pub fn new(
+        bpe_ranks: &str,
+        special_tokens: FxHashMap<String, Rank>,
+        pattern: &str,
+    ) -> Result<Self, String> {
+        let encoder = parse_ranks(bpe_ranks)?;
+        let decoder = encoder
+            .iter()
+            .map(|(bytes, &rank)| (rank, bytes.clone()))
+            .collect();
+        let special_decoder = special_tokens
+            .into_iter()
+            .map(|(token, rank)| (rank, token.into_bytes()))
+            .collect();
+        let pattern = Regex::new(pattern).map_err(|error| format!("Invalid pattern: {error}"))?;
+
+        Ok(CoreBpe {
+            encoder,
+            decoder,
+            special_decoder,
+            pattern,
+        })
+    }
+
+    /// Splits `text` with the encoding's pattern and encodes each piece.
+    pub fn encode_ordinary(&self, text: &str) -> Result<Vec<Rank>, String> {
+        let mut tokens = Vec::new();
+        for piece in self.pattern.find_iter(text) {
+            let piece = piece.map_err(|error| error.to_string())?.as_str().as_bytes();
+            match self.encoder.get(piece) {
+                Some(&rank) => tokens.push(rank),
+                None => tokens.extend(byte_pair_encode(piece, &self.encoder)?),
+            }
+        }
+        Ok(tokens)
+    }
+
+    pub fn decode_bytes(&self, tokens: &[Rank]) -> Vec<u8> {
+        let mut bytes = Vec::with_capacity(tokens.len() * 2);
+        for token in tokens {
+            if let Some(token_bytes) = self
+                .decoder
+                .get(token)
+                .or_else(|| self.special_decoder.get(token))
+            {
+                bytes.extend_from_slice(token_bytes);
+            }
+        }
+        bytes
+    }
+}
+
+/// Parses mergeable ranks. Accepts both the `.tiktoken` format published by
+/// OpenAI (`<base64 token> <rank>` per line) and the compact format of the
+/// `@dqbd/tiktoken` encoders (`! <first rank> <base64 token> <base64 token> …`,
+/// where each token's rank is one more than the previous one's).
+pub fn parse_ranks(data: &str) -> Result<FxHashMap<Vec<u8>, Rank>, String> {
+    let mut ranks = FxHashMap::default();
+    let decode = |token: &str| {
+        STANDARD
+            .decode(token)
+            .map_err(|error| format!("Invalid token {token:?}: {error}"))
+    };
+    let parse_rank = |rank: &str| {
+        rank.parse::<Rank>()
+            .map_err(|error| format!("Invalid rank {rank:?}: {error}"))
+    };
+
+    if data.trim_start().starts_with('!') {
+        let mut words = data.split_ascii_whitespace();
+        let mut next_rank: Option<Rank> = None;
+        while let Some(word) = words.next() {
+            if word == "!" {
+                let offset = words.next().ok_or("Missing rank offset after '!'")?;
+                next_rank = Some(parse_rank(offset)?);
+                continue;
+            }
+            let rank = next_rank.ok_or("Ranks must start with '!'")?;
+            ranks.insert(decode(word)?, rank);
+            next_rank = Some(rank + 1);
+        }
+    } else {
+        for line in data.lines().filter(|line| !line.is_empty()) {
+            let (token, rank) = line
+                .split_once(' ')
+                .ok_or_else(|| format!("Invalid rank line {line:?}"))?;
+            ranks.insert(decode(token)?, parse_rank(rank)?);
+        }
+    }
+
+    Ok(ranks)
+}
+
+/// Repeatedly merges the adjacent pair with the lowest rank. Returns the start
+/// offsets of the final parts, followed by the end of the piece.
+fn byte_pair_merge(ranks: &FxHashMap<Vec<u8>, Rank>, piece: &[u8]) -> Vec<(usize, Rank)> {
+    // Each entry is (start offset, rank of the pair starting there).
+    let mut parts = Vec::with_capacity(piece.len() + 1);
+    let mut min_rank: (Rank, usize) = (Rank::MAX, usize::MAX);
+    for i in 0..piece.len() - 1 {
+        let rank = *ranks.get(&piece[i..i + 2]).unwrap_or(&Rank::MAX);
+        if rank < min_rank.0 {
+            min_rank = (rank, i);
+        }
+        parts.push((i, rank));
+    }
+    parts.push((piece.len() - 1, Rank::MAX));
+    parts.push((piece.len(), Rank::MAX));
+
+    let get_rank = |parts: &Vec<(usize, Rank)>, i: usize| {
+        if i + 3 < parts.len() {
+            *ranks
+                .get(&piece[parts[i].0..parts[i + 3].0])
+                .unwrap_or(&Rank::MAX)
+        } else {
+            Rank::MAX
+        }
+    };
+
+    while min_rank.0 != Rank::MAX {
+        let i = min_rank.1;
+        if i > 0 {
+            parts[i - 1].1 = get_rank(&parts, i - 1);
+        }
+        parts[i].1 = get_rank(&parts, i);
+        parts.remove(i + 1);
+
+        min_rank = (Rank::MAX, usize::MAX);
+        for (i, &(_, rank)) in parts[..parts.len() - 1].iter().enumerate() {
+            if rank < min_rank.0 {
+                min_rank = (rank, i);
+            }
+        }
+    }
+
+    parts
+}
+
+fn byte_pair_encode(piece: &[u8], ranks: &FxHashMap<Vec<u8>, Rank>) -> Result<Vec<Rank>, String> {
+    let lookup = |bytes: &[u8]| {
+        ranks
+            .get(bytes)
+            .copied()
+            .ok_or_else(|| format!("No rank for bytes {bytes:?}"))
+    };
+
+    match piece.len() {
+        0 => return Ok(Vec::new()),
+        1 => return Ok(vec![lookup(piece)?]),
+        _ => {}
+    }
+    byte_pair_merge(ranks, piece)
+        .windows(2)
+        .map(|part| lookup(&piece[part[0].0..part[1].0]))
+        .collect()
+}